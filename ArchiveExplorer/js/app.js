@@ -23,6 +23,19 @@ class ArchiveExplorer {
         this.videoGridComponent = null;
         this.commentListComponent = null;
         this.modalCommentsManager = null;
+        this.searchQueryInput = null;
+        this.commentSearchQueryInput = null;
+        
+        // Cross-post comment search results
+        this.commentSearchResult = null;
+        this.commentSearchVisible = 0;
+        this.commentSearchPageSize = 50;
+        
+        // Analytics filter to apply once the post being opened has its comments (saved comment searches, duplicate links)
+        this.pendingCommentFilter = null;
+        
+        // Sidecar transcripts of the open post
+        this.transcripts = [];
         
         // View mode
         this.currentViewMode = 'grid';
@@ -33,6 +46,9 @@ class ArchiveExplorer {
         // Single-post analytics cache
         this.singlePostAnalyticsCache = new Map();
         
+        // Owner reply dashboard, cached until the comments change (see getOwnerReplyStats)
+        this.ownerReplyStats = null;
+        
         this.initializeApp();
     }
 
@@ -391,6 +407,9 @@ class ArchiveExplorer {
         // Set up mode selection event listeners
         this.setupModeEventListeners();
         
+        // Offer to reopen recently used archive folders
+        this.renderRecentArchives();
+        
         // Start network animation for welcome screen
         setTimeout(() => {
             if (!this.welcomeNetworkAnimation) {
@@ -423,6 +442,8 @@ class ArchiveExplorer {
                 await this.handleInstagramModeSelection();
             });
         }
+        
+        this.setupZipArchiveInput();
 
 
         // Directory selection button
@@ -495,44 +516,260 @@ class ArchiveExplorer {
             this.dataManager.dataSource = 'instagram';
             
             // Initialize directory manager for Instagram
-            this.directoryManager = new ArchiveDirectoryManager();
+            this.directoryManager = this.createArchiveDirectoryManager();
             
             // Open file dialog immediately without showing intermediate screens
             await this.directoryManager.requestArchiveDirectory();
             
-            // Hide the mode selection modal after successful selection
-            this.hideModeSelection();
+            await this.openInstagramArchive();
             
-            // Show loading screen and process the archive
-            this.showMinimalLoading();
-            this.updateMinimalLoadingStatus('Loading Instagram Archive...');
+        } catch (error) {
+            console.error('Instagram mode initialization failed:', error);
+            this.hideLoading();
+            this.showModeSelection();
             
-            // Load archive data
-            const scanResult = await this.directoryManager.loadArchiveData((status, percent) => {
-                this.updateMinimalLoadingStatus(status);
+            // Show user-friendly error message
+            const userMessage = `Failed to load your Instagram archive. This might be due to corrupted files or access issues. Please check your archive folder and try again.`;
+            this.showModeError(userMessage);
+        }
+    }
+
+    /**
+     * Set up the .zip picker button and dropping a .zip or folder onto the welcome screen
+     */
+    setupZipArchiveInput() {
+        // The welcome screen can be shown several times - only wire these up once
+        if (this.zipArchiveInputReady) return;
+        this.zipArchiveInputReady = true;
+        
+        const selectZipBtn = document.getElementById('selectZipArchiveBtn');
+        const zipInput = document.getElementById('zipArchiveInput');
+        const modal = document.getElementById('directorySelectionModal');
+        
+        if (selectZipBtn && zipInput) {
+            selectZipBtn.addEventListener('click', (e) => {
+                e.stopPropagation(); // Prevent card click
+                zipInput.click();
             });
             
-            console.log(`📊 Instagram scan results: ${scanResult.totalMedia} media files, ${scanResult.totalPosts} posts`);
+            zipInput.addEventListener('change', async () => {
+                const file = zipInput.files[0];
+                zipInput.value = '';
+                if (file) {
+                    await this.handleZipArchiveSelection(file);
+                }
+            });
+        }
+        
+        if (modal) {
+            modal.addEventListener('dragover', (e) => {
+                if (!e.dataTransfer?.types.includes('Files')) return;
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+                modal.classList.add('archive-drop-active');
+            });
             
-            // Store for later use
-            this.instagramDirectoryManager = this.directoryManager;
+            modal.addEventListener('dragleave', (e) => {
+                if (!modal.contains(e.relatedTarget)) {
+                    modal.classList.remove('archive-drop-active');
+                }
+            });
+            
+            modal.addEventListener('drop', async (e) => {
+                e.preventDefault();
+                modal.classList.remove('archive-drop-active');
+                
+                // Folder entries are only available synchronously inside the drop event
+                const entries = Array.from(e.dataTransfer?.items || [])
+                    .map(item => item.webkitGetAsEntry?.())
+                    .filter(Boolean);
+                const files = Array.from(e.dataTransfer?.files || []);
+                const zipFile = files.find(file => ZipArchiveManager.isZipFile(file));
+                
+                if (zipFile) {
+                    await this.handleZipArchiveSelection(zipFile);
+                } else if (entries.some(entry => entry.isDirectory)) {
+                    await this.handleDroppedArchiveFolder(entries);
+                } else {
+                    this.showModeError('Drop your Instagram archive folder or its .zip file.');
+                }
+            });
+        }
+    }
+
+    /**
+     * Open an Instagram archive from a picked or dropped .zip file
+     */
+    async handleZipArchiveSelection(file) {
+        console.log(`🎛️ User opened zip archive: ${file.name}`);
+        const directoryManager = new ZipArchiveManager();
+        await this.openArchiveSource(directoryManager, () => directoryManager.openZipFile(file), file.name);
+    }
+
+    /**
+     * Open an Instagram archive from a folder dropped onto the welcome screen
+     */
+    async handleDroppedArchiveFolder(entries) {
+        console.log('🎛️ User dropped an archive folder');
+        const directoryManager = new FileListArchiveManager();
+        const folderName = entries.find(entry => entry.isDirectory)?.name || 'the dropped folder';
+        this.showModeStatus('Reading dropped folder...');
+        await this.openArchiveSource(
+            directoryManager,
+            () => directoryManager.openDroppedEntries(entries, (status) => this.showModeStatus(status)),
+            folderName
+        );
+    }
+
+    /**
+     * Open a zip or file-list archive source, then load it like a picked folder
+     */
+    async openArchiveSource(directoryManager, openSource, sourceName) {
+        try {
+            this.modeManager.setMode('instagram');
+            this.dataManager.dataSource = 'instagram';
             
-            // Start the app directly with Instagram archive
-            await this.startAppWithInstagramArchive();
+            this.directoryManager = directoryManager;
+            await openSource();
             
-            // Hide loading and show app
-            this.hideLoading();
-            this.elements.app.style.display = 'block';
+            await this.openInstagramArchive();
             
         } catch (error) {
-            console.error('Instagram mode initialization failed:', error);
+            console.error(`Opening archive "${sourceName}" failed:`, error);
             this.hideLoading();
             this.showModeSelection();
+            this.showModeError(`Could not open "${sourceName}": ${error.message}`);
+        }
+    }
+
+    /**
+     * Directory manager for picking an archive folder - falls back to a folder input
+     * where the File System Access API is missing (Firefox, Safari)
+     */
+    createArchiveDirectoryManager() {
+        const directoryManager = new ArchiveDirectoryManager();
+        return directoryManager.isSupported ? directoryManager : new FileListArchiveManager();
+    }
+
+    /**
+     * Reopen a remembered archive folder without going through the directory picker
+     */
+    async handleReopenArchive(archiveId) {
+        try {
+            console.log('🎛️ User reopened a recent archive');
             
-            // Show user-friendly error message
-            const userMessage = `Failed to load your Instagram archive. This might be due to corrupted files or access issues. Please check your archive folder and try again.`;
-            this.showModeError(userMessage);
+            const archive = await this.dataManager.getRecentArchive(archiveId);
+            if (!archive) {
+                throw new Error('This archive is no longer in your recent list');
+            }
+            
+            this.modeManager.setMode('instagram');
+            this.dataManager.dataSource = 'instagram';
+            
+            this.directoryManager = new ArchiveDirectoryManager();
+            await this.directoryManager.reopenArchiveDirectory(archive.handle);
+            
+            await this.openInstagramArchive();
+            
+        } catch (error) {
+            console.error('Reopening archive failed:', error);
+            this.hideLoading();
+            this.showModeSelection();
+            this.showModeError(`Could not reopen the archive: ${error.message}. Use "Select Archive" to choose the folder again.`);
+        }
+    }
+
+    /**
+     * Load the selected archive folder and start the app
+     */
+    async openInstagramArchive() {
+        // Hide the mode selection modal after successful selection
+        this.hideModeSelection();
+        
+        // Show loading screen and process the archive
+        this.showMinimalLoading();
+        this.updateMinimalLoadingStatus('Loading Instagram Archive...');
+        
+        // Load archive data, skipping post/comment parsing when an unchanged copy is cached
+        const scanResult = await this.directoryManager.loadArchiveData((status, percent) => {
+            this.updateMinimalLoadingStatus(status);
+        }, this.getArchiveLoadOptions());
+        
+        console.log(`📊 Instagram scan results: ${scanResult.totalMedia} media files, ${scanResult.totalPosts} posts${scanResult.fromCache ? ' (cached)' : ''}`);
+        
+        // Remember the folder so it can be reopened after a reload (zips have no reusable handle)
+        if (this.directoryManager.sourceType === 'directory') {
+            await this.dataManager.rememberArchive(this.directoryManager.archiveHandle, {
+                postCount: scanResult.totalPosts,
+                mediaCount: scanResult.totalMedia
+            });
+        }
+        
+        // Store for later use
+        this.instagramDirectoryManager = this.directoryManager;
+        
+        // Start the app directly with Instagram archive
+        await this.startAppWithInstagramArchive();
+        
+        // Hide loading and show app
+        this.hideLoading();
+        this.elements.app.style.display = 'block';
+    }
+
+    /**
+     * Archive loading options backed by the IndexedDB caches
+     */
+    getArchiveLoadOptions() {
+        return {
+            isCached: (fingerprint) => this.dataManager.getCachedArchiveInfo(fingerprint),
+            commentIndexCache: {
+                load: (key) => this.dataManager.getCommentIndex(key),
+                save: (key, index) => this.dataManager.saveCommentIndex(key, index)
+            }
+        };
+    }
+
+    /**
+     * Render the "Reopen last archive" button and recent archives list
+     */
+    async renderRecentArchives() {
+        const container = document.getElementById('recentArchives');
+        if (!container) return;
+        
+        // Stored directory handles can only be reused where the File System Access API exists
+        const archives = 'showDirectoryPicker' in window ? await this.dataManager.getRecentArchives() : [];
+        if (archives.length === 0) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
         }
+        
+        const [lastArchive, ...olderArchives] = archives;
+        const describe = (archive) => `${this.formatNumber(archive.postCount || 0)} posts · opened ${new Date(archive.lastOpened).toLocaleDateString()}`;
+        
+        container.innerHTML = `
+            <button class="btn btn-outline-primary w-100 reopen-archive-btn" data-archive-id="${lastArchive.id}">
+                <i class="fas fa-history"></i> Reopen last archive: <strong>${this.escapeHTML(lastArchive.name)}</strong>
+                <div class="recent-archive-meta">${describe(lastArchive)}</div>
+            </button>
+            ${olderArchives.length > 0 ? `
+                <div class="recent-archives-title">Recent archives</div>
+                ${olderArchives.map(archive => `
+                    <button class="recent-archive-item reopen-archive-btn" data-archive-id="${archive.id}">
+                        <span><i class="fas fa-folder text-muted me-2"></i>${this.escapeHTML(archive.name)}</span>
+                        <span class="recent-archive-meta">${describe(archive)}</span>
+                    </button>
+                `).join('')}
+            ` : ''}
+        `;
+        container.style.display = 'block';
+        
+        container.querySelectorAll('.reopen-archive-btn').forEach(button => {
+            button.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                await this.handleReopenArchive(parseInt(button.dataset.archiveId));
+            });
+        });
     }
 
 
@@ -549,8 +786,8 @@ class ArchiveExplorer {
         modeSelection.style.display = 'none';
         localArchiveSetup.style.display = 'block';
         
-        // Check File System Access API support
-        const tempDirectoryManager = new ArchiveDirectoryManager();
+        // Check folder access support (File System Access API or the folder input fallback)
+        const tempDirectoryManager = this.createArchiveDirectoryManager();
         if (tempDirectoryManager.isSupported) {
             apiSupported.style.display = 'block';
             apiNotSupported.style.display = 'none';
@@ -596,7 +833,7 @@ class ArchiveExplorer {
     async handleInstagramDirectorySelection() {
         try {
             // Initialize directory manager for Instagram
-            this.directoryManager = new ArchiveDirectoryManager();
+            this.directoryManager = this.createArchiveDirectoryManager();
             
             this.showModeStatus('Select your mm_instagram_archive folder...');
             
@@ -712,9 +949,15 @@ class ArchiveExplorer {
             
             // Initialize data manager with Instagram archive
             await this.dataManager.initializeFromInstagramArchive(this.instagramDirectoryManager, progressCallback);
+            this.applyArchiveAccount();
+            this.renderAccountSwitcher();
+            
+            // Compare with the state saved at the last open
+            const archiveChanges = await this.dataManager.trackArchiveChanges(this.instagramDirectoryManager);
             
             // Set up event listeners
             this.setupEventListeners();
+            this.renderWhatsNewPanel(archiveChanges);
             
             // Initialize video player with directory manager for media access
             this.videoPlayer = new VideoPlayer(
@@ -727,6 +970,9 @@ class ArchiveExplorer {
             // Load initial posts grid
             await this.loadVideoGrid();
             
+            // Whether analytics leave out suspected spam, as chosen last time
+            await this.loadSpamPreference();
+            
             // Initialize global analytics and preload all data (for audience analytics modal)
             console.log('🔥 DEBUG: Calling initializeGlobalAnalytics...');
             await this.initializeGlobalAnalytics();
@@ -756,6 +1002,170 @@ class ArchiveExplorer {
         }
     }
 
+    /**
+     * Get the account an archive belongs to, as declared by its archive.json manifest
+     * Pass a post to get the account of the archive it came from
+     */
+    getArchiveAccount(video = null) {
+        const directoryManager = (video && this.dataManager.getDirectoryManagerForVideo(video)) || this.instagramDirectoryManager;
+        const account = directoryManager?.getAccount() || { ...DEFAULT_ARCHIVE_MANIFEST.account, avatarURL: null };
+        return {
+            ...account,
+            avatarSrc: account.avatarURL || 'avatar.png'
+        };
+    }
+
+    /**
+     * Show the archive account's handle, name and avatar in the page title, header and post views
+     */
+    applyArchiveAccount() {
+        const account = this.getArchiveAccount();
+        const accountArchives = this.dataManager.getAccountArchives();
+        const showingAll = this.dataManager.activeAccountId === this.dataManager.allAccountsId;
+        const title = showingAll
+            ? `${accountArchives.length} Accounts - Instagram Archive Explorer`
+            : `@${account.handle} Instagram Archive Explorer`;
+        
+        document.title = title;
+        const appTitle = document.getElementById('appTitle');
+        if (appTitle) {
+            appTitle.textContent = title;
+        }
+        
+        document.querySelectorAll('.archive-owner-name').forEach(el => {
+            el.textContent = account.displayName;
+        });
+        document.querySelectorAll('.archive-owner-avatar').forEach(img => {
+            img.src = account.avatarSrc;
+            img.alt = `@${account.handle}`;
+        });
+        
+        // Every loaded account shows its own profile picture in comments
+        accountArchives.forEach(({ account: archiveAccount }) => {
+            window.avatarService?.setAccountAvatar(archiveAccount.handle, archiveAccount.avatarURL || 'avatar.png');
+        });
+        window.avatarService?.setAccountAvatar(account.handle, account.avatarSrc);
+        this.dataManager.setOwnerHandles(this.getArchiveAccountHandles());
+        console.log(`👤 Archive account: ${showingAll ? 'all accounts' : `@${account.handle}`}`);
+    }
+
+    /**
+     * Handles of every loaded archive account (used to recognise owner comments)
+     */
+    getArchiveAccountHandles() {
+        const handles = new Set(this.dataManager.getAccountArchives().map(archive => archive.account.handle));
+        if (handles.size === 0) {
+            handles.add(this.getArchiveAccount().handle);
+        }
+        return handles;
+    }
+
+    /**
+     * Fill the account switcher, shown once more than one account archive is loaded
+     */
+    renderAccountSwitcher() {
+        const switcher = this.elements.accountSwitcher;
+        if (!switcher) return;
+        
+        const accountArchives = this.dataManager.getAccountArchives();
+        if (accountArchives.length < 2) {
+            switcher.style.display = 'none';
+            switcher.innerHTML = '';
+            return;
+        }
+        
+        const totalPosts = accountArchives.reduce((sum, archive) => sum + archive.postCount, 0);
+        switcher.innerHTML = `
+            <option value="${this.dataManager.allAccountsId}">All accounts (${this.formatNumber(totalPosts)} posts)</option>
+            ${accountArchives.map(archive => `
+                <option value="${this.escapeHTML(archive.id)}">@${this.escapeHTML(archive.account.handle)} (${this.formatNumber(archive.postCount)} posts)</option>
+            `).join('')}
+        `;
+        switcher.value = this.dataManager.activeAccountId;
+        switcher.style.display = 'inline-block';
+    }
+
+    /**
+     * Switch the grid, search and analytics to one account, or to all loaded accounts
+     */
+    async switchAccount(accountId) {
+        if (!this.dataManager.setActiveAccount(accountId)) return;
+        
+        // Per-account tools (rescan, health report) follow the selected account
+        const archive = this.dataManager.accountArchives.get(accountId);
+        if (archive) {
+            this.instagramDirectoryManager = archive.directoryManager;
+            if (this.videoGridComponent) this.videoGridComponent.instagramDirectoryManager = archive.directoryManager;
+            if (this.videoPlayer) this.videoPlayer.instagramDirectoryManager = archive.directoryManager;
+        }
+        this.archiveHealthChecker = null;
+        
+        if (this.currentView === 'video-detail') {
+            this.hideVideoDetail();
+        }
+        
+        this.applyArchiveAccount();
+        this.renderAccountSwitcher();
+        this.renderWhatsNewPanel(this.dataManager.archiveChanges);
+        
+        this.currentPagination.page = 1;
+        await this.loadVideoGrid();
+        if (this.currentViewMode === 'comments') {
+            await this.loadCommentSearchResults();
+        }
+        this.updateStats();
+        
+        // Analytics are built from the active view's comments
+        this.singlePostAnalyticsCache.clear();
+        this.utAnalytics?.generateAnalyticsFromComments();
+        await this.preloadAnalyticsData();
+    }
+
+    /**
+     * Load another account's archive folder alongside the ones already open
+     */
+    async handleAddAccountArchive() {
+        const button = this.elements.addAccountArchiveBtn;
+        if (button?.disabled) return;
+        
+        let directoryManager;
+        try {
+            directoryManager = this.createArchiveDirectoryManager();
+            await directoryManager.requestArchiveDirectory();
+        } catch (error) {
+            if (error.message !== 'Directory selection was cancelled') {
+                this.showError(error.message);
+            }
+            return;
+        }
+        
+        if (button) button.disabled = true;
+        this.elements.loadingScreen.style.display = 'flex';
+        const progressCallback = (message, progress) => this.updateLoadingProgress(message, progress);
+        
+        try {
+            const scanResult = await directoryManager.loadArchiveData(progressCallback, this.getArchiveLoadOptions());
+            if (directoryManager.sourceType === 'directory') {
+                await this.dataManager.rememberArchive(directoryManager.archiveHandle, {
+                    postCount: scanResult.totalPosts,
+                    mediaCount: scanResult.totalMedia
+                });
+            }
+            
+            await this.dataManager.initializeFromInstagramArchive(directoryManager, progressCallback, { append: true });
+            await this.dataManager.trackArchiveChanges(directoryManager);
+            
+            await this.switchAccount(directoryManager.accountId);
+            this.showSuccessToast(`Added @${directoryManager.getAccount().handle} - use the account switcher to compare`);
+        } catch (error) {
+            console.error('❌ Failed to add account archive:', error);
+            this.showError(`Could not load that archive: ${error.message}`);
+        } finally {
+            this.hideLoadingScreen();
+            if (button) button.disabled = false;
+        }
+    }
+
     /**
      * Start the main application after mode setup
      */
@@ -812,6 +1222,9 @@ class ArchiveExplorer {
                 this.updateLoadingProgress('Loading analytics...', 95);
             }
             
+            // Whether analytics leave out suspected spam, as chosen last time
+            await this.loadSpamPreference();
+            
             // Initialize global analytics and preload all data (for audience analytics modal)
             console.log('🔥 DEBUG: Calling initializeGlobalAnalytics...');
             await this.initializeGlobalAnalytics();
@@ -955,6 +1368,13 @@ class ArchiveExplorer {
             videoListPagination: 'videoListPagination',
             gridViewToggle: 'gridViewToggle',
             listViewToggle: 'listViewToggle',
+            commentSearchToggle: 'commentSearchToggle',
+            commentSearchView: 'commentSearchView',
+            commentSearchResults: 'commentSearchResults',
+            commentSearchSummary: 'commentSearchSummary',
+            commentSearchSort: 'commentSearchSort',
+            commentSearchGroup: 'commentSearchGroup',
+            commentSearchMore: 'commentSearchMore',
             videoTitle: 'videoTitle',
             videoDate: 'videoDate',
             videoViews: 'videoViews',
@@ -965,6 +1385,8 @@ class ArchiveExplorer {
             commentsList: 'commentsList',
             commentSearch: 'commentSearch',
             commentSort: 'commentSort',
+            hideDuplicatesToggle: 'hideDuplicatesToggle',
+            hideSpamToggle: 'hideSpamToggle',
             loadMoreComments: 'loadMoreComments',
             exportSinglePostComments: 'exportSinglePostComments',
             exportProgress: 'exportProgress',
@@ -980,6 +1402,18 @@ class ArchiveExplorer {
             commentInsights: 'commentInsights',
             wordCloud: 'wordCloud',
             likedWords: 'likedWords',
+            whatsNewPanel: 'whatsNewPanel',
+            newOnlyToggle: 'newOnlyToggle',
+            newOnlyToggleLabel: 'newOnlyToggleLabel',
+            rescanArchiveBtn: 'rescanArchiveBtn',
+            accountSwitcher: 'accountSwitcher',
+            addAccountArchiveBtn: 'addAccountArchiveBtn',
+            archiveHealthBtn: 'archiveHealthBtn',
+            questionInboxBtn: 'questionInboxBtn',
+            transcriptPanel: 'transcriptPanel',
+            transcriptSearch: 'transcriptSearch',
+            transcriptSummary: 'transcriptSummary',
+            transcriptCues: 'transcriptCues',
         };
 
         this.elements = {};
@@ -1033,6 +1467,34 @@ class ArchiveExplorer {
                 });
             }
             
+            if (this.elements.commentSearchToggle) {
+                this.elements.commentSearchToggle.addEventListener('change', () => {
+                    if (this.elements.commentSearchToggle.checked) {
+                        this.switchToCommentSearchView();
+                    }
+                });
+            }
+            
+            // Comment search results: sorting, grouping, paging and jump-to-comment
+            if (this.elements.commentSearchResults) {
+                this.elements.commentSearchSort?.addEventListener('change', () => this.renderCommentSearchResults());
+                this.elements.commentSearchGroup?.addEventListener('change', () => this.renderCommentSearchResults());
+                this.elements.commentSearchMore?.addEventListener('click', () => {
+                    this.commentSearchVisible += this.commentSearchPageSize;
+                    this.renderCommentSearchResults();
+                });
+                
+                this.elements.commentSearchResults.addEventListener('click', (e) => {
+                    const hit = e.target.closest('.comment-search-hit');
+                    const post = e.target.closest('.comment-search-post');
+                    if (hit) {
+                        this.jumpToComment(hit.dataset.videoId, hit.dataset.commentId);
+                    } else if (post) {
+                        this.showVideoDetail(post.dataset.videoId);
+                    }
+                });
+            }
+            
             // Initialize VideoGridComponent
             if (this.elements.videoGrid) {
                 this.videoGridComponent = new VideoGridComponent(
@@ -1067,6 +1529,12 @@ class ArchiveExplorer {
                         console.error(`❌ Comment not found for ID: ${commentId}`);
                     }
                 };
+                this.commentListComponent.getDuplicateCluster = (commentId) => this.dataManager.getDuplicateCluster(commentId);
+                this.commentListComponent.getSpamScore = (commentId) => this.dataManager.getSpamScore(commentId);
+                this.commentListComponent.hideSpam = this.dataManager.hideSuspectedSpam;
+                this.commentListComponent.setAuthorClickHandler((author) => {
+                    this.showCommenterProfile(author);
+                });
             }
             
             // Add back button handler for Instagram post view
@@ -1079,6 +1547,11 @@ class ArchiveExplorer {
             
             // Header search (if elements exist)
             if (this.elements.searchInput) {
+                this.searchQueryInput = new SearchQueryInput(this.elements.searchInput, {
+                    scope: 'posts',
+                    library: this.createSearchLibrary(() => this.getCurrentSearchState())
+                });
+
                 this.elements.searchInput.addEventListener('input', this.debounce(() => {
                     // Only trigger live search when NOT in video detail view
                     if (this.currentView !== 'video-detail') {
@@ -1090,8 +1563,12 @@ class ArchiveExplorer {
                 this.elements.searchInput.addEventListener('keypress', (e) => {
                     if (e.key === 'Enter') {
                         this.handleSearch();
+                        this.recordSearchHistory();
                     }
                 });
+
+                // A finished edit counts as a search worth remembering
+                this.elements.searchInput.addEventListener('change', () => this.recordSearchHistory());
             }
 
             // Search button
@@ -1099,8 +1576,71 @@ class ArchiveExplorer {
             if (searchBtn) {
                 searchBtn.addEventListener('click', () => {
                     this.handleSearch();
+                    this.recordSearchHistory();
+                });
+            }
+
+            // "New only" filter for posts added/updated since the last open
+            if (this.elements.newOnlyToggle) {
+                this.elements.newOnlyToggle.addEventListener('change', () => {
+                    this.setNewOnlyFilter(this.elements.newOnlyToggle.checked);
+                });
+            }
+
+            // Account switcher and loading further account archives
+            if (this.elements.accountSwitcher) {
+                this.elements.accountSwitcher.addEventListener('change', () => {
+                    this.switchAccount(this.elements.accountSwitcher.value);
+                });
+            }
+            if (this.elements.addAccountArchiveBtn) {
+                this.elements.addAccountArchiveBtn.addEventListener('click', () => {
+                    this.handleAddAccountArchive();
+                });
+            }
+
+            // Incremental archive rescan
+            if (this.elements.rescanArchiveBtn) {
+                this.elements.rescanArchiveBtn.addEventListener('click', () => {
+                    this.handleArchiveRescan();
+                });
+            }
+
+            // Archive health report
+            if (this.elements.archiveHealthBtn) {
+                this.elements.archiveHealthBtn.addEventListener('click', () => {
+                    this.showArchiveHealthReport();
+                });
+            }
+            document.getElementById('rerunArchiveHealth')?.addEventListener('click', () => {
+                this.runArchiveHealthCheck();
+            });
+            document.getElementById('downloadArchiveHealth')?.addEventListener('click', () => {
+                this.archiveHealthChecker?.downloadReport(this.exportService);
+            });
+
+            // Unanswered questions inbox
+            if (this.elements.questionInboxBtn) {
+                this.elements.questionInboxBtn.addEventListener('click', () => {
+                    this.showQuestionInbox();
                 });
             }
+            ['questionInboxSort', 'questionInboxTopic', 'questionInboxShowHandled'].forEach(id => {
+                document.getElementById(id)?.addEventListener('change', () => {
+                    this.selectedQuestions?.clear();
+                    this.questionInboxLimit = 100;
+                    this.renderQuestionInbox();
+                });
+            });
+            document.getElementById('markQuestionsHandled')?.addEventListener('click', () => {
+                this.markSelectedQuestions(true);
+            });
+            document.getElementById('markQuestionsOpen')?.addEventListener('click', () => {
+                this.markSelectedQuestions(false);
+            });
+            document.getElementById('downloadQuestionInbox')?.addEventListener('click', () => {
+                this.downloadQuestionInboxCSV();
+            });
 
             // Header sort
             if (this.elements.sortSelect) {
@@ -1112,6 +1652,13 @@ class ArchiveExplorer {
 
             // Comment search and sort
             if (this.elements.commentSearch) {
+                this.commentSearchQueryInput = new SearchQueryInput(this.elements.commentSearch, {
+                    scope: 'comments',
+                    container: this.elements.commentSearch.closest('.comment-filters'),
+                    buttonClass: 'btn btn-outline-secondary search-help-btn',
+                    library: this.createSearchLibrary(() => this.getCurrentCommentSearchState())
+                });
+
                 this.elements.commentSearch.addEventListener('input', this.debounce(() => {
                     this.loadComments();
                 }, 300));
@@ -1123,6 +1670,40 @@ class ArchiveExplorer {
                 });
             }
 
+            // Hide repeated copy-paste comments (clusters are computed on first use)
+            if (this.elements.hideDuplicatesToggle) {
+                this.elements.hideDuplicatesToggle.addEventListener('change', async (e) => {
+                    const hide = e.target.checked;
+                    if (hide) {
+                        await this.loadDuplicateClusters();
+                    }
+                    this.commentListComponent?.setHideDuplicates(hide);
+                });
+            }
+
+            // Hide suspected spam here and in every analytics view (the audience modal has the same switch)
+            document.querySelectorAll('.hide-spam-toggle').forEach(toggle => {
+                toggle.addEventListener('change', (e) => {
+                    this.setHideSuspectedSpam(e.target.checked);
+                });
+            });
+
+            // Transcript search, click-to-seek and following playback
+            if (this.elements.transcriptPanel) {
+                this.elements.transcriptSearch.addEventListener('input', this.debounce(() => {
+                    this.renderTranscript();
+                }, 200));
+
+                this.elements.transcriptCues.addEventListener('click', (e) => {
+                    const cue = e.target.closest('.transcript-cue');
+                    if (cue) {
+                        this.videoPlayer?.seekToMedia(Number(cue.dataset.mediaIndex), Number(cue.dataset.start));
+                    }
+                });
+
+                document.getElementById('videoPlayer')?.addEventListener('timeupdate', () => this.highlightTranscriptCue());
+            }
+
             // Load more comments
             if (this.elements.loadMoreComments) {
                 this.elements.loadMoreComments.addEventListener('click', () => {
@@ -1267,7 +1848,8 @@ class ArchiveExplorer {
         try {
             const filters = {
                 ...this.currentFilters,
-                search: this.elements.searchInput.value
+                search: this.elements.searchInput.value,
+                fuzzy: Boolean(this.searchQueryInput?.fuzzy)
             };
             
             const result = await this.dataManager.getVideos(filters, this.currentPagination);
@@ -1306,9 +1888,17 @@ class ArchiveExplorer {
      * Switch to grid view
      */
     switchToGridView() {
+        // The header search may have changed while it was searching comments
+        const wasSearchingComments = this.currentViewMode === 'comments';
         this.currentViewMode = 'grid';
         this.elements.videoGridView.style.display = 'block';
         this.elements.videoListView.style.display = 'none';
+        if (this.elements.commentSearchView) this.elements.commentSearchView.style.display = 'none';
+        this.updateSearchScope();
+        if (wasSearchingComments) {
+            this.currentPagination.page = 1;
+            this.loadVideoGrid();
+        }
     }
 
     /**
@@ -1318,20 +1908,48 @@ class ArchiveExplorer {
         this.currentViewMode = 'list';
         this.elements.videoGridView.style.display = 'none';
         this.elements.videoListView.style.display = 'block';
+        if (this.elements.commentSearchView) this.elements.commentSearchView.style.display = 'none';
+        this.updateSearchScope();
         this.updateSortHeaders(); // Initialize sort header indicators
         this.loadVideoList();
     }
 
     /**
-     * Load and display video list
+     * Switch to the cross-post comment search results
      */
-    async loadVideoList() {
-        try {
-            const filters = {
-                ...this.currentFilters,
-                search: this.elements.searchInput.value
-            };
-            
+    switchToCommentSearchView() {
+        this.currentViewMode = 'comments';
+        this.elements.videoGridView.style.display = 'none';
+        this.elements.videoListView.style.display = 'none';
+        this.elements.commentSearchView.style.display = 'block';
+        this.updateSearchScope();
+        this.loadCommentSearchResults();
+    }
+
+    /**
+     * Point the header search box at posts or, in the comment search view, at comments
+     */
+    updateSearchScope() {
+        const searchesComments = this.currentViewMode === 'comments';
+        this.searchQueryInput?.setScope(searchesComments ? 'comments' : 'posts');
+        if (this.elements.searchInput) {
+            this.elements.searchInput.placeholder = searchesComments
+                ? 'Search all comments, or try author:name has:question...'
+                : 'Search posts, or try author:name has:question...';
+        }
+    }
+
+    /**
+     * Load and display video list
+     */
+    async loadVideoList() {
+        try {
+            const filters = {
+                ...this.currentFilters,
+                search: this.elements.searchInput.value,
+                fuzzy: Boolean(this.searchQueryInput?.fuzzy)
+            };
+            
             const result = await this.dataManager.getVideos(filters, this.currentPagination);
             
             // Videos are already sorted by the global sort in DataManager
@@ -1352,7 +1970,7 @@ class ArchiveExplorer {
     /**
      * Load thumbnails for list view Instagram archive posts
      */
-    async loadListViewThumbnails(videos) {
+    async loadListViewThumbnails(videos, root = document) {
         if (!this.instagramDirectoryManager || this.dataManager.dataSource !== 'instagram') {
             return;
         }
@@ -1361,12 +1979,11 @@ class ArchiveExplorer {
             // Only process Instagram archive posts with shortcode and media
             if (video.shortcode && video.hasMedia) {
                 try {
-                    const mediaFileURL = await this.instagramDirectoryManager.getFileURL(video.shortcode);
+                    const directoryManager = this.dataManager.getDirectoryManagerForVideo(video) || this.instagramDirectoryManager;
+                    const mediaFileURL = await directoryManager.getFileURL(video.shortcode);
                     if (mediaFileURL) {
-                        const thumbnailImg = document.querySelector(`.post-thumbnail[data-shortcode="${video.shortcode}"]`);
-                        if (thumbnailImg) {
-                            const mediaInfo = this.instagramDirectoryManager.mediaFiles.get(video.shortcode);
-                            
+                        const mediaInfo = directoryManager.mediaFiles.get(video.shortcode);
+                        root.querySelectorAll(`.post-thumbnail[data-shortcode="${video.shortcode}"]`).forEach(thumbnailImg => {
                             if (mediaInfo && mediaInfo.type.startsWith('image/')) {
                                 // For images, use the image directly
                                 thumbnailImg.src = mediaFileURL;
@@ -1374,7 +1991,7 @@ class ArchiveExplorer {
                                 // For videos, generate a thumbnail
                                 this.generateListVideoThumbnail(mediaFileURL, thumbnailImg);
                             }
-                        }
+                        });
                     }
                 } catch (error) {
                     console.warn(`Failed to load thumbnail for ${video.shortcode}:`, error);
@@ -1467,14 +2084,10 @@ class ArchiveExplorer {
     }
 
     /**
-     * Create video list row HTML
+     * Initial thumbnail for a post row - handle both Instagram archive and legacy formats
+     * (archive thumbnails are filled in later by loadListViewThumbnails)
      */
-    createVideoListRow(video) {
-        const date = new Date(video.published_at).toLocaleDateString();
-        const likes = this.formatNumber(video.like_count || 0);
-        const comments = this.formatNumber(video.comment_count || 0);
-        
-        // Get thumbnail - handle both Instagram archive and legacy formats
+    getListThumbnailSrc(video) {
         let thumbnailSrc = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNjAiIGhlaWdodD0iNjAiIHZpZXdCb3g9IjAgMCA2MCA2MCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iNjAiIGhlaWdodD0iNjAiIGZpbGw9IiNGOEY5RkEiLz48dGV4dCB4PSIzMCIgeT0iMzAiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGR5PSIuMzVlbSIgZm9udC1zaXplPSIxMiIgZmlsbD0iIzZDNzU3RCI+TG9hZGluZy4uLjwvdGV4dD48L3N2Zz4=';
         
         // Check if this is an Instagram archive post
@@ -1491,6 +2104,19 @@ class ArchiveExplorer {
             }
         }
         
+        return thumbnailSrc;
+    }
+
+    /**
+     * Create video list row HTML
+     */
+    createVideoListRow(video) {
+        const date = new Date(video.published_at).toLocaleDateString();
+        const likes = this.formatNumber(video.like_count || 0);
+        const comments = this.formatNumber(video.comment_count || 0);
+        
+        const thumbnailSrc = this.getListThumbnailSrc(video);
+        
         return `
             <tr data-video-id="${video.video_id}">
                 <td class="post-thumbnail-col">
@@ -1717,9 +2343,10 @@ class ArchiveExplorer {
             // Scroll to top when showing video detail
             window.scrollTo({ top: 0, behavior: 'smooth' });
             
-            // Update UI - hide both grid and list views
+            // Update UI - hide the grid, list and comment search views
             this.elements.videoGridView.style.display = 'none';
             this.elements.videoListView.style.display = 'none';
+            if (this.elements.commentSearchView) this.elements.commentSearchView.style.display = 'none';
             this.elements.videoDetailView.style.display = 'block';
             
             // Hide channel statistics on single post view
@@ -1742,6 +2369,9 @@ class ArchiveExplorer {
             // Update video info
             this.updateVideoInfo(video);
             
+            // Show the reel's transcript, if it has sidecar files
+            await this.loadTranscript(video);
+            
             // Load comments
             this.currentCommentPagination = { page: 1, limit: 50 };
             await this.loadComments();
@@ -1758,6 +2388,84 @@ class ArchiveExplorer {
         }
     }
     
+    /**
+     * Load the open post's sidecar transcripts, starting at what the header search found in them
+     */
+    async loadTranscript(video) {
+        if (!this.elements.transcriptPanel) return;
+        
+        try {
+            this.transcripts = await this.dataManager.getTranscripts(video.video_id);
+        } catch (error) {
+            console.warn('⚠️ Could not load transcript:', error);
+            this.transcripts = [];
+        }
+        
+        this.elements.transcriptPanel.style.display = this.transcripts.length > 0 ? 'block' : 'none';
+        if (this.transcripts.length === 0) return;
+        
+        // A post found through its transcript opens on the matching lines
+        const search = this.elements.searchInput?.value.trim() || '';
+        const hits = search
+            ? await this.dataManager.searchTranscripts(video.video_id, search, { fuzzy: this.searchQueryInput?.fuzzy })
+            : [];
+        this.elements.transcriptSearch.value = hits.length > 0 ? search : '';
+        this.renderTranscript();
+    }
+
+    /**
+     * Show the transcript lines, or only those matching the transcript search
+     */
+    async renderTranscript() {
+        if (!this.currentVideo || this.transcripts.length === 0) return;
+        
+        // One transcript per carousel item - the first language found
+        const shown = this.transcripts.filter((transcript, i, all) =>
+            all.findIndex(other => other.mediaIndex === transcript.mediaIndex) === i
+        );
+        const isCarousel = new Set(shown.map(transcript => transcript.mediaIndex)).size > 1;
+        
+        const search = this.elements.transcriptSearch.value.trim();
+        let lines;
+        if (search) {
+            const hits = await this.dataManager.searchTranscripts(this.currentVideo.video_id, search, {
+                fuzzy: this.searchQueryInput?.fuzzy
+            });
+            lines = hits.filter(hit => shown.includes(hit.transcript));
+        } else {
+            lines = shown.flatMap(transcript => transcript.cues.map(cue => ({ transcript, cue, ranges: [] })));
+        }
+        
+        const languages = [...new Set(this.transcripts.map(transcript => transcript.label))];
+        this.elements.transcriptSummary.textContent = search
+            ? `${lines.length} matching line${lines.length === 1 ? '' : 's'} - click one to jump there`
+            : `${lines.length} lines · ${languages.join(', ')}`;
+        
+        this.elements.transcriptCues.innerHTML = lines.map(({ transcript, cue, ranges }) => `
+            <button type="button" class="transcript-cue" data-media-index="${transcript.mediaIndex}" data-start="${cue.start}" data-end="${cue.end}">
+                <span class="transcript-time">${isCarousel ? `${transcript.mediaIndex + 1} · ` : ''}${this.videoPlayer.formatTime(cue.start)}</span>
+                <span class="transcript-text">${TextMatcher.highlight(cue.text, ranges)}</span>
+            </button>
+        `).join('') || '<div class="transcript-empty">No lines match</div>';
+        
+        this.highlightTranscriptCue();
+    }
+
+    /**
+     * Mark the transcript line being spoken
+     */
+    highlightTranscriptCue() {
+        if (this.elements.transcriptPanel?.style.display !== 'block' || !this.videoPlayer) return;
+        
+        const time = this.videoPlayer.getCurrentTime();
+        const mediaIndex = this.videoPlayer.currentMediaIndex;
+        this.elements.transcriptCues.querySelectorAll('.transcript-cue').forEach(cue => {
+            const isCurrent = Number(cue.dataset.mediaIndex) === mediaIndex &&
+                time >= Number(cue.dataset.start) && time < Number(cue.dataset.end);
+            cue.classList.toggle('active', isCurrent);
+        });
+    }
+
     /**
      * Set up analytics toggle event listener
      */
@@ -1930,8 +2638,7 @@ class ArchiveExplorer {
                 console.log('⚠️ No cached analytics, computing in real-time...');
                 
                 // Get comments for current video
-                const comments = await this.dataManager.getAllComments(videoId, {});
-                const flatComments = this.flattenComments(comments);
+                const flatComments = await this.getPostAnalyticsComments(videoId);
                 
                 switch (tabName) {
                     case 'frequent':
@@ -2331,8 +3038,7 @@ class ArchiveExplorer {
         try {
             console.log('📊 Loading analytics data for:', this.currentVideo.video_id);
             
-            const comments = await this.dataManager.getAllComments(this.currentVideo.video_id, {});
-            const flatComments = this.flattenComments(comments);
+            const flatComments = await this.getPostAnalyticsComments(this.currentVideo.video_id);
             
             if (flatComments.length === 0) {
                 console.warn('No comments found for analytics');
@@ -2353,7 +3059,7 @@ class ArchiveExplorer {
             
             // Initialize UT Analytics
             if (!this.utAnalytics) {
-                this.utAnalytics = new UTAnalytics();
+                this.utAnalytics = new UTAnalytics(this.dataManager.archiveDirectoryManager, this.dataManager);
                 await this.utAnalytics.loadAnalytics();
                 
                 // Connect UTAnalytics to comment filtering
@@ -2469,7 +3175,7 @@ class ArchiveExplorer {
             }
             
             console.log('📥 Using comments from DataManager for word cloud');
-            const allComments = this.dataManager.comments;
+            const allComments = this.dataManager.getAnalyticsComments();
             const allTexts = [];
             
             // Extract all comment texts from DataManager's comments
@@ -2532,8 +3238,7 @@ class ArchiveExplorer {
                 await Promise.all(batch.map(async (post) => {
                     try {
                         // Get comments for this post
-                        const comments = await this.dataManager.getAllComments(post.shortcode || post.video_id, {});
-                        const flatComments = this.flattenComments(comments);
+                        const flatComments = await this.getPostAnalyticsComments(post.shortcode || post.video_id);
                         
                         if (flatComments.length > 0) {
                             // Precompute analytics for this post
@@ -2676,9 +3381,20 @@ class ArchiveExplorer {
             // Pass current video ID if we're in single post view
             const videoId = this.currentView === 'video-detail' && this.currentVideo ? this.currentVideo.video_id : null;
             this.renderPreloadedAnalytics(videoId);
+            
+            // The mention network is torn down on close, so bring it back when its tab is still the open one
+            if (modal.querySelector('#audience-mentions.active')) {
+                this.loadAudienceAnalyticsTab('#audience-mentions');
+            }
         });
         console.log('✅ Modal event listener registered');
         
+        // Stop the mention network's animation and window listeners once the modal is closed
+        modal.addEventListener('hidden.bs.modal', () => {
+            this.mentionNetwork?.destroy();
+            this.mentionNetwork = null;
+        });
+        
         // Also add a listener for the show event (before animation)
         modal.addEventListener('show.bs.modal', () => {
             console.log('🚪 MODAL STARTING TO OPEN...');
@@ -2890,7 +3606,7 @@ class ArchiveExplorer {
             }
             
             console.log('🔄 Using comments from DataManager for word cloud');
-            const allComments = this.dataManager.comments;
+            const allComments = this.dataManager.getAnalyticsComments();
             console.log('🔍 Comments data loaded:', {
                 type: typeof allComments,
                 isArray: Array.isArray(allComments),
@@ -3040,6 +3756,46 @@ class ArchiveExplorer {
                 }
                 break;
                 
+            case '#audience-duplicates':
+                // Render near-duplicate comment clusters
+                const duplicatesContainer = document.getElementById('audienceDuplicates');
+                if (duplicatesContainer) {
+                    this.renderDuplicateClusters(duplicatesContainer);
+                }
+                break;
+                
+            case '#audience-commenters':
+                // Render the top commenters leaderboard
+                const commentersContainer = document.getElementById('audienceCommenters');
+                if (commentersContainer && this.utAnalytics) {
+                    this.renderCommenterLeaderboard(commentersContainer);
+                }
+                break;
+                
+            case '#audience-retention':
+                // Render commenter cohorts and new vs returning commenters
+                const retentionContainer = document.getElementById('audienceRetention');
+                if (retentionContainer) {
+                    this.renderCommenterRetention(retentionContainer);
+                }
+                break;
+                
+            case '#audience-replies':
+                // Render the account owner's reply rates and latencies
+                const repliesContainer = document.getElementById('audienceOwnerReplies');
+                if (repliesContainer) {
+                    this.renderOwnerReplyDashboard(repliesContainer);
+                }
+                break;
+                
+            case '#audience-mentions':
+                // Render who mentions and replies to whom
+                const mentionsContainer = document.getElementById('audienceMentions');
+                if (mentionsContainer) {
+                    this.renderMentionNetwork(mentionsContainer);
+                }
+                break;
+                
             case '#audience-comments':
             case '#comments':
                 // Load comments if not already loaded
@@ -3058,83 +3814,870 @@ class ArchiveExplorer {
     }
     
     /**
-     * Get flat comments for analytics
+     * Compute duplicate comment clusters once per view, then redraw the open comment list with its badges
      */
-    getFlatComments() {
-        const flatComments = [];
+    async loadDuplicateClusters() {
+        const alreadyKnown = this.dataManager.duplicateClusters?.comments === this.dataManager.getAnalyticsComments();
+        try {
+            const clusters = await this.dataManager.getDuplicateClusters();
+            const list = this.commentListComponent;
+            if (!alreadyKnown && this.currentView === 'video-detail' && list) {
+                // A duplicate cluster filter applied before the clusters were known matched nothing
+                if (list.activeFilter) {
+                    list.filterComments(list.activeFilter.type, list.activeFilter.value);
+                } else {
+                    list.render(list.comments);
+                }
+            }
+            return clusters;
+        } catch (error) {
+            console.error('❌ Failed to find duplicate comments:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Restore the saved "hide suspected spam" choice
+     */
+    async loadSpamPreference() {
+        try {
+            this.dataManager.hideSuspectedSpam = await this.dataManager.getSetting('hideSuspectedSpam', false);
+        } catch (error) {
+            console.warn('⚠️ Could not load spam preference:', error);
+        }
+        document.querySelectorAll('.hide-spam-toggle').forEach(toggle => {
+            toggle.checked = this.dataManager.hideSuspectedSpam;
+        });
+        if (this.commentListComponent) {
+            this.commentListComponent.hideSpam = this.dataManager.hideSuspectedSpam;
+        }
+    }
+
+    /**
+     * Hide or show suspected spam in the comment list and recompute every analytics view without it
+     */
+    async setHideSuspectedSpam(hide) {
+        document.querySelectorAll('.hide-spam-toggle').forEach(toggle => {
+            toggle.checked = hide;
+        });
+        await this.dataManager.setHideSuspectedSpam(hide);
+        console.log(`🚩 ${hide ? 'Hiding' : 'Showing'} suspected spam`);
         
-        // Check if we have video data loaded
-        if (!this.videoData || !Array.isArray(this.videoData)) {
-            console.log('⚠️ No video data available for analytics');
-            return flatComments;
+        if (this.currentView === 'video-detail') {
+            this.commentListComponent?.setHideSpam(hide);
+            // Duplicate clusters are found among the comments analytics count, so they change too
+            this.loadDuplicateClusters();
+        } else if (this.commentListComponent) {
+            this.commentListComponent.hideSpam = hide;
         }
         
-        this.videoData.forEach(video => {
-            if (video.comments && Array.isArray(video.comments)) {
-                video.comments.forEach(comment => {
-                    flatComments.push(comment);
-                    if (comment.replies && Array.isArray(comment.replies)) {
-                        comment.replies.forEach(reply => {
-                            flatComments.push(reply);
-                        });
-                    }
-                });
+        this.singlePostAnalyticsCache.clear();
+        this.utAnalytics?.generateAnalyticsFromComments();
+        await this.preloadAnalyticsData();
+        
+        if (this.currentView === 'video-detail' && this.currentVideo) {
+            await this.generateCommentInsights();
+        }
+        
+        const modal = document.getElementById('audienceAnalyticsModal');
+        if (modal?.classList.contains('show')) {
+            const videoId = this.currentView === 'video-detail' && this.currentVideo ? this.currentVideo.video_id : null;
+            this.renderPreloadedAnalytics(videoId);
+            const activeTab = modal.querySelector('#audienceAnalyticsTabs .nav-link.active');
+            if (activeTab) {
+                this.loadAudienceAnalyticsTab(activeTab.getAttribute('data-bs-target'));
             }
-        });
+        }
+    }
+
+    /**
+     * Render the duplicate clusters tab: the most copied texts with who posted them and where
+     */
+    async renderDuplicateClusters(container) {
+        container.innerHTML = `
+            <div class="text-center py-4">
+                <div class="spinner-border text-primary" role="status"></div>
+                <p class="mt-2 text-muted">Comparing comments...</p>
+            </div>
+        `;
         
-        console.log(`📊 Collected ${flatComments.length} comments from ${this.videoData.length} videos`);
-        return flatComments;
+        const clusters = await this.loadDuplicateClusters();
+        if (clusters.length === 0) {
+            container.innerHTML = '<div class="text-muted">No copy-paste comments found</div>';
+            return;
+        }
+        
+        const maxClusters = 100;
+        const duplicateCount = clusters.reduce((sum, cluster) => sum + cluster.size, 0);
+        container.innerHTML = `
+            <p class="text-muted small mb-3">
+                ${this.formatNumber(duplicateCount)} comments share their text with another comment,
+                in ${this.formatNumber(clusters.length)} clusters${clusters.length > maxClusters ? ` (largest ${maxClusters} shown)` : ''}.
+            </p>
+            <div class="duplicate-clusters">
+                ${clusters.slice(0, maxClusters).map(cluster => `
+                    <div class="duplicate-cluster" data-cluster-id="${cluster.id}">
+                        <div class="d-flex justify-content-between align-items-start gap-2 mb-2">
+                            <div class="duplicate-cluster-text">"${this.escapeHTML(cluster.text.slice(0, 200))}${cluster.text.length > 200 ? '…' : ''}"</div>
+                            <span class="badge bg-warning text-dark flex-shrink-0">×${cluster.size}</span>
+                        </div>
+                        <div class="duplicate-cluster-meta small text-muted mb-1">
+                            <i class="bi bi-people me-1"></i>${cluster.authorCount} ${cluster.authorCount === 1 ? 'account' : 'accounts'}:
+                            ${cluster.authors.slice(0, 5).map(({ author, count }) =>
+                                `@${this.escapeHTML(author)}${count > 1 ? ` (${count})` : ''}`
+                            ).join(', ')}${cluster.authorCount > 5 ? `, +${cluster.authorCount - 5} more` : ''}
+                        </div>
+                        <div class="duplicate-cluster-meta small text-muted mb-1">
+                            <i class="bi bi-camera me-1"></i>${cluster.posts.length} ${cluster.posts.length === 1 ? 'post' : 'posts'}:
+                            ${cluster.posts.slice(0, 5).map(post => `
+                                <a href="#" class="duplicate-cluster-post" data-video-id="${this.escapeHTML(post.videoId)}">${this.escapeHTML(post.title.slice(0, 40))}</a>${post.count > 1 ? ` (${post.count})` : ''}
+                            `).join(', ')}${cluster.posts.length > 5 ? `, +${cluster.posts.length - 5} more` : ''}
+                        </div>
+                        <div class="d-flex justify-content-between align-items-center small">
+                            <span class="text-muted">
+                                <i class="bi bi-calendar me-1"></i>${[...new Set([cluster.firstSeen, cluster.lastSeen]
+                                    .map(date => new Date(date).toLocaleDateString()))].join(' – ')}
+                            </span>
+                            <a href="#" class="duplicate-cluster-show text-primary"><i class="bi bi-filter me-1"></i>Show comments</a>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+        
+        container.querySelectorAll('.duplicate-cluster').forEach(element => {
+            element.addEventListener('click', (e) => {
+                const clusterId = element.dataset.clusterId;
+                const postLink = e.target.closest('.duplicate-cluster-post');
+                
+                if (postLink) {
+                    // Open the post with its list filtered to this cluster
+                    e.preventDefault();
+                    this.pendingCommentFilter = { type: 'duplicate_cluster', value: clusterId };
+                    const modal = document.getElementById('audienceAnalyticsModal');
+                    bootstrap.Modal.getInstance(modal)?.hide();
+                    this.showVideoDetail(postLink.dataset.videoId);
+                } else if (e.target.closest('.duplicate-cluster-show')) {
+                    e.preventDefault();
+                    this.modalCommentsManager?.applyFilter('duplicate_cluster', clusterId);
+                    document.querySelector('#audienceAnalyticsModal .comments-section')?.scrollIntoView({ behavior: 'smooth' });
+                }
+            });
+        });
     }
     
     /**
-     * Render word cloud in analytics panel with organic layout
+     * Render the top commenters tab; clicking a commenter opens their profile
      */
-    renderAnalyticsWordCloud(wordFreq, container = null) {
-        const targetContainer = container || document.getElementById('analyticsWordCloud');
-        if (!targetContainer) return;
+    async renderCommenterLeaderboard(container) {
+        await this.utAnalytics.loadSuperfanThresholds();
         
-        if (wordFreq.length === 0) {
-            targetContainer.innerHTML = '<div class="text-muted">No word data available</div>';
+        this.utAnalytics.setCommenterCallback((author) => {
+            // Bootstrap can't stack modals, so the profile opens once this one is gone
+            const modal = document.getElementById('audienceAnalyticsModal');
+            modal.addEventListener('hidden.bs.modal', () => this.showCommenterProfile(author), { once: true });
+            bootstrap.Modal.getInstance(modal)?.hide();
+        });
+        this.utAnalytics.renderCommenterLeaderboard(container, this.exportService, this.getArchiveAccountHandles());
+    }
+    
+    /**
+     * Render the retention tab: a cohort matrix by month of first comment, and new vs
+     * returning commenters per post
+     */
+    renderCommenterRetention(container) {
+        const { cohorts, posts, commenterCount } = this.dataManager.getCommenterRetention(this.getArchiveAccountHandles());
+        if (cohorts.length === 0) {
+            container.innerHTML = '<div class="text-muted">No dated comments to analyze</div>';
             return;
         }
         
-        // Check if container is visible, if not, delay rendering (with retry limit)
-        if (targetContainer.offsetWidth === 0 || targetContainer.offsetHeight === 0) {
-            console.log('🔄 Word cloud container not visible, delaying render...');
+        // Recent cohorts matter most, and the matrix has to fit the modal
+        const maxCohorts = 24;
+        const maxOffsets = 12;
+        const shownCohorts = cohorts.slice(-maxCohorts);
+        const offsetCount = Math.min(maxOffsets, Math.max(...shownCohorts.map(cohort => cohort.retained.length)));
+        const maxPostCount = Math.max(1, ...posts.map(post => post.newCount + post.returningCount));
+        const returningShare = (post) => post.returningCount / Math.max(1, post.newCount + post.returningCount);
+        
+        container.innerHTML = `
+            <p class="text-muted small mb-2">
+                ${this.formatNumber(commenterCount)} commenters, grouped by the month of their first comment.
+                Each cell is the share of the cohort that commented again that many months later.
+            </p>
+            <div class="table-responsive mb-4">
+                <table class="table table-sm retention-matrix">
+                    <thead>
+                        <tr>
+                            <th>Cohort</th>
+                            <th class="text-end">Commenters</th>
+                            ${Array.from({ length: offsetCount - 1 }, (_, i) => `<th class="text-center">+${i + 1}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${shownCohorts.map(cohort => `
+                            <tr>
+                                <th>${cohort.month}</th>
+                                <td class="text-end">${this.formatNumber(cohort.size)}</td>
+                                ${Array.from({ length: offsetCount - 1 }, (_, i) => {
+                                    const count = cohort.retained[i + 1];
+                                    if (count === undefined) return '<td></td>';
+                                    const share = count / cohort.size;
+                                    return `<td class="text-center" title="${count} of ${cohort.size} commented in month +${i + 1}"
+                                                style="background-color: rgba(26, 115, 232, ${Math.min(1, share * 2).toFixed(2)}); color: ${share > 0.25 ? '#fff' : 'inherit'};">
+                                                ${Math.round(share * 100)}%
+                                            </td>`;
+                                }).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${cohorts.length > maxCohorts ? `<small class="text-muted">Latest ${maxCohorts} of ${cohorts.length} cohorts shown</small>` : ''}
+            </div>
             
-            // Add retry counter to prevent infinite loops
-            if (!targetContainer.dataset.retryCount) {
-                targetContainer.dataset.retryCount = '0';
+            <h6 class="mb-1">New vs returning commenters per post</h6>
+            <div class="small text-muted mb-2">
+                <span class="retention-legend retention-new"></span> New
+                <span class="retention-legend retention-returning ms-2"></span> Returning
+                · click a bar to open the post
+            </div>
+            <div class="retention-posts">
+                ${posts.map(post => `
+                    <div class="retention-post" data-video-id="${this.escapeHTML(post.video.video_id)}"
+                         title="${this.escapeHTML(post.video.title || '')} (${new Date(post.video.published_at).toLocaleDateString()}): ${post.newCount} new, ${post.returningCount} returning (${Math.round(returningShare(post) * 100)}%)">
+                        <div class="retention-new" style="height: ${(post.newCount / maxPostCount) * 100}%;"></div>
+                        <div class="retention-returning" style="height: ${(post.returningCount / maxPostCount) * 100}%;"></div>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="d-flex justify-content-between small text-muted">
+                <span>${posts.length ? new Date(posts[0].video.published_at).toLocaleDateString() : ''}</span>
+                <span>${posts.length ? new Date(posts[posts.length - 1].video.published_at).toLocaleDateString() : ''}</span>
+            </div>
+        `;
+        
+        container.querySelectorAll('.retention-post').forEach(bar => {
+            bar.addEventListener('click', () => {
+                const modal = document.getElementById('audienceAnalyticsModal');
+                bootstrap.Modal.getInstance(modal)?.hide();
+                this.showVideoDetail(bar.dataset.videoId);
+            });
+        });
+    }
+    
+    /**
+     * Render the mention network tab: commenters linked by @mentions and replies, colored by community;
+     * clicking a user opens their profile
+     */
+    renderMentionNetwork(container) {
+        const network = this.dataManager.getMentionNetwork(this.getArchiveAccountHandles());
+        this.mentionNetwork?.destroy();
+        this.mentionNetwork = null;
+        if (network.nodes.length === 0) {
+            container.innerHTML = '<div class="text-muted">No @mentions or replies between commenters</div>';
+            return;
+        }
+        
+        container.innerHTML = `
+            <p class="text-muted small mb-2">
+                ${this.formatNumber(network.nodes.length)} users linked by ${this.formatNumber(network.edges.length)} @mentions and replies
+                (the account's own comments left out). Bigger circles are linked to more people.
+                Scroll to zoom, drag to pan, click a user to see their comments.
+            </p>
+            <div class="mention-network">
+                <canvas></canvas>
+            </div>
+            <div class="mention-network-legend small text-muted mt-2"></div>
+        `;
+        
+        this.mentionNetwork = new MentionNetwork(container.querySelector('canvas'), network, {
+            onNodeClick: (author) => {
+                // Bootstrap can't stack modals, so the profile opens once this one is gone
+                const modal = document.getElementById('audienceAnalyticsModal');
+                modal.addEventListener('hidden.bs.modal', () => this.showCommenterProfile(author), { once: true });
+                bootstrap.Modal.getInstance(modal)?.hide();
+            }
+        });
+        
+        // Legend: the colored communities with their best connected members
+        const communities = new Map();
+        this.mentionNetwork.nodes.forEach(node => {
+            if (node.community >= MentionNetwork.COLORS.length) return;
+            if (!communities.has(node.community)) communities.set(node.community, []);
+            communities.get(node.community).push(node);
+        });
+        const shownCount = this.mentionNetwork.nodes.length;
+        container.querySelector('.mention-network-legend').innerHTML = `
+            ${shownCount < network.nodes.length ? `<div class="mb-1">Showing the ${this.formatNumber(shownCount)} most connected users</div>` : ''}
+            ${Array.from(communities.entries()).map(([community, members]) => {
+                const { r, g, b } = MentionNetwork.COLORS[community];
+                return `
+                    <span class="mention-network-community">
+                        <span class="mention-network-swatch" style="background-color: rgb(${r}, ${g}, ${b});"></span>
+                        ${members.slice(0, 3).map(member => `@${this.escapeHTML(member.id)}`).join(', ')}${members.length > 3 ? ` +${members.length - 3}` : ''}
+                    </span>
+                `;
+            }).join('')}
+        `;
+    }
+    
+    /**
+     * Kinds of comments the owner reply dashboard compares, with the keywords analyzeThemes uses
+     */
+    getReplyCommentKinds() {
+        return {
+            'Questions': (text) => text.includes('?'),
+            'Health questions': (text) => ['how long', 'dosage', 'how much', 'safe', 'pregnancy'].some(keyword => text.includes(keyword)),
+            'Requests': (text) => ['recipe', 'preorder', 'listen'].some(keyword => text.includes(keyword)),
+            'Success stories': (text) => ['helped', 'better', 'improved', 'healed', 'working', 'results'].some(keyword => text.includes(keyword)),
+            'Gratitude': (text) => ['thank you', 'grateful', 'bless', 'saved my life', 'appreciate'].some(keyword => text.includes(keyword))
+        };
+    }
+
+    /**
+     * How the account owner answers comments, over the reply threads organizeCommentsWithReplies builds
+     * for each post. Whether a comment counts as answered comes from DataManager.getOwnerReplies, so the
+     * dashboard agrees with commenter profiles, the leaderboard and the questions inbox.
+     * Returns { commentCount, answeredCount, replyCount, dmReplyCount, medianLatency, posts, months, kinds, recent }.
+     * Cached until the comments (or whether suspected spam is hidden) change.
+     */
+    async getOwnerReplyStats() {
+        const comments = this.dataManager.getAnalyticsComments();
+        const ownerHandles = this.getArchiveAccountHandles();
+        const handlesKey = Array.from(ownerHandles).sort().join(',');
+        if (this.ownerReplyStats?.comments === comments && this.ownerReplyStats.handlesKey === handlesKey) {
+            return this.ownerReplyStats.stats;
+        }
+        
+        const firstOwnerReplies = this.dataManager.getOwnerReplies(ownerHandles);
+        const startTime = performance.now();
+        const timeOf = (comment) => new Date(comment.published_at || comment.created_at || 0).getTime();
+        const median = (values) => {
+            if (values.length === 0) return null;
+            const sorted = [...values].sort((a, b) => a - b);
+            const middle = Math.floor(sorted.length / 2);
+            return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+        };
+        
+        const kindTests = Object.entries(this.getReplyCommentKinds());
+        const kinds = new Map([...kindTests.map(([kind]) => kind), 'Other']
+            .map(kind => [kind, { kind, count: 0, answeredCount: 0 }]));
+        const months = new Map();
+        const latencies = [];
+        const answered = [];
+        const posts = [];
+        let replyCount = 0;
+        let dmReplyCount = 0;
+        
+        const videos = this.dataManager.videos || [];
+        for (let i = 0; i < videos.length; i++) {
+            const video = videos[i];
+            const threads = this.organizeCommentsWithReplies(await this.getPostAnalyticsComments(video.video_id), { quiet: true });
+            const post = { video, commentCount: 0, answeredCount: 0, latencies: [] };
+            
+            const visit = (comment) => {
+                comment.replies.forEach(visit);
+                if (ownerHandles.has(comment.author)) return;
+                
+                const ownerReplies = comment.replies.filter(reply => ownerHandles.has(reply.author));
+                ownerReplies.forEach(reply => {
+                    const date = new Date(timeOf(reply));
+                    const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+                    months.set(month, (months.get(month) || 0) + 1);
+                    if (/\bdm/i.test(reply.text || '')) dmReplyCount++;
+                });
+                replyCount += ownerReplies.length;
+                const firstReply = firstOwnerReplies.get(comment.comment_id) || null;
+                
+                const text = (comment.text || '').toLowerCase();
+                const commentKinds = kindTests.filter(([, test]) => test(text)).map(([kind]) => kind);
+                (commentKinds.length > 0 ? commentKinds : ['Other']).forEach(kind => {
+                    kinds.get(kind).count++;
+                    if (firstReply) kinds.get(kind).answeredCount++;
+                });
+                
+                post.commentCount++;
+                if (firstReply) {
+                    const latency = timeOf(firstReply) - timeOf(comment);
+                    post.answeredCount++;
+                    post.latencies.push(latency);
+                    latencies.push(latency);
+                    answered.push({ comment, reply: firstReply, latency, video });
+                }
+            };
+            threads.forEach(visit);
+            
+            if (post.commentCount > 0) {
+                posts.push({
+                    video,
+                    commentCount: post.commentCount,
+                    answeredCount: post.answeredCount,
+                    rate: post.answeredCount / post.commentCount,
+                    medianLatency: median(post.latencies)
+                });
             }
-            const retryCount = parseInt(targetContainer.dataset.retryCount);
             
-            if (retryCount < 10) {
-                targetContainer.dataset.retryCount = (retryCount + 1).toString();
-                setTimeout(() => this.renderAnalyticsWordCloud(wordFreq, container), 100);
-                return;
-            } else {
-                console.log('⚠️ Word cloud container still not visible after retries, rendering anyway...');
-                // Reset retry counter and continue with rendering
-                targetContainer.dataset.retryCount = '0';
+            // Let the page breathe between batches of posts
+            if (i % 20 === 19) {
+                await new Promise(resolve => setTimeout(resolve, 0));
             }
         }
         
-        // Take top 40 words for a comprehensive cloud
-        const topWords = wordFreq.slice(0, 40);
-        const maxCount = Math.max(...topWords.map(w => w.count));
-        const minCount = Math.min(...topWords.map(w => w.count));
+        const commentCount = posts.reduce((sum, post) => sum + post.commentCount, 0);
+        const stats = {
+            commentCount,
+            answeredCount: answered.length,
+            replyCount,
+            dmReplyCount,
+            medianLatency: median(latencies),
+            posts: posts.sort((a, b) => new Date(b.video.published_at) - new Date(a.video.published_at)),
+            months: Array.from(months.entries()).sort(([a], [b]) => a.localeCompare(b)).map(([month, count]) => ({ month, count })),
+            kinds: Array.from(kinds.values()).filter(kind => kind.count > 0),
+            recent: answered.sort((a, b) => timeOf(b.reply) - timeOf(a.reply)).slice(0, 20)
+        };
         
-        // Clear and set up container for natural flow layout
-        targetContainer.innerHTML = `
-            <div class="word-cloud-header" style="width: 100%; text-align: center; margin-bottom: 20px;">
-                <p class="text-muted" style="font-size: 0.9rem; margin: 0;">Most frequently-used words in comments</p>
-            </div>
-            <div class="word-cloud-content" style="display: flex; flex-wrap: wrap; justify-content: center; align-items: center; gap: 5px;">
+        console.log(`💬 Owner replies: ${answered.length.toLocaleString()} of ${commentCount.toLocaleString()} comments answered in ${Math.round(performance.now() - startTime)}ms`);
+        this.ownerReplyStats = { comments, handlesKey, stats };
+        return stats;
+    }
+
+    /**
+     * Reply latency as "35m", "5h" or "3d"
+     */
+    formatReplyLatency(ms) {
+        if (ms === null || ms === undefined) return '—';
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 60) return `${minutes}m`;
+        const hours = Math.round(minutes / 60);
+        if (hours < 48) return `${hours}h`;
+        return `${Math.round(hours / 24)}d`;
+    }
+
+    /**
+     * Render the owner reply dashboard (see getOwnerReplyStats)
+     */
+    async renderOwnerReplyDashboard(container) {
+        container.innerHTML = `
+            <div class="text-center py-4">
+                <div class="spinner-border text-primary" role="status"></div>
+                <p class="mt-2 text-muted">Building reply threads...</p>
             </div>
         `;
         
-        const wordCloudContent = targetContainer.querySelector('.word-cloud-content');
-        
+        let stats;
+        try {
+            stats = await this.getOwnerReplyStats();
+        } catch (error) {
+            console.error('❌ Failed to analyze owner replies:', error);
+            container.innerHTML = '<div class="text-danger">Could not analyze owner replies</div>';
+            return;
+        }
+        if (stats.commentCount === 0) {
+            container.innerHTML = '<div class="text-muted">No comments to analyze</div>';
+            return;
+        }
+        
+        const percent = (share) => `${Math.round(share * 100)}%`;
+        const maxMonthCount = Math.max(1, ...stats.months.map(month => month.count));
+        const handles = Array.from(this.getArchiveAccountHandles()).map(handle => `@${handle}`).join(', ');
+        
+        container.innerHTML = `
+            <p class="text-muted small mb-2">
+                Replies by ${this.escapeHTML(handles)}, matched to the comment they answer the way post threads are built.
+            </p>
+            <div class="owner-reply-stats mb-4">
+                <div><strong>${percent(stats.answeredCount / stats.commentCount)}</strong><span>of ${this.formatNumber(stats.commentCount)} comments answered</span></div>
+                <div><strong>${this.formatReplyLatency(stats.medianLatency)}</strong><span>median time to reply</span></div>
+                <div><strong>${this.formatNumber(stats.replyCount)}</strong><span>owner replies</span></div>
+                <div><strong>${this.formatNumber(stats.dmReplyCount)}</strong><span>mention DMs</span></div>
+            </div>
+            
+            <h6 class="mb-2">Owner replies per month</h6>
+            ${stats.months.length > 0 ? `
+                <div class="owner-reply-months mb-1">
+                    ${stats.months.map(({ month, count }) => `
+                        <div class="owner-reply-month" title="${month}: ${count} ${count === 1 ? 'reply' : 'replies'}">
+                            <div class="owner-reply-bar" style="height: ${Math.round((count / maxMonthCount) * 100)}%;"></div>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="d-flex justify-content-between small text-muted mb-4">
+                    <span>${stats.months[0].month}</span>
+                    <span>${stats.months[stats.months.length - 1].month}</span>
+                </div>
+            ` : '<p class="text-muted small mb-4">No owner replies yet</p>'}
+            
+            <h6 class="mb-2">Which comments get answered</h6>
+            <table class="table table-sm owner-reply-table mb-4">
+                <tbody>
+                    ${stats.kinds.map(kind => `
+                        <tr>
+                            <th>${kind.kind}</th>
+                            <td class="text-end text-muted">${this.formatNumber(kind.answeredCount)} / ${this.formatNumber(kind.count)}</td>
+                            <td class="owner-reply-rate-cell">
+                                <div class="owner-reply-rate"><div style="width: ${percent(kind.answeredCount / kind.count)};"></div></div>
+                            </td>
+                            <td class="text-end">${percent(kind.answeredCount / kind.count)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            
+            <h6 class="mb-2">Reply rate per post</h6>
+            <div class="owner-reply-posts mb-4">
+                <table class="table table-sm table-hover owner-reply-table mb-0">
+                    <thead>
+                        <tr>
+                            <th>Post</th>
+                            <th class="text-end">Answered</th>
+                            <th></th>
+                            <th class="text-end">Median</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${stats.posts.map(post => `
+                            <tr class="owner-reply-post" data-video-id="${this.escapeHTML(post.video.video_id)}" title="Open post">
+                                <td class="owner-reply-post-title">
+                                    <small class="text-muted">${new Date(post.video.published_at).toLocaleDateString()}</small>
+                                    ${this.escapeHTML(this.truncateText(post.video.title || post.video.video_id, 60))}
+                                </td>
+                                <td class="text-end text-muted">${this.formatNumber(post.answeredCount)} / ${this.formatNumber(post.commentCount)}</td>
+                                <td class="owner-reply-rate-cell">
+                                    <div class="owner-reply-rate"><div style="width: ${percent(post.rate)};"></div></div>
+                                </td>
+                                <td class="text-end">${this.formatReplyLatency(post.medianLatency)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            
+            <h6 class="mb-2">Latest answered threads</h6>
+            <div class="owner-reply-threads">
+                ${stats.recent.map(({ comment, reply, latency, video }) => `
+                    <div class="owner-reply-thread" data-video-id="${this.escapeHTML(video.video_id)}" data-comment-id="${this.escapeHTML(String(comment.comment_id))}" title="Open thread">
+                        <div><strong>${this.escapeHTML(comment.author)}</strong> ${this.escapeHTML(this.truncateText(comment.text || '', 140))}</div>
+                        <div class="owner-reply-thread-reply">
+                            <i class="bi bi-reply"></i>
+                            <strong>${this.escapeHTML(reply.author)}</strong> ${this.escapeHTML(this.truncateText(reply.text || '', 140))}
+                        </div>
+                        <small class="text-muted">${this.formatReplyLatency(latency)} later · ${this.escapeHTML(this.truncateText(video.title || '', 50))}</small>
+                    </div>
+                `).join('') || '<p class="text-muted small">No answered comments yet</p>'}
+            </div>
+        `;
+        
+        const modal = document.getElementById('audienceAnalyticsModal');
+        container.querySelectorAll('.owner-reply-post').forEach(row => {
+            row.addEventListener('click', () => {
+                bootstrap.Modal.getInstance(modal)?.hide();
+                this.showVideoDetail(row.dataset.videoId);
+            });
+        });
+        container.querySelectorAll('.owner-reply-thread').forEach(thread => {
+            thread.addEventListener('click', () => {
+                bootstrap.Modal.getInstance(modal)?.hide();
+                this.jumpToComment(thread.dataset.videoId, thread.dataset.commentId);
+            });
+        });
+    }
+    
+    /**
+     * Open the inbox of questions the account owner has not replied to
+     */
+    async showQuestionInbox() {
+        const modal = document.getElementById('questionInboxModal');
+        if (!modal) return;
+        
+        // Handled questions are remembered across sessions
+        if (!this.handledQuestions) {
+            try {
+                this.handledQuestions = new Set(await this.dataManager.getSetting('handledQuestions', []));
+            } catch (error) {
+                console.warn('⚠️ Could not load handled questions:', error);
+                this.handledQuestions = new Set();
+            }
+        }
+        
+        const topicSelect = document.getElementById('questionInboxTopic');
+        if (topicSelect && topicSelect.options.length === 1) {
+            Object.keys(UTAnalytics.HEALTH_KEYWORDS).forEach(topic => {
+                const label = topic.replace('_', ' ');
+                topicSelect.add(new Option(label.charAt(0).toUpperCase() + label.slice(1), topic));
+            });
+        }
+        
+        this.selectedQuestions = new Set();
+        this.questionInboxLimit = 100;
+        this.renderQuestionInbox();
+        bootstrap.Modal.getOrCreateInstance(modal).show();
+    }
+
+    /**
+     * Unanswered questions as the inbox shows them - filtered by health topic and handled state, then sorted:
+     * [{ comment, video, topics, handled }]
+     */
+    getQuestionInboxItems() {
+        const sort = document.getElementById('questionInboxSort')?.value || 'newest';
+        const topic = document.getElementById('questionInboxTopic')?.value || '';
+        const showHandled = Boolean(document.getElementById('questionInboxShowHandled')?.checked);
+        
+        const items = this.dataManager.getUnansweredQuestions(this.getArchiveAccountHandles())
+            .map(comment => ({
+                comment,
+                video: this.dataManager.getVideo(comment.video_id),
+                topics: UTAnalytics.getHealthTopics(comment.text),
+                handled: this.handledQuestions.has(String(comment.comment_id))
+            }))
+            .filter(item => (showHandled || !item.handled) && (!topic || item.topics.includes(topic)));
+        
+        if (sort === 'oldest') {
+            items.reverse();
+        } else if (sort === 'post') {
+            // Newest posts first, each post's questions oldest first
+            const postTime = (item) => new Date(item.video?.published_at || 0).getTime();
+            items.sort((a, b) => postTime(b) - postTime(a) ||
+                String(a.comment.video_id).localeCompare(String(b.comment.video_id)) ||
+                new Date(a.comment.published_at) - new Date(b.comment.published_at));
+        }
+        return items;
+    }
+
+    /**
+     * Render the unanswered questions inbox
+     */
+    renderQuestionInbox() {
+        const content = document.getElementById('questionInboxContent');
+        if (!content) return;
+        
+        const items = this.getQuestionInboxItems();
+        const shown = items.slice(0, this.questionInboxLimit);
+        const byPost = document.getElementById('questionInboxSort')?.value === 'post';
+        const openCount = items.filter(item => !item.handled).length;
+        
+        let currentPost = null;
+        const rows = shown.map(({ comment, video, topics, handled }) => {
+            const commentId = String(comment.comment_id);
+            let postRow = '';
+            if (byPost && comment.video_id !== currentPost) {
+                currentPost = comment.video_id;
+                postRow = `
+                    <tr class="question-inbox-post-row">
+                        <th colspan="4">
+                            ${this.escapeHTML(this.truncateText(video?.title || String(comment.video_id), 80))}
+                            <small class="text-muted ms-2">${video ? new Date(video.published_at).toLocaleDateString() : ''}</small>
+                        </th>
+                    </tr>
+                `;
+            }
+            
+            return postRow + `
+                <tr class="question-inbox-row ${handled ? 'handled' : ''}" data-comment-id="${this.escapeHTML(commentId)}" data-video-id="${this.escapeHTML(String(comment.video_id))}">
+                    <td><input class="form-check-input question-inbox-select" type="checkbox" ${this.selectedQuestions.has(commentId) ? 'checked' : ''}></td>
+                    <td class="question-inbox-text" title="Open thread">
+                        <strong>${this.escapeHTML(comment.author)}</strong> ${this.escapeHTML(this.truncateText(comment.text || '', 200))}
+                        <div>
+                            ${topics.map(topic => `<span class="badge bg-light text-dark text-capitalize me-1">${this.escapeHTML(topic.replace('_', ' '))}</span>`).join('')}
+                            ${handled ? '<span class="badge bg-success">Handled</span>' : ''}
+                        </div>
+                    </td>
+                    <td class="question-inbox-post">${byPost ? '' : this.escapeHTML(this.truncateText(video?.title || '', 50))}</td>
+                    <td class="text-end text-muted" title="${new Date(comment.published_at).toLocaleString()}">${this.formatReplyLatency(Date.now() - new Date(comment.published_at).getTime())}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        content.innerHTML = items.length === 0 ? '<div class="text-muted">No unanswered questions</div>' : `
+            <p class="text-muted small mb-2">
+                ${this.formatNumber(openCount)} open, ${this.formatNumber(items.length - openCount)} handled shown
+                · questions with a "?" that got no owner reply
+            </p>
+            <table class="table table-sm table-hover question-inbox-table">
+                <thead>
+                    <tr>
+                        <th><input class="form-check-input" type="checkbox" id="questionInboxSelectAll" title="Select all shown"></th>
+                        <th>Question</th>
+                        <th>${byPost ? '' : 'Post'}</th>
+                        <th class="text-end">Age</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${items.length > shown.length ? `
+                <div class="text-center">
+                    <button type="button" class="btn btn-sm btn-outline-secondary" id="questionInboxMore">
+                        Show more (${this.formatNumber(items.length - shown.length)} left)
+                    </button>
+                </div>
+            ` : ''}
+        `;
+        
+        const updateButtons = () => {
+            document.getElementById('markQuestionsHandled').disabled = this.selectedQuestions.size === 0;
+            document.getElementById('markQuestionsOpen').disabled = this.selectedQuestions.size === 0;
+        };
+        updateButtons();
+        
+        content.querySelectorAll('.question-inbox-select').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                const commentId = checkbox.closest('.question-inbox-row').dataset.commentId;
+                if (checkbox.checked) {
+                    this.selectedQuestions.add(commentId);
+                } else {
+                    this.selectedQuestions.delete(commentId);
+                }
+                updateButtons();
+            });
+        });
+        document.getElementById('questionInboxSelectAll')?.addEventListener('change', (e) => {
+            content.querySelectorAll('.question-inbox-select').forEach(checkbox => {
+                checkbox.checked = e.target.checked;
+                checkbox.dispatchEvent(new Event('change'));
+            });
+        });
+        content.querySelectorAll('.question-inbox-text').forEach(cell => {
+            cell.addEventListener('click', () => {
+                const row = cell.closest('.question-inbox-row');
+                bootstrap.Modal.getInstance(document.getElementById('questionInboxModal'))?.hide();
+                this.jumpToComment(row.dataset.videoId, row.dataset.commentId);
+            });
+        });
+        document.getElementById('questionInboxMore')?.addEventListener('click', () => {
+            this.questionInboxLimit += 100;
+            this.renderQuestionInbox();
+        });
+    }
+
+    /**
+     * Mark the selected questions handled (or open again) and remember it
+     */
+    async markSelectedQuestions(handled) {
+        this.selectedQuestions.forEach(commentId => {
+            if (handled) {
+                this.handledQuestions.add(commentId);
+            } else {
+                this.handledQuestions.delete(commentId);
+            }
+        });
+        console.log(`📥 Marked ${this.selectedQuestions.size} questions ${handled ? 'handled' : 'open'}`);
+        this.selectedQuestions.clear();
+        this.renderQuestionInbox();
+        
+        try {
+            await this.dataManager.saveSetting('handledQuestions', Array.from(this.handledQuestions));
+        } catch (error) {
+            console.error('❌ Failed to save handled questions:', error);
+            this.showError('Could not save handled questions');
+        }
+    }
+
+    /**
+     * Download the questions the inbox currently shows as CSV
+     */
+    downloadQuestionInboxCSV() {
+        const formatDate = (value) => {
+            const date = new Date(value);
+            return isNaN(date.getTime()) ? '' : date.toISOString().substring(0, 10);
+        };
+        const items = this.getQuestionInboxItems();
+        const csv = this.exportService.createCSV([
+            ['comment_id', 'username', 'question', 'post_id', 'post_title', 'post_date', 'commented_at', 'age_days', 'health_topics', 'handled'],
+            ...items.map(({ comment, video, topics, handled }) => [
+                comment.comment_id,
+                comment.author,
+                comment.text || '',
+                comment.video_id,
+                video?.title || '',
+                formatDate(video?.published_at),
+                formatDate(comment.published_at),
+                Math.floor((Date.now() - new Date(comment.published_at).getTime()) / 86400000),
+                topics.join(' '),
+                handled ? 'yes' : 'no'
+            ])
+        ]);
+        
+        const filename = `unanswered-questions-${new Date().toISOString().substring(0, 10)}.csv`;
+        this.exportService.downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), filename);
+    }
+    
+    /**
+     * Get flat comments for analytics
+     */
+    getFlatComments() {
+        const flatComments = [];
+        
+        // Check if we have video data loaded
+        if (!this.videoData || !Array.isArray(this.videoData)) {
+            console.log('⚠️ No video data available for analytics');
+            return flatComments;
+        }
+        
+        this.videoData.forEach(video => {
+            if (video.comments && Array.isArray(video.comments)) {
+                video.comments.forEach(comment => {
+                    flatComments.push(comment);
+                    if (comment.replies && Array.isArray(comment.replies)) {
+                        comment.replies.forEach(reply => {
+                            flatComments.push(reply);
+                        });
+                    }
+                });
+            }
+        });
+        
+        console.log(`📊 Collected ${flatComments.length} comments from ${this.videoData.length} videos`);
+        return flatComments;
+    }
+    
+    /**
+     * Render word cloud in analytics panel with organic layout
+     */
+    renderAnalyticsWordCloud(wordFreq, container = null) {
+        const targetContainer = container || document.getElementById('analyticsWordCloud');
+        if (!targetContainer) return;
+        
+        if (wordFreq.length === 0) {
+            targetContainer.innerHTML = '<div class="text-muted">No word data available</div>';
+            return;
+        }
+        
+        // Check if container is visible, if not, delay rendering (with retry limit)
+        if (targetContainer.offsetWidth === 0 || targetContainer.offsetHeight === 0) {
+            console.log('🔄 Word cloud container not visible, delaying render...');
+            
+            // Add retry counter to prevent infinite loops
+            if (!targetContainer.dataset.retryCount) {
+                targetContainer.dataset.retryCount = '0';
+            }
+            const retryCount = parseInt(targetContainer.dataset.retryCount);
+            
+            if (retryCount < 10) {
+                targetContainer.dataset.retryCount = (retryCount + 1).toString();
+                setTimeout(() => this.renderAnalyticsWordCloud(wordFreq, container), 100);
+                return;
+            } else {
+                console.log('⚠️ Word cloud container still not visible after retries, rendering anyway...');
+                // Reset retry counter and continue with rendering
+                targetContainer.dataset.retryCount = '0';
+            }
+        }
+        
+        // Take top 40 words for a comprehensive cloud
+        const topWords = wordFreq.slice(0, 40);
+        const maxCount = Math.max(...topWords.map(w => w.count));
+        const minCount = Math.min(...topWords.map(w => w.count));
+        
+        // Clear and set up container for natural flow layout
+        targetContainer.innerHTML = `
+            <div class="word-cloud-header" style="width: 100%; text-align: center; margin-bottom: 20px;">
+                <p class="text-muted" style="font-size: 0.9rem; margin: 0;">Most frequently-used words in comments</p>
+            </div>
+            <div class="word-cloud-content" style="display: flex; flex-wrap: wrap; justify-content: center; align-items: center; gap: 5px;">
+            </div>
+        `;
+        
+        const wordCloudContent = targetContainer.querySelector('.word-cloud-content');
+        
         // Sort words by frequency for better visual flow
         const sortedWords = [...topWords].sort((a, b) => b.count - a.count);
         
@@ -3358,7 +4901,7 @@ class ArchiveExplorer {
             'Podcast Requests': { count: 0, keywords: ['listen'], exactMatches: ['listen'] },
             'Preorder Requests': { count: 0, keywords: ['preorder'], exactMatches: ['preorder'] },
             'Recipe Requests': { count: 0, keywords: ['recipe'], exactMatches: ['recipe'] },
-            'DMs Sent': { count: 0, keywords: [], exactMatches: [], jonnoOttoDMs: true },
+            'DMs Sent': { count: 0, keywords: [], exactMatches: [], ownerDMs: true },
             'Information Requests': { count: 0, keywords: [], exactMatches: [] }, // Will be calculated separately
             'Health Questions': { count: 0, keywords: ['how long', 'dosage', 'how much', 'safe', 'pregnancy'] },
             'Success Stories': { count: 0, keywords: ['helped', 'better', 'improved', 'healed', 'working', 'results'] },
@@ -3367,13 +4910,15 @@ class ArchiveExplorer {
         
         // Track word frequency for Information Requests
         const wordFrequency = {};
+        const ownerHandles = this.getArchiveAccountHandles();
+        comments = this.dataManager.filterSuspectedSpam(comments);
         
         comments.forEach(comment => {
             const text = (comment.content || comment.text || '').toLowerCase().trim();
             const author = comment.owner?.username || comment.author || '';
             
-            // Check for DMs sent by jonno.otto
-            if (author === 'jonno.otto' && text.includes('dm')) {
+            // Check for DMs sent by the archive account
+            if (ownerHandles.has(author) && text.includes('dm')) {
                 themes['DMs Sent'].count++;
                 return; // Don't count this for other themes
             }
@@ -3440,7 +4985,7 @@ class ArchiveExplorer {
                 'Podcast Requests': 'People commenting "listen" to request podcast episodes',
                 'Preorder Requests': 'People commenting "preorder" for book preorders',
                 'Recipe Requests': 'People commenting "recipe" for recipe requests',
-                'DMs Sent': '@jonno.otto responding with DM notifications',
+                'DMs Sent': `${Array.from(this.getArchiveAccountHandles()).map(handle => `@${handle}`).join(', ')} responding with DM notifications`,
                 'Information Requests': 'Common single-word requests for specific information',
                 'Health Questions': 'Questions about dosages, safety, and usage',
                 'Success Stories': 'Positive healing experiences and results',
@@ -3475,13 +5020,11 @@ class ArchiveExplorer {
         
         this.elements.videoDetailView.style.display = 'none';
         
-        // Restore the correct view mode (grid or list)
-        if (this.currentViewMode === 'grid') {
-            this.elements.videoGridView.style.display = 'block';
-            this.elements.videoListView.style.display = 'none';
-        } else {
-            this.elements.videoGridView.style.display = 'none';
-            this.elements.videoListView.style.display = 'block';
+        // Restore the correct view mode (grid, list or comment search)
+        this.elements.videoGridView.style.display = this.currentViewMode === 'grid' ? 'block' : 'none';
+        this.elements.videoListView.style.display = this.currentViewMode === 'list' ? 'block' : 'none';
+        if (this.elements.commentSearchView) {
+            this.elements.commentSearchView.style.display = this.currentViewMode === 'comments' ? 'block' : 'none';
         }
         
         // Remove single post mode class to restore app padding
@@ -3548,8 +5091,12 @@ class ArchiveExplorer {
             captionDescElement.innerHTML = this.escapeHTML(caption).replace(/\n/g, '<br>');
         }
         
-        // Update profile pictures - use the local avatar image
-        const avatarPath = 'avatar.png';
+        // Update profile pictures and name - use the avatar of the archive account the post came from
+        const postAccount = this.getArchiveAccount(video);
+        const avatarPath = postAccount.avatarSrc;
+        document.querySelectorAll('.archive-owner-name').forEach(el => {
+            el.textContent = postAccount.displayName;
+        });
         
         // Update caption profile picture
         const captionProfileImg = document.querySelector('#captionComment .profile-avatar img');
@@ -3597,6 +5144,7 @@ class ArchiveExplorer {
         try {
             const filters = {
                 search: this.elements.commentSearch?.value || '',
+                fuzzy: Boolean(this.commentSearchQueryInput?.fuzzy),
                 sortBy: this.elements.commentSort?.value || 'likes-desc'
             };
             
@@ -3607,8 +5155,24 @@ class ArchiveExplorer {
             
             console.log(`Loaded ${allComments.length} comments for ${this.currentVideo.video_id}`);
             
+            // Highlight what the search matched, including fuzzy matches
+            if (this.commentListComponent) {
+                this.commentListComponent.searchTerm = filters.search;
+                this.commentListComponent.fuzzySearch = filters.fuzzy;
+            }
             this.renderComments(allComments);
             
+            // Duplicate badges appear once the clusters are known
+            this.loadDuplicateClusters();
+            
+            // Apply the analytics filter of a saved search once its post is open
+            if (this.pendingCommentFilter && this.commentListComponent) {
+                const { type, value } = this.pendingCommentFilter;
+                this.pendingCommentFilter = null;
+                this.commentListComponent.filterComments(type, value);
+                window.commentListComponent = this.commentListComponent;
+            }
+            
             // Update comments title with total count
             const commentsTitle = document.getElementById('commentsTitle');
             if (commentsTitle) {
@@ -3631,7 +5195,7 @@ class ArchiveExplorer {
      * Render comments list
      */
     renderComments(comments) {
-        // Organize comments to nest @jonno.otto's replies
+        // Organize comments to nest the account owner's replies
         const organizedComments = this.organizeCommentsWithReplies(comments);
         
         if (this.commentListComponent) {
@@ -3646,8 +5210,11 @@ class ArchiveExplorer {
     
     /**
      * Organize all comments to build proper comment trees based on @username replies
+     * (options.quiet skips the per-reply logging when whole archives are organized)
      */
-    organizeCommentsWithReplies(comments) {
+    organizeCommentsWithReplies(comments, options = {}) {
+        const log = options.quiet ? () => {} : console.log;
+        
         // Create a deep copy to avoid modifying original comments
         const commentsCopy = comments.map(comment => ({
             ...comment,
@@ -3675,13 +5242,14 @@ class ArchiveExplorer {
             }
         });
         
-        console.log(`📝 Building comment tree: ${topLevelComments.length} top-level, ${allReplies.length} potential replies`);
+        log(`📝 Building comment tree: ${topLevelComments.length} top-level, ${allReplies.length} potential replies`);
         
         // Second pass: match replies to their parent comments
         allReplies.forEach(reply => {
-            const replyMatch = reply.text.match(/^@(\w+)/);
+            // Usernames may contain dots ("@jane.doe"), but a sentence dot after one is not part of it
+            const replyMatch = reply.text.match(/^@([\w.]+)/);
             if (replyMatch) {
-                const replyToUsername = replyMatch[1];
+                const replyToUsername = replyMatch[1].replace(/\.+$/, '');
                 const replyTime = new Date(reply.published_at || reply.created_at || 0).getTime();
                 
                 // Find the most recent comment from this user before the reply
@@ -3713,11 +5281,11 @@ class ArchiveExplorer {
                 // Add the reply to the matched comment
                 if (bestMatch) {
                     bestMatch.replies.push(reply);
-                    console.log(`🔗 Nested reply from ${reply.author} under ${bestMatch.author}`);
+                    log(`🔗 Nested reply from ${reply.author} under ${bestMatch.author}`);
                 } else {
                     // If no match found, add as a top-level comment
                     topLevelComments.push(reply);
-                    console.log(`⬆️ No parent found for @${replyToUsername} reply from ${reply.author}, adding as top-level`);
+                    log(`⬆️ No parent found for @${replyToUsername} reply from ${reply.author}, adding as top-level`);
                 }
             } else {
                 // If it doesn't start with @username, treat as regular comment
@@ -3732,7 +5300,7 @@ class ArchiveExplorer {
             return timeA - timeB;
         });
         
-        console.log(`✅ Comment tree built: ${topLevelComments.length} top-level comments with nested replies`);
+        log(`✅ Comment tree built: ${topLevelComments.length} top-level comments with nested replies`);
         
         return topLevelComments;
     }
@@ -4003,10 +5571,489 @@ class ArchiveExplorer {
             this.showVideoGrid();
         }
         
+        if (this.currentViewMode === 'comments') {
+            await this.loadCommentSearchResults();
+            return;
+        }
+        
         this.currentPagination.page = 1;
         await this.loadVideoGrid();
     }
 
+    /**
+     * Saved and recent searches actions for a search box, saving what getState returns
+     */
+    createSearchLibrary(getState) {
+        return {
+            load: () => this.loadSearchLibrary(),
+            apply: (search) => this.applySavedSearch(search),
+            save: (name) => this.saveCurrentSearch(name, getState()),
+            remove: (id) => this.dataManager.deleteSavedSearch(id),
+            clearHistory: () => this.dataManager.clearSearchHistory(),
+            exportAll: () => this.exportSearches(),
+            importFile: (file) => this.importSearches(file)
+        };
+    }
+
+    /**
+     * Saved searches and recent history for the search libraries
+     */
+    async loadSearchLibrary() {
+        const [savedSearches, history] = await Promise.all([
+            this.dataManager.getSavedSearches(),
+            this.dataManager.getSearchHistory()
+        ]);
+        return { savedSearches, history };
+    }
+
+    /**
+     * The header search as it is set up right now: query, sort and dates
+     */
+    getCurrentSearchState() {
+        return {
+            query: this.elements.searchInput?.value.trim() || '',
+            fuzzy: Boolean(this.searchQueryInput?.fuzzy),
+            scope: this.currentViewMode === 'comments' ? 'comments' : 'posts',
+            sortBy: this.currentFilters.sortBy || this.elements.sortSelect?.value || null,
+            dateFrom: this.currentFilters.dateFrom || null,
+            dateTo: this.currentFilters.dateTo || null
+        };
+    }
+
+    /**
+     * The open post's comment search: query, sort and analytics filter, tied to the post
+     */
+    getCurrentCommentSearchState() {
+        const activeFilter = this.commentListComponent?.activeFilter;
+        return {
+            query: this.elements.commentSearch?.value.trim() || '',
+            fuzzy: Boolean(this.commentSearchQueryInput?.fuzzy),
+            scope: 'comments',
+            sortBy: this.elements.commentSort?.value || null,
+            filterType: activeFilter?.type || null,
+            filterValue: activeFilter?.value ?? null,
+            videoId: this.currentVideo?.video_id || null
+        };
+    }
+
+    /**
+     * Remember the current header search in the recent searches
+     */
+    async recordSearchHistory() {
+        const { query, fuzzy, scope } = this.getCurrentSearchState();
+        if (!query) return;
+
+        try {
+            await this.dataManager.addSearchHistory({ query, fuzzy, scope });
+        } catch (error) {
+            console.warn('⚠️ Could not record search history:', error);
+        }
+    }
+
+    /**
+     * Save a search box's current state under a name
+     */
+    async saveCurrentSearch(name, state = this.getCurrentSearchState()) {
+        try {
+            const search = await this.dataManager.saveSavedSearch({ ...state, name });
+            this.showSuccessToast(`Saved search "${search.name}"`);
+        } catch (error) {
+            console.error('❌ Failed to save search:', error);
+            this.showError(error.message || 'Failed to save search');
+        }
+    }
+
+    /**
+     * Restore a saved or recent search and run it
+     */
+    async applySavedSearch(search) {
+        if (search.videoId) {
+            await this.applyPostCommentSearch(search);
+            return;
+        }
+        
+        this.searchQueryInput?.setFuzzy(search.fuzzy);
+        if (this.searchQueryInput) {
+            this.searchQueryInput.setValue(search.query || '');
+        } else if (this.elements.searchInput) {
+            this.elements.searchInput.value = search.query || '';
+        }
+        
+        // History entries only carry the query; saved searches also restore sort and dates
+        if ('sortBy' in search) {
+            if (search.sortBy) {
+                this.currentFilters.sortBy = search.sortBy;
+                if (this.elements.sortSelect) this.elements.sortSelect.value = search.sortBy;
+                this.updateListSortFromGlobal(search.sortBy);
+            }
+            ['dateFrom', 'dateTo'].forEach(key => {
+                if (search[key]) {
+                    this.currentFilters[key] = search[key];
+                } else {
+                    delete this.currentFilters[key];
+                }
+            });
+        }
+        
+        // Switch between searching posts and comments without loading results twice
+        const wantsComments = search.scope === 'comments';
+        if (wantsComments !== (this.currentViewMode === 'comments')) {
+            if (this.currentView === 'video-detail') this.showVideoGrid();
+            const toggle = wantsComments ? this.elements.commentSearchToggle : this.elements.gridViewToggle;
+            if (toggle) toggle.checked = true;
+            if (wantsComments) {
+                this.switchToCommentSearchView();
+            } else {
+                this.switchToGridView();
+            }
+        } else {
+            await this.handleSearch();
+        }
+        
+        this.recordSearchHistory();
+    }
+
+    /**
+     * Open the post a comment search was saved on and restore its query, sort and analytics filter
+     */
+    async applyPostCommentSearch(search) {
+        if (!this.dataManager.getVideo(search.videoId)) {
+            this.showError(`The post "${search.name}" was saved on is not in the open archive`);
+            return;
+        }
+        
+        this.commentSearchQueryInput?.setFuzzy(search.fuzzy);
+        if (this.commentSearchQueryInput) {
+            this.commentSearchQueryInput.setValue(search.query || '');
+        } else if (this.elements.commentSearch) {
+            this.elements.commentSearch.value = search.query || '';
+        }
+        const sortSelect = this.elements.commentSort;
+        if (sortSelect && Array.from(sortSelect.options).some(option => option.value === search.sortBy)) {
+            sortSelect.value = search.sortBy;
+        }
+        
+        // loadComments applies the filter once the post's comments are in
+        this.pendingCommentFilter = search.filterType
+            ? { type: search.filterType, value: search.filterValue }
+            : null;
+        if (this.currentView === 'video-detail' && this.currentVideo?.video_id === search.videoId) {
+            if (this.commentListComponent?.activeFilter) this.commentListComponent.clearFilter();
+            await this.loadComments();
+        } else {
+            await this.showVideoDetail(search.videoId);
+        }
+    }
+
+    /**
+     * Download saved searches and history as JSON
+     */
+    async exportSearches() {
+        try {
+            const data = await this.dataManager.exportSearches();
+            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+            this.exportService.downloadBlob(blob, `saved-searches-${data.exportedAt.substring(0, 10)}.json`);
+        } catch (error) {
+            console.error('❌ Failed to export searches:', error);
+            this.showError('Failed to export searches');
+        }
+    }
+
+    /**
+     * Merge saved searches and history from an exported JSON file
+     */
+    async importSearches(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            const { savedCount, historyCount } = await this.dataManager.importSearches(data);
+            this.showSuccessToast(`Imported ${savedCount} saved searches and ${historyCount} recent searches`);
+        } catch (error) {
+            console.error('❌ Failed to import searches:', error);
+            this.showError(error instanceof SyntaxError ? 'That file is not valid JSON' : error.message);
+        }
+    }
+
+    /**
+     * Search every post's comments with the header search box
+     */
+    async loadCommentSearchResults() {
+        const search = this.elements.searchInput?.value.trim() || '';
+        try {
+            this.commentSearchResult = search
+                ? await this.dataManager.searchAllComments(search, { fuzzy: this.searchQueryInput?.fuzzy })
+                : null;
+            this.commentSearchVisible = this.commentSearchPageSize;
+            this.renderCommentSearchResults();
+        } catch (error) {
+            console.error('❌ Comment search failed:', error);
+            this.showError('Comment search failed');
+        }
+    }
+
+    /**
+     * Render comment search hits, sorted and optionally grouped by post
+     */
+    renderCommentSearchResults() {
+        const container = this.elements.commentSearchResults;
+        if (!container) return;
+        
+        const result = this.commentSearchResult;
+        const summary = this.elements.commentSearchSummary;
+        this.elements.commentSearchMore.style.display = 'none';
+        
+        if (!result) {
+            summary.textContent = 'Type in the search box to search every post\'s comments';
+            container.innerHTML = '';
+            return;
+        }
+        if (result.hits.length === 0) {
+            summary.textContent = result.query.hasErrors ? 'No matches - check the highlighted part of the search' : 'No comments match this search';
+            container.innerHTML = '';
+            return;
+        }
+        
+        const sortBy = this.elements.commentSearchSort?.value || 'relevance';
+        const grouped = this.elements.commentSearchGroup?.checked;
+        const hits = this.sortCommentSearchHits(result.hits, sortBy);
+        let visiblePosts;
+        let hasMore;
+        let html;
+        
+        if (grouped) {
+            // Groups keep the order of their best hit under the chosen sort
+            const groups = new Map();
+            hits.forEach(hit => {
+                const videoId = hit.comment.video_id;
+                if (!groups.has(videoId)) groups.set(videoId, { videoId, post: hit.post, hits: [] });
+                groups.get(videoId).hits.push(hit);
+            });
+            const visibleGroups = Array.from(groups.values()).slice(0, this.commentSearchVisible);
+            visiblePosts = visibleGroups.map(group => group.post).filter(Boolean);
+            hasMore = groups.size > visibleGroups.length;
+            html = visibleGroups.map(group => `
+                <div class="comment-search-group">
+                    ${this.createCommentSearchPost(group.post, group.videoId, `${group.hits.length} matching ${group.hits.length === 1 ? 'comment' : 'comments'}`)}
+                    ${group.hits.map(hit => this.createCommentSearchHit(hit, result.query)).join('')}
+                </div>
+            `).join('');
+        } else {
+            const visibleHits = hits.slice(0, this.commentSearchVisible);
+            visiblePosts = [...new Set(visibleHits.map(hit => hit.post).filter(Boolean))];
+            hasMore = hits.length > visibleHits.length;
+            html = visibleHits.map(hit => `
+                <div class="comment-search-group">
+                    ${this.createCommentSearchPost(hit.post, hit.comment.video_id)}
+                    ${this.createCommentSearchHit(hit, result.query)}
+                </div>
+            `).join('');
+        }
+        
+        const postCount = new Set(hits.map(hit => hit.comment.video_id)).size;
+        summary.textContent = `${this.formatNumber(result.total)} matching comments on ${this.formatNumber(postCount)} posts` +
+            (result.total > hits.length ? ` (showing the best ${this.formatNumber(hits.length)})` : '');
+        container.innerHTML = html;
+        this.elements.commentSearchMore.style.display = hasMore ? 'inline-block' : 'none';
+        this.loadListViewThumbnails(visiblePosts, container);
+    }
+
+    /**
+     * Order comment search hits for the results page
+     */
+    sortCommentSearchHits(hits, sortBy) {
+        const sorted = [...hits];
+        switch (sortBy) {
+            case 'date-desc':
+                return sorted.sort((a, b) => b.comment.published_at - a.comment.published_at);
+            case 'date-asc':
+                return sorted.sort((a, b) => a.comment.published_at - b.comment.published_at);
+            case 'likes-desc':
+                return sorted.sort((a, b) => (b.comment.like_count || 0) - (a.comment.like_count || 0));
+            case 'post':
+                // Newest posts first, best matches first within a post
+                return sorted.sort((a, b) => (b.post?.published_at || 0) - (a.post?.published_at || 0) || b.score - a.score);
+            default:
+                return sorted; // Already best match first
+        }
+    }
+
+    /**
+     * Post header of a comment search result: thumbnail and caption snippet
+     */
+    createCommentSearchPost(post, videoId, note = '') {
+        const caption = post?.description || post?.title || '';
+        const snippet = caption.length > 140 ? `${caption.substring(0, 140)}…` : caption;
+        const date = post?.published_at ? post.published_at.toLocaleDateString() : '';
+        
+        return `
+            <div class="comment-search-post" data-video-id="${this.escapeHTML(videoId)}" title="Open post">
+                <img src="data:image/gif;base64,R0lGODlhAQABAAAAACw="
+                     alt=""
+                     class="post-thumbnail comment-search-thumb"
+                     data-shortcode="${this.escapeHTML(post?.shortcode || '')}">
+                <div class="comment-search-post-info">
+                    <div class="comment-search-caption">${snippet ? this.escapeHTML(snippet) : '<span class="text-muted">No caption</span>'}</div>
+                    <div class="small text-muted">${[date, note].filter(Boolean).join(' · ')}</div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * One matching comment; clicking it jumps to the comment in its post
+     */
+    createCommentSearchHit(hit, query) {
+        const comment = hit.comment;
+        const likes = comment.like_count || 0;
+        const date = comment.published_at ? comment.published_at.toLocaleDateString() : '';
+        const likesText = likes > 0 ? `${this.formatNumber(likes)} ${likes === 1 ? 'like' : 'likes'}` : '';
+        
+        return `
+            <div class="comment-search-hit" data-video-id="${this.escapeHTML(comment.video_id)}" data-comment-id="${this.escapeHTML(comment.comment_id)}" title="Show this comment in its post">
+                <div>
+                    <span class="comment-search-author">${this.escapeHTML(comment.author)}</span>
+                    ${comment.is_reply ? '<span class="badge bg-light text-dark ms-1">reply</span>' : ''}
+                </div>
+                <div class="comment-search-text">${TextMatcher.highlight(comment.text, query.getMatchRanges(comment.text || ''))}</div>
+                <div class="small text-muted">${[date, likesText].filter(Boolean).join(' · ')}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Open a post and scroll its comment list to one comment
+     */
+    async jumpToComment(videoId, commentId) {
+        // A leftover comment filter could hide the comment
+        this.commentSearchQueryInput?.setValue('');
+        
+        await this.showVideoDetail(videoId);
+        if (!this.commentListComponent?.scrollToComment(commentId)) {
+            console.warn(`⚠️ Comment ${commentId} not found in post ${videoId}`);
+        }
+    }
+
+    /**
+     * Open the profile of a commenter: all their comments, activity over time and owner replies
+     */
+    showCommenterProfile(author) {
+        const modal = document.getElementById('commenterProfileModal');
+        const content = document.getElementById('commenterProfileContent');
+        if (!modal || !content) return;
+        
+        const profile = this.dataManager.getCommenterProfile(author, this.getArchiveAccountHandles());
+        if (!profile) {
+            this.showError(`No comments found for @${author}`);
+            return;
+        }
+        
+        this.renderCommenterProfile(profile, content);
+        bootstrap.Modal.getOrCreateInstance(modal).show();
+    }
+
+    /**
+     * Render a commenter profile (see DataManager.getCommenterProfile)
+     */
+    renderCommenterProfile(profile, content) {
+        const avatarUrl = window.avatarService.getAvatarForUser(profile.author);
+        const avatarColor = window.avatarService.generateAvatarColor(profile.author);
+        const formatDate = (date) => date ? date.toLocaleDateString() : '—';
+        const maxMonthCount = Math.max(1, ...profile.months.map(month => month.count));
+        
+        content.innerHTML = `
+            <div class="commenter-profile-header d-flex align-items-center gap-3 mb-3">
+                ${avatarUrl
+                    ? `<img src="${avatarUrl}" alt="" class="commenter-profile-avatar">`
+                    : `<div class="commenter-profile-avatar" style="background-color: ${avatarColor};">${this.escapeHTML(profile.author[0]?.toUpperCase() || 'U')}</div>`}
+                <div>
+                    <h5 class="mb-0">@${this.escapeHTML(profile.author)}</h5>
+                    <small class="text-muted">First seen ${formatDate(profile.firstSeen)} · Last seen ${formatDate(profile.lastSeen)}</small>
+                </div>
+            </div>
+            
+            <div class="commenter-profile-stats mb-4">
+                <div><strong>${this.formatNumber(profile.commentCount)}</strong><span>comments</span></div>
+                <div><strong>${this.formatNumber(profile.postCount)}</strong><span>posts</span></div>
+                <div><strong>${Math.round(profile.replyRate * 100)}%</strong><span>answered by you (${profile.repliedCount})</span></div>
+            </div>
+            
+            <h6 class="mb-2">Comments per month</h6>
+            <div class="commenter-profile-months mb-4">
+                ${profile.months.map(({ month, count }) => `
+                    <div class="commenter-profile-month" title="${month}: ${count} ${count === 1 ? 'comment' : 'comments'}">
+                        <div class="commenter-profile-bar" style="height: ${Math.round((count / maxMonthCount) * 100)}%;"></div>
+                    </div>
+                `).join('')}
+            </div>
+            
+            <h6 class="mb-2">Most engaged posts</h6>
+            <div class="commenter-profile-posts mb-4">
+                ${profile.topPosts.slice(0, 5).map(({ video, videoId, count }) => `
+                    <a href="#" class="commenter-profile-post" data-video-id="${this.escapeHTML(videoId)}">
+                        <img src="${video ? this.getListThumbnailSrc(video) : ''}" alt="" class="post-thumbnail" data-shortcode="${video?.shortcode || ''}">
+                        <span class="commenter-profile-post-title">${this.escapeHTML(video?.title || videoId)}</span>
+                        <span class="badge bg-light text-dark">${count}</span>
+                    </a>
+                `).join('')}
+            </div>
+            
+            <h6 class="mb-2">All comments</h6>
+            <div class="commenter-profile-comments"></div>
+            <div class="text-center mt-2">
+                <button type="button" class="btn btn-sm btn-outline-primary commenter-profile-more">Show more</button>
+            </div>
+        `;
+        
+        const list = content.querySelector('.commenter-profile-comments');
+        const moreButton = content.querySelector('.commenter-profile-more');
+        const pageSize = 50;
+        let shown = 0;
+        
+        const showMore = () => {
+            const page = profile.comments.slice(shown, shown + pageSize);
+            const container = document.createElement('div');
+            container.innerHTML = page.map(comment => {
+                const video = this.dataManager.getVideo(comment.video_id);
+                return `
+                    <div class="commenter-profile-comment" data-video-id="${this.escapeHTML(comment.video_id)}" data-comment-id="${this.escapeHTML(String(comment.comment_id))}">
+                        <img src="${video ? this.getListThumbnailSrc(video) : ''}" alt="" class="post-thumbnail" data-shortcode="${video?.shortcode || ''}">
+                        <div class="flex-grow-1">
+                            <div>${this.escapeHTML(comment.text || '')}</div>
+                            <small class="text-muted">
+                                ${new Date(comment.published_at).toLocaleDateString()} · ${this.escapeHTML(video?.title || comment.video_id)}
+                                ${profile.repliedIds.has(comment.comment_id) ? '<span class="badge bg-success ms-1">answered</span>' : ''}
+                            </small>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+            
+            list.append(...container.children);
+            const pageVideos = new Set(page.map(comment => this.dataManager.getVideo(comment.video_id)).filter(Boolean));
+            this.loadListViewThumbnails(Array.from(pageVideos), list);
+            shown += page.length;
+            moreButton.style.display = shown < profile.comments.length ? '' : 'none';
+        };
+        
+        moreButton.addEventListener('click', showMore);
+        showMore();
+        this.loadListViewThumbnails(profile.topPosts.slice(0, 5).map(post => post.video).filter(Boolean),
+            content.querySelector('.commenter-profile-posts'));
+        
+        content.onclick = (e) => {
+            const post = e.target.closest('.commenter-profile-post');
+            const comment = e.target.closest('.commenter-profile-comment');
+            if (!post && !comment) return;
+            
+            e.preventDefault();
+            bootstrap.Modal.getInstance(document.getElementById('commenterProfileModal'))?.hide();
+            if (comment) {
+                this.jumpToComment(comment.dataset.videoId, comment.dataset.commentId);
+            } else {
+                this.showVideoDetail(post.dataset.videoId);
+            }
+        };
+    }
+
     /**
      * Handle sort selection
      */
@@ -4126,19 +6173,32 @@ class ArchiveExplorer {
     updateChannelStats() {
         const stats = this.dataManager.getStats();
         
+        // Comment totals come from the comment index when every archive in view has one
+        const indexStats = this.dataManager.getCommentIndexStats();
+        const totalComments = indexStats ? indexStats.totalComments : stats.totalComments;
+        const uniqueCommenters = indexStats?.uniqueCommenters ?? stats.uniqueCommenters;
+        
         // Update DOM elements with formatted numbers
         const totalPostsEl = document.getElementById('totalPosts');
         const totalChannelCommentsEl = document.getElementById('totalChannelComments');
+        const channelCommentRangeEl = document.getElementById('channelCommentRange');
         const totalLikesEl = document.getElementById('totalLikes');
         const uniqueCommentersEl = document.getElementById('uniqueCommenters');
         const avgEngagementEl = document.getElementById('avgEngagement');
         const avgLikesEl = document.getElementById('avgLikes');
         
         if (totalPostsEl) totalPostsEl.textContent = this.formatNumber(stats.totalVideos);
-        if (totalChannelCommentsEl) totalChannelCommentsEl.textContent = this.formatNumber(stats.totalComments);
+        if (totalChannelCommentsEl) totalChannelCommentsEl.textContent = this.formatNumber(totalComments);
+        if (channelCommentRangeEl) {
+            channelCommentRangeEl.textContent = indexStats?.firstCommentAt && indexStats?.lastCommentAt
+                ? [indexStats.firstCommentAt, indexStats.lastCommentAt].map(date => new Date(date).toLocaleDateString()).join(' – ')
+                : '';
+        }
         if (totalLikesEl) totalLikesEl.textContent = this.formatNumber(stats.totalLikes);
-        if (uniqueCommentersEl) uniqueCommentersEl.textContent = this.formatNumber(stats.uniqueCommenters);
-        if (avgEngagementEl) avgEngagementEl.textContent = this.formatNumber(stats.averageCommentsPerVideo);
+        if (uniqueCommentersEl) uniqueCommentersEl.textContent = this.formatNumber(uniqueCommenters);
+        if (avgEngagementEl) {
+            avgEngagementEl.textContent = this.formatNumber(stats.totalVideos > 0 ? Math.round(totalComments / stats.totalVideos) : 0);
+        }
         if (avgLikesEl) avgLikesEl.textContent = this.formatNumber(stats.averageLikesPerPost);
         
         // Show the statistics section
@@ -4155,6 +6215,307 @@ class ArchiveExplorer {
         this.elements.resultCount.textContent = `${this.formatNumber(count)} posts`;
     }
 
+    /**
+     * Render the "what's new since last open" summary panel
+     */
+    renderWhatsNewPanel(changes) {
+        const panel = this.elements.whatsNewPanel;
+        if (!panel) return;
+        
+        const hasChanges = changes && !changes.isEmpty;
+        // The combined accounts view has no single report, but its posts still carry change badges
+        const hasChangedPosts = hasChanges || this.dataManager.videos.some(video => video.changeStatus);
+        if (this.elements.newOnlyToggleLabel) {
+            this.elements.newOnlyToggleLabel.style.display = hasChangedPosts ? 'inline-block' : 'none';
+        }
+        if (!hasChanges) {
+            panel.style.display = 'none';
+            panel.innerHTML = '';
+            if (this.currentFilters.newOnly && !hasChangedPosts) {
+                this.setNewOnlyFilter(false);
+            }
+            return;
+        }
+        
+        const summaryItems = [
+            [changes.posts.added.length, 'new posts', 'bg-success'],
+            [changes.posts.changed.length, 'updated posts', 'bg-primary'],
+            [changes.posts.removed.length, 'removed posts', 'bg-danger'],
+            [changes.comments.added, 'new comments', 'bg-success'],
+            [changes.comments.removed, 'removed comments', 'bg-danger'],
+            [changes.media.added.length, 'new media files', 'bg-info'],
+            [changes.media.changed.length, 'changed media files', 'bg-info'],
+            [changes.media.removed.length, 'removed media files', 'bg-secondary']
+        ].filter(([count]) => count > 0);
+        
+        // New posts first, then posts that gained the most comments
+        const highlighted = [
+            ...changes.posts.added.map(shortcode => ({ shortcode, label: 'New' })),
+            ...changes.comments.byPost
+                .filter(entry => entry.delta > 0 && !changes.posts.added.includes(entry.shortcode))
+                .map(entry => ({ shortcode: entry.shortcode, label: `+${this.formatNumber(entry.delta)} comments` }))
+        ].slice(0, 8);
+        
+        panel.innerHTML = `
+            <div class="whats-new-header">
+                <div>
+                    <i class="bi bi-stars text-success"></i>
+                    <strong>What's new</strong>
+                    <span class="text-muted small">since ${new Date(changes.since).toLocaleString()}</span>
+                </div>
+                <button type="button" class="btn-close" id="dismissWhatsNew" aria-label="Dismiss"></button>
+            </div>
+            <div class="whats-new-summary">
+                ${summaryItems.map(([count, label, badgeClass]) => `
+                    <span class="badge ${badgeClass}">${this.formatNumber(count)} ${label}</span>
+                `).join('')}
+            </div>
+            ${highlighted.length > 0 ? `
+                <div class="whats-new-posts mb-2">
+                    ${highlighted.map(({ shortcode, label }) => {
+                        const post = this.dataManager.getAccountVideo(changes.accountId, shortcode);
+                        return `
+                            <button type="button" class="whats-new-post" data-video-id="${this.escapeHTML(post?.video_id || shortcode)}">
+                                <span class="badge bg-light text-dark me-1">${label}</span>
+                                ${this.escapeHTML(post?.title || shortcode)}
+                            </button>
+                        `;
+                    }).join('')}
+                </div>
+            ` : ''}
+            ${changes.posts.removed.length > 0 ? `
+                <div class="small text-muted">
+                    Removed: ${changes.posts.removed.slice(0, 5).map(post => this.escapeHTML(post.title || post.shortcode)).join(', ')}${changes.posts.removed.length > 5 ? '…' : ''}
+                </div>
+            ` : ''}
+        `;
+        panel.style.display = 'block';
+        
+        panel.querySelector('#dismissWhatsNew')?.addEventListener('click', () => {
+            panel.style.display = 'none';
+        });
+        panel.querySelectorAll('.whats-new-post').forEach(button => {
+            button.addEventListener('click', () => this.showVideoDetail(button.dataset.videoId));
+        });
+    }
+
+    /**
+     * Toggle the "new only" grid filter
+     */
+    async setNewOnlyFilter(enabled) {
+        if (enabled) {
+            this.currentFilters.newOnly = true;
+        } else {
+            delete this.currentFilters.newOnly;
+        }
+        if (this.elements.newOnlyToggle) {
+            this.elements.newOnlyToggle.checked = enabled;
+        }
+        
+        this.currentPagination.page = 1;
+        await this.loadVideoGrid();
+    }
+
+    /**
+     * Rescan the archive folder and report what changed
+     */
+    async handleArchiveRescan() {
+        const button = this.elements.rescanArchiveBtn;
+        if (!this.instagramDirectoryManager || button?.disabled) return;
+        
+        const originalHTML = button.innerHTML;
+        button.disabled = true;
+        
+        try {
+            // The combined view rescans every loaded account
+            const showingAll = this.dataManager.activeAccountId === this.dataManager.allAccountsId;
+            const directoryManagers = showingAll
+                ? this.dataManager.getAccountArchives().map(archive => archive.directoryManager)
+                : [this.instagramDirectoryManager];
+            
+            const allChanges = [];
+            for (const directoryManager of directoryManagers) {
+                allChanges.push(await this.dataManager.rescanInstagramArchive(directoryManager, (status) => {
+                    button.innerHTML = `<span class="spinner-border spinner-border-sm me-1"></span>${this.escapeHTML(status)}`;
+                }));
+            }
+            
+            this.renderWhatsNewPanel(this.dataManager.archiveChanges);
+            this.renderAccountSwitcher();
+            
+            // Analytics caches are built from comments - refresh them when those changed
+            if (allChanges.some(changes => changes.comments.added || changes.comments.removed || changes.posts.added.length || changes.posts.removed.length)) {
+                this.singlePostAnalyticsCache.clear();
+                await this.preloadAnalyticsData();
+            }
+            
+            this.currentPagination.page = 1;
+            await this.loadVideoGrid();
+            this.updateStats();
+            
+            const noChanges = allChanges.every(changes => changes.isEmpty);
+            const changedMessage = showingAll ? 'Archives rescanned - use "New only" to see what changed' : 'Archive rescanned - see what\'s new above';
+            this.showSuccessToast(noChanges ? 'Archive rescanned - no changes found' : changedMessage);
+        } catch (error) {
+            console.error('❌ Archive rescan failed:', error);
+            this.showError(`Rescan failed: ${error.message}`);
+        } finally {
+            button.disabled = false;
+            button.innerHTML = originalHTML;
+        }
+    }
+
+    /**
+     * Open the archive health report modal, running the check on first use
+     */
+    async showArchiveHealthReport() {
+        const modal = document.getElementById('archiveHealthModal');
+        if (!modal) return;
+        
+        bootstrap.Modal.getOrCreateInstance(modal).show();
+        
+        if (this.archiveHealthChecker?.report) {
+            this.renderArchiveHealthReport(this.archiveHealthChecker.report);
+        } else {
+            await this.runArchiveHealthCheck();
+        }
+    }
+
+    /**
+     * Run the archive health check and render the result
+     */
+    async runArchiveHealthCheck() {
+        const content = document.getElementById('archiveHealthContent');
+        const downloadBtn = document.getElementById('downloadArchiveHealth');
+        const rerunBtn = document.getElementById('rerunArchiveHealth');
+        if (!content) return;
+        
+        if (!this.instagramDirectoryManager) {
+            content.innerHTML = '<div class="alert alert-warning mb-0">Open an archive folder to run a health check.</div>';
+            return;
+        }
+        
+        if (downloadBtn) downloadBtn.disabled = true;
+        if (rerunBtn) rerunBtn.disabled = true;
+        content.innerHTML = `
+            <div class="text-center py-5">
+                <div class="spinner-border text-primary mb-3" role="status"></div>
+                <p class="text-muted mb-0" id="archiveHealthStatus">Starting health check...</p>
+            </div>
+        `;
+        
+        try {
+            this.archiveHealthChecker = new ArchiveHealthChecker(this.instagramDirectoryManager);
+            const report = await this.archiveHealthChecker.generateReport((status) => {
+                const statusEl = document.getElementById('archiveHealthStatus');
+                if (statusEl) statusEl.textContent = status;
+            });
+            this.renderArchiveHealthReport(report);
+            if (downloadBtn) downloadBtn.disabled = false;
+        } catch (error) {
+            console.error('❌ Archive health check failed:', error);
+            content.innerHTML = `<div class="alert alert-danger mb-0">Health check failed: ${this.escapeHTML(error.message)}</div>`;
+        } finally {
+            if (rerunBtn) rerunBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Render the archive health report sections
+     */
+    renderArchiveHealthReport(report) {
+        const content = document.getElementById('archiveHealthContent');
+        if (!content) return;
+        
+        const maxRows = 200;
+        const code = (value) => `<code>${this.escapeHTML(String(value ?? ''))}</code>`;
+        const sections = [
+            {
+                key: 'postsWithoutMedia',
+                title: 'Posts with no media',
+                description: 'These posts are hidden from the grid because no media file matches their shortcode.',
+                row: (item) => `${code(item.shortcode)} ${this.escapeHTML(item.title)} <span class="text-muted">${item.published_at ? new Date(item.published_at).toLocaleDateString() : ''}</span>`
+            },
+            {
+                key: 'orphanMedia',
+                title: 'Media files with no post',
+                description: 'The shortcode parsed from the file name does not match any post.',
+                row: (item) => `${code(item.path)} → ${code(item.shortcode)}`
+            },
+            {
+                key: 'zeroByteMedia',
+                title: 'Zero-byte media files',
+                description: 'Empty files, usually from interrupted downloads.',
+                row: (item) => code(item.path)
+            },
+            {
+                key: 'mimeMismatchedMedia',
+                title: 'MIME-mismatched media files',
+                description: 'The file extension does not match the file contents.',
+                row: (item) => `${code(item.path)} expected ${code(item.expectedType)}, contents look like ${code(item.detectedType || item.reportedType)}`
+            },
+            {
+                key: 'duplicateShortcodes',
+                title: 'Duplicate post shortcodes',
+                description: 'The same shortcode appears more than once in the posts file.',
+                row: (item) => `${code(item.shortcode)} × ${item.occurrences} <span class="text-muted">(entries ${item.postIndexes.join(', ')})</span>`
+            },
+            {
+                key: 'duplicateMediaFiles',
+                title: 'Duplicate media file names',
+                description: 'The same file name exists in more than one media folder.',
+                row: (item) => `${code(item.name)} in ${item.paths.map(code).join(', ')}`
+            },
+            {
+                key: 'orphanCommentFiles',
+                title: 'Comments with no post',
+                description: 'Comment data keyed by a shortcode that has no post.',
+                row: (item) => `${code(item.shortcode)} in ${code(item.path)} <span class="text-muted">(${this.formatNumber(item.comments)} comments)</span>`
+            },
+            {
+                key: 'unparseableCommentFiles',
+                title: 'Comment files that fail to parse',
+                description: 'These files are not valid JSON and their comments are missing from the explorer.',
+                row: (item) => `${code(item.path)} <span class="text-danger">${this.escapeHTML(item.error)}</span>`
+            }
+        ];
+        
+        const summary = report.summary;
+        content.innerHTML = `
+            <div class="row g-3 mb-4">
+                <div class="col-md-3"><div class="stat-card"><div class="stat-number">${this.formatNumber(summary.totalPosts)}</div><div class="stat-label">Posts</div></div></div>
+                <div class="col-md-3"><div class="stat-card"><div class="stat-number">${this.formatNumber(summary.totalMediaFiles)}</div><div class="stat-label">Media files</div></div></div>
+                <div class="col-md-3"><div class="stat-card"><div class="stat-number">${this.formatNumber(summary.commentShortcodes)}</div><div class="stat-label">Posts with comment data</div></div></div>
+                <div class="col-md-3"><div class="stat-card"><div class="stat-number ${summary.issueCount > 0 ? 'text-danger' : 'text-success'}">${this.formatNumber(summary.issueCount)}</div><div class="stat-label">Issues found</div></div></div>
+            </div>
+            <p class="text-muted small">Generated ${new Date(report.generatedAt).toLocaleString()} for <strong>${this.escapeHTML(report.archiveName)}</strong></p>
+            <div class="accordion" id="archiveHealthSections">
+                ${sections.map(section => {
+                    const items = report.issues[section.key] || [];
+                    return `
+                        <div class="accordion-item">
+                            <h2 class="accordion-header">
+                                <button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#health-${section.key}" ${items.length === 0 ? 'disabled' : ''}>
+                                    <span class="badge ${items.length > 0 ? 'bg-danger' : 'bg-success'} me-2">${this.formatNumber(items.length)}</span>
+                                    ${section.title}
+                                </button>
+                            </h2>
+                            <div id="health-${section.key}" class="accordion-collapse collapse" data-bs-parent="#archiveHealthSections">
+                                <div class="accordion-body">
+                                    <p class="text-muted small">${section.description}</p>
+                                    <ul class="list-unstyled small mb-0">
+                                        ${items.slice(0, maxRows).map(item => `<li class="mb-1">${section.row(item)}</li>`).join('')}
+                                    </ul>
+                                    ${items.length > maxRows ? `<p class="text-muted small mt-2 mb-0">…and ${this.formatNumber(items.length - maxRows)} more (see the downloaded JSON)</p>` : ''}
+                                </div>
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
     /**
      * Render pagination
      */
@@ -4429,9 +6790,10 @@ class ArchiveExplorer {
 
         try {
             // Try to use pre-computed insights first for faster loading
+            // (they were counted over every comment, so not while suspected spam is hidden)
             const preComputed = this.dataManager.getWordFrequencies(this.currentVideo.video_id);
             
-            if (preComputed.word_cloud.length > 0) {
+            if (preComputed.word_cloud.length > 0 && !this.dataManager.hideSuspectedSpam) {
                 // Use pre-computed data for instant loading
                 this.renderWordCloud(preComputed.word_cloud);
                 this.renderLikedWords(preComputed.liked_words);
@@ -4441,8 +6803,7 @@ class ArchiveExplorer {
             }
 
             // Fallback to real-time analysis if pre-computed data not available
-            const allComments = await this.dataManager.getAllComments(this.currentVideo.video_id, {});
-            const flatComments = this.flattenComments(allComments);
+            const flatComments = await this.getPostAnalyticsComments(this.currentVideo.video_id);
 
             if (flatComments.length === 0) {
                 this.elements.commentInsights.style.display = 'none';
@@ -4715,6 +7076,14 @@ class ArchiveExplorer {
         return flattened;
     }
 
+    /**
+     * A post's comments and replies as analytics count them (without suspected spam while it is hidden)
+     */
+    async getPostAnalyticsComments(videoId) {
+        const comments = await this.dataManager.getAllComments(videoId, {});
+        return this.dataManager.filterSuspectedSpam(this.flattenComments(comments));
+    }
+
     /**
      * Check and notify about ZIP capabilities
      */
@@ -1,15 +1,45 @@
 /**
- * Archive Directory Manager - Handles the jonno.otto Instagram archive folder structure
+ * Archive Directory Manager - Handles the Instagram archive folder structure
  * Replaces the old DirectoryManager for the new organized archive format
  */
+
+// Layout used when the archive root has no archive.json manifest
+const DEFAULT_ARCHIVE_MANIFEST = {
+    account: {
+        handle: 'jonno.otto',
+        displayName: 'jonno.otto',
+        avatar: null
+    },
+    paths: {
+        media: 'jonno_otto_ig_media',
+        preindexed: 'jonno_otto_preindexed_data',
+        comments: 'mm_ig_comments',
+        postsFile: 'instagram-posts.json',
+        commentsFile: 'instagram-comments.json'
+    }
+};
+
 class ArchiveDirectoryManager {
     constructor() {
         this.archiveHandle = null;
+        this.sourceType = 'directory'; // Only real directory handles can be remembered and reopened
         this.isSupported = this.checkSupport();
         this.mediaFiles = new Map();
+        this.subtitleFiles = new Map(); // shortcode -> .vtt/.srt sidecars saved next to the post's media
         this.postsData = null;
         this.commentsData = null;
         this.commentLoader = null;
+        this.commentLoadError = null;
+        this.commentIndexCache = null; // { load(key), save(key, index) } for per-shortcode comment folders
+        this.fingerprint = null;
+        this.preindexedFileStats = {};
+        this.commentFileStats = {}; // "<file>.json" in the per-shortcode comments folder -> { size, lastModified }
+        this.loadedFromCache = false;
+        this.manifestFileName = 'archive.json';
+        this.manifest = this.createManifest();
+        this.hasManifest = false;
+        this.avatarURL = null;
+        this.commentParserWorkerURL = 'ArchiveExplorer/js/workers/comment-stream-parser.js';
         
         console.log(`📁 ArchiveDirectoryManager initialized - API supported: ${this.isSupported}`);
     }
@@ -22,7 +52,7 @@ class ArchiveDirectoryManager {
     }
 
 /**
-     * Request the jonno.otto Instagram archive directory from user
+     * Request the Instagram archive directory from user
      */
     async requestArchiveDirectory() {
         if (!this.isSupported) {
@@ -52,24 +82,90 @@ class ArchiveDirectoryManager {
         }
     }
 
+    /**
+     * Reopen a previously selected archive from a stored directory handle
+     */
+    async reopenArchiveDirectory(handle) {
+        if (!handle) {
+            throw new Error('No stored archive folder to reopen');
+        }
+
+        // Stored handles lose their permission between sessions - ask again if needed
+        const options = { mode: 'read' };
+        let permission = await handle.queryPermission?.(options) ?? 'granted';
+        if (permission !== 'granted') {
+            permission = await handle.requestPermission(options);
+        }
+        if (permission !== 'granted') {
+            throw new Error(`Permission to read "${handle.name}" was denied`);
+        }
+
+        this.archiveHandle = handle;
+        console.log(`📁 Reopened archive directory: ${handle.name}`);
+
+        const validation = await this.validateArchiveStructure();
+        if (!validation.isValid) {
+            throw new Error(`Invalid archive structure: ${validation.error}`);
+        }
+
+        return this.archiveHandle;
+    }
+
+    /**
+     * Use an in-memory folder tree (from a zip or a file list) as the archive root and validate it
+     */
+    async openVirtualArchive(root) {
+        this.archiveHandle = this.findArchiveRoot(root);
+
+        const validation = await this.validateArchiveStructure();
+        if (!validation.isValid) {
+            throw new Error(`Invalid archive structure: ${validation.error}`);
+        }
+
+        return this.archiveHandle;
+    }
+
+    /**
+     * Step into wrapper folders (e.g. a zipped or dropped archive folder) until the archive layout is found
+     */
+    findArchiveRoot(root) {
+        const mediaFolder = this.manifest.paths.media.split('/')[0];
+        let directory = root;
+
+        while (!directory.children.has(this.manifestFileName) && !directory.children.has(mediaFolder)) {
+            const folders = Array.from(directory.children.values())
+                .filter(child => child.kind === 'directory' && child.name !== '__MACOSX');
+            if (folders.length !== 1) break;
+            directory = folders[0];
+        }
+
+        return directory;
+    }
+
     /**
      * Validate the archive has the expected structure
      */
     async validateArchiveStructure() {
         try {
+            // The manifest decides where everything else lives
+            try {
+                await this.loadManifest();
+            } catch (error) {
+                return {
+                    isValid: false,
+                    error: error.message
+                };
+            }
+
             // Check for required folders and files
             const requiredItems = [
-                { name: 'jonno_otto_ig_media', type: 'directory' },
-                { name: 'jonno_otto_preindexed_data', type: 'directory' }
+                { name: this.manifest.paths.media, type: 'directory' },
+                { name: this.manifest.paths.preindexed, type: 'directory' }
             ];
 
             for (const item of requiredItems) {
                 try {
-                    if (item.type === 'directory') {
-                        await this.archiveHandle.getDirectoryHandle(item.name);
-                    } else {
-                        await this.archiveHandle.getFileHandle(item.name);
-                    }
+                    await this.resolveArchivePath(item.name, item.type);
                 } catch (error) {
                     return {
                         isValid: false,
@@ -80,9 +176,9 @@ class ArchiveDirectoryManager {
 
             // Check if preindexed data files exist
             try {
-                const preindexedHandle = await this.archiveHandle.getDirectoryHandle('jonno_otto_preindexed_data');
+                const preindexedHandle = await this.getArchiveDirectory('preindexed');
                 // Check for expected preindexed files
-                const expectedFiles = ['instagram-posts.json', 'instagram-comments.json'];
+                const expectedFiles = [this.manifest.paths.postsFile, this.manifest.paths.commentsFile];
                 let foundFiles = 0;
                 for (const fileName of expectedFiles) {
                     try {
@@ -110,39 +206,170 @@ class ArchiveDirectoryManager {
         }
     }
 
+    /**
+     * Build a manifest from today's default layout, overlaid with any archive.json values
+     */
+    createManifest(overrides = {}) {
+        return {
+            account: { ...DEFAULT_ARCHIVE_MANIFEST.account, ...(overrides.account || {}) },
+            paths: { ...DEFAULT_ARCHIVE_MANIFEST.paths, ...(overrides.paths || {}) }
+        };
+    }
+
+    /**
+     * Read the optional archive.json manifest from the archive root
+     */
+    async loadManifest() {
+        this.manifest = this.createManifest();
+        this.hasManifest = false;
+        if (this.avatarURL) {
+            URL.revokeObjectURL(this.avatarURL);
+            this.avatarURL = null;
+        }
+
+        let manifestFile;
+        try {
+            const manifestHandle = await this.archiveHandle.getFileHandle(this.manifestFileName);
+            manifestFile = await manifestHandle.getFile();
+        } catch (error) {
+            console.log(`📋 No ${this.manifestFileName} found - using the default archive layout`);
+            return this.manifest;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(await manifestFile.text());
+        } catch (error) {
+            throw new Error(`${this.manifestFileName} is not valid JSON: ${error.message}`);
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error(`${this.manifestFileName} must contain a JSON object`);
+        }
+
+        // Only accept string values so a typo can't silently point at "[object Object]"
+        const pickStrings = (source, keys, section) => {
+            const result = {};
+            if (source === undefined) return result;
+            if (!source || typeof source !== 'object') {
+                throw new Error(`"${section}" in ${this.manifestFileName} must be an object`);
+            }
+            keys.forEach(key => {
+                if (source[key] === undefined || source[key] === null) return;
+                if (typeof source[key] !== 'string' || !source[key].trim()) {
+                    throw new Error(`"${section}.${key}" in ${this.manifestFileName} must be a non-empty string`);
+                }
+                result[key] = source[key].trim().replace(/^\/+|\/+$/g, '');
+            });
+            return result;
+        };
+
+        const account = pickStrings(data.account, Object.keys(DEFAULT_ARCHIVE_MANIFEST.account), 'account');
+        const paths = pickStrings(data.paths, Object.keys(DEFAULT_ARCHIVE_MANIFEST.paths), 'paths');
+        if (account.handle) {
+            account.handle = account.handle.replace(/^@/, '');
+            if (!account.displayName) account.displayName = account.handle;
+        }
+
+        this.manifest = this.createManifest({ account, paths });
+        this.hasManifest = true;
+
+        // The avatar is a path inside the archive, so it needs a blob URL to be displayed
+        if (this.manifest.account.avatar) {
+            try {
+                const avatarHandle = await this.resolveArchivePath(this.manifest.account.avatar, 'file');
+                this.avatarURL = URL.createObjectURL(await avatarHandle.getFile());
+            } catch (error) {
+                console.warn(`⚠️ Avatar "${this.manifest.account.avatar}" from ${this.manifestFileName} not found:`, error);
+            }
+        }
+
+        console.log(`📋 Loaded ${this.manifestFileName} for @${this.manifest.account.handle}`, this.manifest.paths);
+        return this.manifest;
+    }
+
+    /**
+     * Resolve a slash-separated path relative to the archive root
+     */
+    async resolveArchivePath(path, kind = 'directory') {
+        const segments = path.split('/').filter(Boolean);
+        const last = segments.pop();
+        let handle = this.archiveHandle;
+
+        for (const segment of segments) {
+            handle = await handle.getDirectoryHandle(segment);
+        }
+
+        return kind === 'file'
+            ? await handle.getFileHandle(last)
+            : await handle.getDirectoryHandle(last);
+    }
+
+    /**
+     * Get the directory handle for a folder declared in the manifest ('media', 'preindexed' or 'comments')
+     */
+    async getArchiveDirectory(pathKey) {
+        return await this.resolveArchivePath(this.manifest.paths[pathKey], 'directory');
+    }
+
+    /**
+     * Get the account details declared in the manifest
+     */
+    getAccount() {
+        return {
+            ...this.manifest.account,
+            avatarURL: this.avatarURL
+        };
+    }
+
     /**
      * Load all archive data
+     * options.isCached(fingerprint) may return cached archive info to skip parsing posts and comments
+     * options.commentIndexCache stores comment stats indexes for archives with a per-shortcode comments folder
      */
-    async loadArchiveData(progressCallback) {
+    async loadArchiveData(progressCallback, options = {}) {
         if (!this.archiveHandle) {
             throw new Error('No archive directory selected');
         }
+        this.commentIndexCache = options.commentIndexCache || this.commentIndexCache;
 
         console.log('📁 Loading Instagram archive data...');
         
         try {
-            // Load preindexed data
-            progressCallback?.('Loading post metadata...', 20);
-            await this.loadPreindexedData();
-            
-            // Scan media files
-            progressCallback?.('Scanning media files...', 40);
+            // Scan media files (file handles are always needed, and feed the fingerprint)
+            progressCallback?.('Scanning media files...', 20);
             await this.scanMediaFiles();
             
-            // Initialize comment loader
-            progressCallback?.('Loading comment database...', 60);
-            await this.loadCommentData();
+            // Check for a cached copy of this exact archive
+            progressCallback?.('Checking archive cache...', 30);
+            await this.computeFingerprint();
+            const cachedInfo = options.isCached ? await options.isCached(this.fingerprint) : null;
+            this.loadedFromCache = Boolean(cachedInfo);
+            
+            if (this.loadedFromCache) {
+                console.log(`⚡ Archive unchanged since last open (fingerprint ${this.fingerprint.substring(0, 12)}…) - using cache`);
+            } else {
+                // Load preindexed data
+                progressCallback?.('Loading post metadata...', 40);
+                await this.loadPreindexedData();
+                
+                // Initialize comment loader
+                progressCallback?.('Loading comment database...', 60);
+                await this.loadCommentData(progressCallback);
+            }
             
             progressCallback?.('Archive loaded successfully', 100);
             
-            console.log(`📊 Archive loaded: ${this.postsData?.length || 0} posts, ${this.mediaFiles.size} media files`);
+            const totalPosts = this.loadedFromCache ? cachedInfo.postCount : (this.postsData?.length || 0);
+            console.log(`📊 Archive loaded: ${totalPosts} posts, ${this.mediaFiles.size} media files`);
             
             return {
                 metadata: this.postsData,
                 mediaFiles: this.mediaFiles,
                 commentLoader: this.commentLoader,
-                totalPosts: this.postsData?.length || 0,
-                totalMedia: this.mediaFiles.size
+                totalPosts,
+                totalMedia: this.mediaFiles.size,
+                fingerprint: this.fingerprint,
+                fromCache: this.loadedFromCache
             };
             
         } catch (error) {
@@ -151,13 +378,122 @@ class ArchiveDirectoryManager {
         }
     }
 
+    /**
+     * Load posts and comments from the archive files, e.g. when the cache turns out to be unusable
+     */
+    async loadParsedData(progressCallback) {
+        await this.loadPreindexedData();
+        await this.loadCommentData(progressCallback);
+        this.loadedFromCache = false;
+    }
+
+    /**
+     * Re-scan the archive folder, reporting which preindexed and per-shortcode comment files changed
+     * since the last scan. Media is always re-scanned; posts and comments are left for the caller to reload when changed.
+     */
+    async rescanArchive(progressCallback) {
+        if (!this.archiveHandle) {
+            throw new Error('No archive directory selected');
+        }
+
+        const previousFingerprint = this.fingerprint;
+        const previousStats = this.preindexedFileStats;
+        const previousCommentStats = this.commentFileStats;
+        const statsDiffer = (before, after) => before?.size !== after?.size || before?.lastModified !== after?.lastModified;
+        const hasChanged = (name) => statsDiffer(previousStats[name], this.preindexedFileStats[name]);
+        // New, edited or removed comment dumps in the per-shortcode comments folder
+        const commentFolderChanged = () => {
+            const names = new Set([...Object.keys(previousCommentStats), ...Object.keys(this.commentFileStats)]);
+            return Array.from(names).some(name => statsDiffer(previousCommentStats[name], this.commentFileStats[name]));
+        };
+
+        progressCallback?.('Rescanning media files...', 20);
+        this.mediaFiles = new Map();
+        this.subtitleFiles = new Map();
+        await this.scanMediaFiles();
+
+        progressCallback?.('Checking preindexed data...', 40);
+        await this.computeFingerprint();
+
+        const changes = {
+            fingerprintChanged: this.fingerprint !== previousFingerprint,
+            postsChanged: hasChanged(this.manifest.paths.postsFile),
+            commentsChanged: hasChanged(this.manifest.paths.commentsFile) || commentFolderChanged()
+        };
+
+        console.log(`🔄 Rescan complete - posts file ${changes.postsChanged ? 'changed' : 'unchanged'}, comments ${changes.commentsChanged ? 'changed' : 'unchanged'}`);
+        return changes;
+    }
+
+    /**
+     * Build a fingerprint of the archive from file names, sizes and modification times
+     * of the preindexed files, the per-shortcode comment files and the media
+     */
+    async computeFingerprint() {
+        const entries = [];
+        this.preindexedFileStats = {};
+        this.commentFileStats = {};
+        
+        try {
+            const preindexedHandle = await this.getArchiveDirectory('preindexed');
+            for await (const [name, handle] of preindexedHandle.entries()) {
+                if (handle.kind !== 'file') continue;
+                const file = await this.getFileInfo(handle);
+                this.preindexedFileStats[name] = { size: file.size, lastModified: file.lastModified };
+                entries.push(`${this.manifest.paths.preindexed}/${name}|${file.size}|${file.lastModified}`);
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not read preindexed data for fingerprint:', error);
+        }
+        
+        let commentsHandle = null;
+        try {
+            commentsHandle = await this.getArchiveDirectory('comments');
+        } catch (error) {
+            // The per-shortcode comments folder is optional
+        }
+        if (commentsHandle) {
+            for await (const [name, handle] of commentsHandle.entries()) {
+                if (handle.kind !== 'file' || !name.endsWith('.json') || name.startsWith('._')) continue;
+                const file = await this.getFileInfo(handle);
+                this.commentFileStats[name] = { size: file.size, lastModified: file.lastModified };
+                entries.push(`${this.manifest.paths.comments}/${name}|${file.size}|${file.lastModified}`);
+            }
+        }
+        
+        for (const mediaInfo of this.mediaFiles.values()) {
+            for (const item of mediaInfo.items) {
+                entries.push(`${item.path}|${item.size}|${item.file.lastModified}`);
+            }
+        }
+        
+        entries.sort();
+        const source = `${this.archiveHandle.name}\n${entries.join('\n')}`;
+        
+        if (window.crypto?.subtle) {
+            const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(source));
+            this.fingerprint = Array.from(new Uint8Array(digest))
+                .map(byte => byte.toString(16).padStart(2, '0'))
+                .join('');
+        } else {
+            // Non-secure contexts have no SubtleCrypto - fall back to a simple string hash
+            let hash = 0;
+            for (let i = 0; i < source.length; i++) {
+                hash = ((hash << 5) - hash + source.charCodeAt(i)) | 0;
+            }
+            this.fingerprint = `${(hash >>> 0).toString(16)}-${entries.length}-${source.length}`;
+        }
+        
+        return this.fingerprint;
+    }
+
     /**
      * Load the preindexed data files
      */
     async loadPreindexedData() {
         try {
-            const preindexedHandle = await this.archiveHandle.getDirectoryHandle('jonno_otto_preindexed_data');
-            const postsFileHandle = await preindexedHandle.getFileHandle('instagram-posts.json');
+            const preindexedHandle = await this.getArchiveDirectory('preindexed');
+            const postsFileHandle = await preindexedHandle.getFileHandle(this.manifest.paths.postsFile);
             const postsFile = await postsFileHandle.getFile();
             this.postsData = JSON.parse(await postsFile.text());
             console.log(`📊 Loaded ${this.postsData.length} posts from preindexed data`);
@@ -172,9 +508,15 @@ class ArchiveDirectoryManager {
      */
     async scanMediaFiles() {
         try {
-            const mediaHandle = await this.archiveHandle.getDirectoryHandle('jonno_otto_ig_media');
-            await this.scanDirectoryRecursive(mediaHandle, 'jonno_otto_ig_media');
-            console.log(`📁 Found ${this.mediaFiles.size} media files`);
+            const mediaHandle = await this.getArchiveDirectory('media');
+            await this.scanDirectoryRecursive(mediaHandle, this.manifest.paths.media);
+            this.orderMediaItems();
+            
+            const carouselCount = Array.from(this.mediaFiles.values()).filter(mediaInfo => mediaInfo.isCarousel).length;
+            console.log(`📁 Found media for ${this.mediaFiles.size} posts (${carouselCount} carousels)`);
+            if (this.subtitleFiles.size > 0) {
+                console.log(`💬 Found transcripts for ${this.subtitleFiles.size} posts`);
+            }
             
             // Debug: Show first few shortcodes found
             const shortcodes = Array.from(this.mediaFiles.keys()).slice(0, 5);
@@ -208,44 +550,33 @@ class ArchiveDirectoryManager {
     /**
      * Initialize the comment data loader
      */
-    async loadCommentData() {
+    async loadCommentData(progressCallback) {
+        this.commentLoadError = null;
         try {
             console.log('💬 Starting comment data loading...');
-            const preindexedHandle = await this.archiveHandle.getDirectoryHandle('jonno_otto_preindexed_data');
+            const preindexedHandle = await this.getArchiveDirectory('preindexed');
             console.log('📁 Got preindexed directory handle');
             
-            const commentsFileHandle = await preindexedHandle.getFileHandle('instagram-comments.json');
+            const commentsFileHandle = await preindexedHandle.getFileHandle(this.manifest.paths.commentsFile);
             console.log('📄 Got comments file handle');
             
             const commentsFile = await commentsFileHandle.getFile();
             console.log(`📊 Comments file size: ${(commentsFile.size / (1024 * 1024)).toFixed(1)}MB`);
             
-            console.log('📝 Getting file text...');
-            const fileText = await commentsFile.text();
-            console.log('📝 File text loaded, parsing JSON without blocking...');
-            
-            // Parse JSON without blocking the main thread using setTimeout chunks
-            this.commentsData = await this.parseJSONNonBlocking(fileText);
-            console.log('✅ JSON parsing complete!');
+            // Expose the loader up front - commentsData fills in as shortcodes are parsed
+            this.commentsData = {};
+            this.commentLoader = this.createCommentLoader();
             
-            // Create a simple comment loader interface for compatibility
-            this.commentLoader = {
-                getCommentsForPost: (shortcode, page = 1, limit = 50) => {
-                    const postComments = this.commentsData[shortcode] || [];
-                    const start = (page - 1) * limit;
-                    const end = start + limit;
-                    const comments = postComments.slice(start, end);
-                    
-                    return {
-                        comments: comments,
-                        total: postComments.length,
-                        hasMore: end < postComments.length
-                    };
-                },
-                getPostCommentCount: (shortcode) => {
-                    return (this.commentsData[shortcode] || []).length;
+            if (typeof Worker !== 'undefined') {
+                try {
+                    await this.parseCommentsInWorker(commentsFile, progressCallback);
+                } catch (workerError) {
+                    console.warn('⚠️ Comment parser worker failed, falling back to main thread:', workerError);
+                    this.commentsData = await this.parseCommentsOnMainThread(commentsFile);
                 }
-            };
+            } else {
+                this.commentsData = await this.parseCommentsOnMainThread(commentsFile);
+            }
             
             const totalComments = Object.values(this.commentsData).reduce((sum, comments) => sum + comments.length, 0);
             const totalPosts = Object.keys(this.commentsData).length;
@@ -254,7 +585,134 @@ class ArchiveDirectoryManager {
             console.warn('⚠️ Failed to load comment data:', error);
             this.commentLoader = null;
             this.commentsData = {};
+            
+            // A missing file is allowed; anything else is surfaced by the health report
+            if (error.name !== 'NotFoundError') {
+                this.commentLoadError = error.message;
+            } else {
+                await this.loadCommentFolder();
+            }
+        }
+    }
+
+    /**
+     * Fall back to the per-shortcode comments folder when there is no preindexed comments file
+     */
+    async loadCommentFolder() {
+        try {
+            await this.getArchiveDirectory('comments');
+        } catch (error) {
+            return false;
+        }
+        
+        const loader = new CommentDatabaseLoader(this.archiveHandle, this.manifest.paths.comments, {
+            indexCache: this.commentIndexCache,
+            getFileInfo: (handle) => this.getFileInfo(handle)
+        });
+        if (!await loader.initialize()) {
+            return false;
         }
+        
+        console.log(`💬 Using per-shortcode comments folder ${this.manifest.paths.comments}`);
+        this.commentLoader = loader;
+        return true;
+    }
+
+    /**
+     * Create the comment loader interface backed by commentsData
+     */
+    createCommentLoader() {
+        return {
+            getCommentsForPost: (shortcode, page = 1, limit = 50) => {
+                const postComments = this.commentsData[shortcode] || [];
+                const start = (page - 1) * limit;
+                const end = start + limit;
+                const comments = postComments.slice(start, end);
+                
+                return {
+                    comments: comments,
+                    total: postComments.length,
+                    hasMore: end < postComments.length
+                };
+            },
+            getPostCommentCount: (shortcode) => {
+                return (this.commentsData[shortcode] || []).length;
+            }
+        };
+    }
+
+    /**
+     * Stream and parse the comments file in a Web Worker, storing each shortcode as it arrives
+     */
+    parseCommentsInWorker(commentsFile, progressCallback) {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(this.commentParserWorkerURL);
+            const totalMB = (commentsFile.size / (1024 * 1024)).toFixed(1);
+            let lastLoggedDecile = -1;
+            
+            console.log('🧵 Parsing comments in background worker...');
+            
+            worker.onmessage = (event) => {
+                const message = event.data;
+                
+                switch (message.type) {
+                    case 'shortcode':
+                        this.commentsData[message.shortcode] = message.comments;
+                        break;
+                        
+                    case 'progress': {
+                        const fraction = message.total > 0 ? message.loaded / message.total : 1;
+                        const loadedMB = (message.loaded / (1024 * 1024)).toFixed(1);
+                        
+                        // Comment parsing spans the 60-95% band of the overall archive load
+                        progressCallback?.(
+                            `Parsing comments... ${Math.round(fraction * 100)}% (${loadedMB} / ${totalMB} MB)`,
+                            60 + Math.round(fraction * 35)
+                        );
+                        
+                        const decile = Math.floor(fraction * 10);
+                        if (decile > lastLoggedDecile) {
+                            lastLoggedDecile = decile;
+                            const progressBar = '█'.repeat(decile * 3) + '░'.repeat(30 - decile * 3);
+                            console.log(`[${progressBar}] ${(fraction * 100).toFixed(0)}% - ${loadedMB} MB parsed`);
+                        }
+                        break;
+                    }
+                        
+                    case 'complete':
+                        worker.terminate();
+                        console.log(`✅ Worker parsed ${message.totalComments.toLocaleString()} comments across ${message.totalShortcodes} shortcodes`);
+                        resolve(message);
+                        break;
+                        
+                    case 'error':
+                        worker.terminate();
+                        reject(new Error(message.message));
+                        break;
+                }
+            };
+            
+            worker.onerror = (event) => {
+                event.preventDefault();
+                worker.terminate();
+                reject(new Error(event.message || 'Comment parser worker could not be started'));
+            };
+            
+            worker.postMessage({ file: commentsFile });
+        });
+    }
+
+    /**
+     * Fallback for environments without Web Worker support
+     */
+    async parseCommentsOnMainThread(commentsFile) {
+        console.log('📝 Getting file text...');
+        const fileText = await commentsFile.text();
+        console.log('📝 File text loaded, parsing JSON without blocking...');
+        
+        const commentsData = await this.parseJSONNonBlocking(fileText);
+        console.log('✅ JSON parsing complete!');
+        return commentsData;
     }
 
     /**
@@ -265,21 +723,37 @@ class ArchiveDirectoryManager {
             const fullPath = `${path}/${name}`;
             
             if (handle.kind === 'file') {
-                const file = await handle.getFile();
-                
                 // Check if it's a media file
                 if (this.isMediaFile(name)) {
-                    // Extract shortcode from filename (assuming format like shortcode.mp4)
-                    const shortcode = this.extractShortcodeFromFilename(name);
+                    const file = await this.getFileInfo(handle);
+                    
+                    // Extract shortcode and carousel position from filename (e.g. shortcode_2.mp4)
+                    const { shortcode, index } = this.parseMediaFilename(name);
                     if (shortcode) {
-                        this.mediaFiles.set(shortcode, {
+                        this.addMediaItem(shortcode, {
                             file,
                             handle,
                             path: fullPath,
                             name,
                             size: file.size,
-                            type: file.type
+                            type: file.type,
+                            index
+                        });
+                    }
+                } else if (SubtitleParser.isSubtitleFile(name)) {
+                    // Transcript sidecar next to a reel (e.g. shortcode.vtt, shortcode_2.en.srt)
+                    const { shortcode, index, language } = this.parseSubtitleFilename(name);
+                    if (shortcode) {
+                        const tracks = this.subtitleFiles.get(shortcode) || [];
+                        tracks.push({
+                            file: await this.getFileInfo(handle),
+                            handle,
+                            path: fullPath,
+                            name,
+                            index,
+                            language
                         });
+                        this.subtitleFiles.set(shortcode, tracks);
                     }
                 }
             } else if (handle.kind === 'directory') {
@@ -288,6 +762,66 @@ class ArchiveDirectoryManager {
         }
     }
 
+    /**
+     * Get a file's name, size, type and lastModified without reading its contents.
+     * Directory handles hand out lazy File objects, so the File itself is enough here.
+     */
+    async getFileInfo(handle) {
+        return await handle.getFile();
+    }
+
+    /**
+     * Read a file's first bytes, e.g. to sniff its real type, without reading the rest
+     */
+    async readFileHead(handle, length) {
+        const file = await handle.getFile();
+        return new Uint8Array(await file.slice(0, length).arrayBuffer());
+    }
+
+    /**
+     * Get the readable Blob for a scanned media item
+     */
+    async getMediaBlob(item) {
+        return item.file;
+    }
+
+    /**
+     * Add a media file to its post's group - carousel posts have one file per item
+     */
+    addMediaItem(shortcode, item) {
+        const mediaInfo = this.mediaFiles.get(shortcode);
+        if (mediaInfo) {
+            mediaInfo.items.push(item);
+        } else {
+            this.mediaFiles.set(shortcode, { ...item, items: [item], isCarousel: false });
+        }
+    }
+
+    /**
+     * Sort each post's media by carousel index and expose the first item as the post's media
+     */
+    orderMediaItems() {
+        this.mediaFiles.forEach(mediaInfo => {
+            // Unnumbered files come first, then numbered ones in index order
+            mediaInfo.items.sort((a, b) =>
+                (a.index ?? -1) - (b.index ?? -1) ||
+                a.name.localeCompare(b.name, undefined, { numeric: true })
+            );
+            
+            const first = mediaInfo.items[0];
+            Object.assign(mediaInfo, {
+                file: first.file,
+                handle: first.handle,
+                path: first.path,
+                name: first.name,
+                size: first.size,
+                type: first.type,
+                index: first.index,
+                isCarousel: mediaInfo.items.length > 1
+            });
+        });
+    }
+
     /**
      * Check if file is a media file
      */
@@ -301,41 +835,105 @@ class ArchiveDirectoryManager {
      * Extract shortcode from filename
      */
     extractShortcodeFromFilename(filename) {
+        return this.parseMediaFilename(filename).shortcode;
+    }
+
+    /**
+     * Split a media filename into its shortcode and carousel index (null when unnumbered)
+     */
+    parseMediaFilename(filename) {
         // Remove extension
         const nameWithoutExt = filename.substring(0, filename.lastIndexOf('.'));
+        const toIndex = (value) => value === undefined ? null : parseInt(value, 10);
         
-        // Handle different filename formats:
-        // Format 1: Standard shortcode (11 chars): BmnmJZMhgFC.mp4
-        // Format 2: With timestamp: -1VZ0EyJxy_2015_12_03__09_40_14.jpg
+        // Handle different filename formats, each optionally followed by a carousel index:
+        // Format 1: Standard shortcode (11 chars): BmnmJZMhgFC.mp4, BmnmJZMhgFC_2.jpg
+        // Format 2: With timestamp: -1VZ0EyJxy_2015_12_03__09_40_14.jpg, -1VZ0EyJxy_2015_12_03__09_40_14_2.jpg
         
         // Try format 2 first (with timestamp)
-        const timestampPattern = /^([A-Za-z0-9_-]+)_\d{4}_\d{2}_\d{2}__\d{2}_\d{2}_\d{2}$/;
+        const timestampPattern = /^([A-Za-z0-9_-]+)_\d{4}_\d{2}_\d{2}__\d{2}_\d{2}_\d{2}(?:_(\d+))?$/;
         let match = nameWithoutExt.match(timestampPattern);
         if (match) {
-            return match[1]; // Return the shortcode part before the timestamp
+            // The shortcode part before the timestamp
+            return { shortcode: match[1], index: toIndex(match[2]) };
         }
         
         // Try format 1 (standard shortcode)
-        const shortcodePattern = /^([A-Za-z0-9_-]{11})$/;
+        const shortcodePattern = /^([A-Za-z0-9_-]{11})(?:_(\d+))?$/;
         match = nameWithoutExt.match(shortcodePattern);
         if (match) {
-            return match[1];
+            return { shortcode: match[1], index: toIndex(match[2]) };
         }
         
-        // Fallback: use the first part before any underscore or the whole name
+        // Fallback: use the first part before any underscore or the whole name,
+        // with a trailing number as the index
         const parts = nameWithoutExt.split('_');
-        return parts[0] || nameWithoutExt;
+        const last = parts[parts.length - 1];
+        return {
+            shortcode: parts[0] || nameWithoutExt,
+            index: parts.length > 1 && /^\d+$/.test(last) ? toIndex(last) : null
+        };
     }
 
 
     /**
-     * Get file URL for a media file
+     * Split a sidecar filename into the media file's shortcode and index, plus an optional
+     * language code before the extension (shortcode.en.vtt, shortcode_2015_12_03__09_40_14.pt-BR.srt)
      */
-    async getFileURL(shortcode) {
-        const mediaInfo = this.mediaFiles.get(shortcode);
-        if (!mediaInfo) return null;
+    parseSubtitleFilename(filename) {
+        const extension = filename.substring(filename.lastIndexOf('.'));
+        let base = filename.substring(0, filename.lastIndexOf('.'));
+        let language = null;
+
+        const languageMatch = base.match(/\.([a-z]{2,3}(?:[-_][A-Za-z]{2,4})?)$/i);
+        if (languageMatch) {
+            language = languageMatch[1].replace('_', '-');
+            base = base.substring(0, languageMatch.index);
+        }
+
+        return { ...this.parseMediaFilename(`${base}${extension}`), language };
+    }
+
+    /**
+     * Get the sidecar transcripts of one media item (position in carousel order).
+     * Numbered sidecars belong to the item with the same number, unnumbered ones to the post's first video.
+     */
+    getSubtitleTracks(shortcode, position = 0) {
+        const items = this.getMediaItems(shortcode);
+        const item = items[position];
+        const tracks = this.subtitleFiles.get(shortcode) || [];
+        if (!item || tracks.length === 0) return [];
+
+        const numbered = tracks.filter(track => track.index !== null && track.index === item.index);
+        if (numbered.length > 0) return numbered;
+
+        const firstVideo = items.findIndex(candidate => candidate.type?.startsWith('video/'));
+        return position === Math.max(0, firstVideo) ? tracks.filter(track => track.index === null) : [];
+    }
+
+    /**
+     * Read and parse a sidecar transcript into timed cues
+     */
+    async readSubtitleCues(track) {
+        const blob = await this.getMediaBlob(track);
+        return SubtitleParser.parse(await blob.text());
+    }
+
+    /**
+     * Get file URL for a media file (index picks a carousel item, the first by default)
+     */
+    async getFileURL(shortcode, index = 0) {
+        const item = this.getMediaItems(shortcode)[index];
+        if (!item) return null;
         
-        return URL.createObjectURL(mediaInfo.file);
+        return URL.createObjectURL(await this.getMediaBlob(item));
+    }
+
+    /**
+     * Get every media item of a post in carousel order
+     */
+    getMediaItems(shortcode) {
+        return this.mediaFiles.get(shortcode)?.items || [];
     }
 
     /**
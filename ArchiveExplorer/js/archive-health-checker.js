@@ -0,0 +1,316 @@
+/**
+ * Archive Health Checker - Diagnoses integrity problems in an opened Instagram archive
+ * Cross-checks posts, media files and comment files and produces a downloadable JSON report
+ */
+class ArchiveHealthChecker {
+    constructor(directoryManager) {
+        this.directoryManager = directoryManager;
+        this.report = null;
+
+        // Expected MIME type per media extension
+        this.extensionTypes = {
+            '.mp4': 'video/mp4',
+            '.jpg': 'image/jpeg',
+            '.jpeg': 'image/jpeg',
+            '.png': 'image/png',
+            '.gif': 'image/gif',
+            '.webp': 'image/webp'
+        };
+    }
+
+    /**
+     * Run every check and build the report
+     */
+    async generateReport(progressCallback) {
+        const manager = this.directoryManager;
+        if (!manager?.archiveHandle) {
+            throw new Error('No archive directory selected');
+        }
+
+        console.log('🩺 Running archive health check...');
+        const issues = {
+            postsWithoutMedia: [],
+            orphanMedia: [],
+            zeroByteMedia: [],
+            mimeMismatchedMedia: [],
+            duplicateShortcodes: [],
+            duplicateMediaFiles: [],
+            orphanCommentFiles: [],
+            unparseableCommentFiles: []
+        };
+
+        // Posts
+        progressCallback?.('Checking post metadata...', 10);
+        const posts = await this.loadPosts();
+        const postShortcodes = new Map();
+        posts.forEach((post, index) => {
+            const shortcode = post.shortcode || post.video_id;
+            if (!postShortcodes.has(shortcode)) {
+                postShortcodes.set(shortcode, []);
+            }
+            postShortcodes.get(shortcode).push({ index, post });
+        });
+        postShortcodes.forEach((entries, shortcode) => {
+            if (entries.length > 1) {
+                issues.duplicateShortcodes.push({
+                    shortcode,
+                    occurrences: entries.length,
+                    postIndexes: entries.map(entry => entry.index)
+                });
+            }
+        });
+
+        // Media
+        progressCallback?.('Inspecting media files...', 25);
+        const mediaEntries = await this.collectMediaEntries(progressCallback);
+        const mediaShortcodes = new Set();
+        const mediaByName = new Map();
+
+        for (const entry of mediaEntries) {
+            if (entry.shortcode) {
+                mediaShortcodes.add(entry.shortcode);
+                if (!postShortcodes.has(entry.shortcode)) {
+                    issues.orphanMedia.push({ path: entry.path, shortcode: entry.shortcode, size: entry.size });
+                }
+            }
+
+            if (!mediaByName.has(entry.name)) {
+                mediaByName.set(entry.name, []);
+            }
+            mediaByName.get(entry.name).push(entry.path);
+
+            if (entry.size === 0) {
+                issues.zeroByteMedia.push({ path: entry.path, shortcode: entry.shortcode });
+            } else if (entry.mimeMismatch) {
+                issues.mimeMismatchedMedia.push({
+                    path: entry.path,
+                    shortcode: entry.shortcode,
+                    expectedType: entry.expectedType,
+                    reportedType: entry.reportedType || null,
+                    detectedType: entry.detectedType || null
+                });
+            }
+        }
+
+        mediaByName.forEach((paths, name) => {
+            if (paths.length > 1) {
+                issues.duplicateMediaFiles.push({ name, paths });
+            }
+        });
+
+        postShortcodes.forEach((entries, shortcode) => {
+            if (!mediaShortcodes.has(shortcode)) {
+                const post = entries[0].post;
+                issues.postsWithoutMedia.push({
+                    shortcode,
+                    title: post.title || post.description?.substring(0, 100) || '',
+                    published_at: post.published_at || null
+                });
+            }
+        });
+
+        // Comments
+        progressCallback?.('Checking comment files...', 70);
+        const commentStats = await this.checkCommentFiles(postShortcodes, issues, progressCallback);
+
+        const issueCount = Object.values(issues).reduce((sum, list) => sum + list.length, 0);
+        this.report = {
+            archiveName: manager.getDirectoryName(),
+            generatedAt: new Date().toISOString(),
+            summary: {
+                totalPosts: posts.length,
+                uniquePostShortcodes: postShortcodes.size,
+                totalMediaFiles: mediaEntries.length,
+                totalMediaBytes: mediaEntries.reduce((sum, entry) => sum + entry.size, 0),
+                commentFilesChecked: commentStats.filesChecked,
+                commentShortcodes: commentStats.shortcodes,
+                issueCount,
+                issueCounts: Object.fromEntries(Object.entries(issues).map(([key, list]) => [key, list.length]))
+            },
+            issues
+        };
+
+        progressCallback?.('Health check complete', 100);
+        console.log(`🩺 Health check complete: ${issueCount} issues found`);
+        return this.report;
+    }
+
+    /**
+     * Get raw post records, reading the posts file when they were restored from cache
+     */
+    async loadPosts() {
+        if (this.directoryManager.postsData) {
+            return this.directoryManager.postsData;
+        }
+        await this.directoryManager.loadPreindexedData();
+        return this.directoryManager.postsData || [];
+    }
+
+    /**
+     * Walk the media folder, sniffing each file's real type from its header bytes.
+     * Sizes come from file metadata and only the header is read, so zip entries aren't inflated.
+     */
+    async collectMediaEntries(progressCallback) {
+        const entries = [];
+        const mediaPath = this.directoryManager.manifest.paths.media;
+        const mediaHandle = await this.directoryManager.getArchiveDirectory('media');
+
+        const walk = async (dirHandle, path) => {
+            for await (const [name, handle] of dirHandle.entries()) {
+                const fullPath = `${path}/${name}`;
+                if (handle.kind === 'directory') {
+                    await walk(handle, fullPath);
+                    continue;
+                }
+                if (!this.directoryManager.isMediaFile(name) || name.startsWith('._')) continue;
+
+                const file = await this.directoryManager.getFileInfo(handle);
+                const extension = name.toLowerCase().substring(name.lastIndexOf('.'));
+                const expectedType = this.extensionTypes[extension];
+                const detectedType = file.size > 0
+                    ? this.detectMimeType(await this.directoryManager.readFileHead(handle, 16))
+                    : null;
+                const reportedType = file.type;
+
+                entries.push({
+                    path: fullPath,
+                    name,
+                    shortcode: this.directoryManager.extractShortcodeFromFilename(name),
+                    size: file.size,
+                    expectedType,
+                    reportedType,
+                    detectedType,
+                    mimeMismatch: Boolean(
+                        (detectedType && detectedType !== expectedType) ||
+                        (reportedType && reportedType !== expectedType)
+                    )
+                });
+
+                if (entries.length % 500 === 0) {
+                    progressCallback?.(`Inspecting media files... ${entries.length.toLocaleString()} checked`, 40);
+                }
+            }
+        };
+
+        await walk(mediaHandle, mediaPath);
+        return entries;
+    }
+
+    /**
+     * Identify a media file's format from its first 16 bytes
+     */
+    detectMimeType(bytes) {
+        const ascii = (start, end) => String.fromCharCode(...bytes.slice(start, end));
+
+        if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return 'image/jpeg';
+        if (bytes[0] === 0x89 && ascii(1, 4) === 'PNG') return 'image/png';
+        if (ascii(0, 4) === 'GIF8') return 'image/gif';
+        if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+        if (ascii(4, 8) === 'ftyp') return 'video/mp4';
+        return 'unknown';
+    }
+
+    /**
+     * Check the preindexed comments file and any per-shortcode comment files
+     */
+    async checkCommentFiles(postShortcodes, issues, progressCallback) {
+        const manager = this.directoryManager;
+        const stats = { filesChecked: 0, shortcodes: 0 };
+        const { preindexed, commentsFile, comments: commentsFolder } = manager.manifest.paths;
+        const commentsFilePath = `${preindexed}/${commentsFile}`;
+
+        // Preindexed comments file, when the archive has one. An archive restored from cache never
+        // parsed it, so it is parsed into a local copy - the manager's live comment state stays as is
+        const hasCommentsFile = Boolean(manager.preindexedFileStats[commentsFile]);
+        let commentsData = manager.commentsData;
+        let commentsError = manager.commentLoadError;
+        const isParsed = commentsData && Object.keys(commentsData).length > 0;
+        if (hasCommentsFile && !isParsed && !commentsError && manager.loadedFromCache) {
+            progressCallback?.('Parsing the comments file...', 75);
+            try {
+                const preindexedHandle = await manager.getArchiveDirectory('preindexed');
+                const file = await (await preindexedHandle.getFileHandle(commentsFile)).getFile();
+                commentsData = await manager.parseCommentsOnMainThread(file);
+            } catch (error) {
+                commentsError = error.message;
+            }
+        }
+        if (commentsError) {
+            issues.unparseableCommentFiles.push({
+                path: commentsFilePath,
+                error: commentsError
+            });
+        } else if (hasCommentsFile && commentsData) {
+            stats.filesChecked++;
+            Object.entries(commentsData).forEach(([shortcode, comments]) => {
+                stats.shortcodes++;
+                if (!postShortcodes.has(shortcode)) {
+                    issues.orphanCommentFiles.push({
+                        path: commentsFilePath,
+                        shortcode,
+                        comments: Array.isArray(comments) ? comments.length : 0
+                    });
+                }
+            });
+        }
+
+        // Per-shortcode JSON files in the comments folder, when present
+        let commentsHandle = null;
+        try {
+            commentsHandle = await manager.getArchiveDirectory('comments');
+        } catch (error) {
+            return stats;
+        }
+
+        progressCallback?.('Checking per-post comment files...', 90);
+        for await (const [name, handle] of commentsHandle.entries()) {
+            if (handle.kind !== 'file' || !name.endsWith('.json') || name.startsWith('._')) continue;
+            // CommentDatabaseLoader's optional stats index isn't a comment file
+            if (name === '_index.json') continue;
+
+            const path = `${commentsFolder}/${name}`;
+            const shortcode = name.replace('.json', '');
+            stats.filesChecked++;
+
+            let data;
+            try {
+                const file = await handle.getFile();
+                data = JSON.parse(await file.text());
+            } catch (error) {
+                issues.unparseableCommentFiles.push({ path, error: error.message });
+                continue;
+            }
+
+            if (!postShortcodes.has(shortcode)) {
+                issues.orphanCommentFiles.push({ path, shortcode, comments: Object.keys(data || {}).length });
+            }
+        }
+
+        return stats;
+    }
+
+    /**
+     * Download the last report as JSON
+     */
+    downloadReport(exportService) {
+        if (!this.report) return;
+
+        const blob = new Blob([JSON.stringify(this.report, null, 2)], { type: 'application/json' });
+        const date = this.report.generatedAt.substring(0, 10);
+        const filename = `archive-health-${this.report.archiveName}-${date}.json`;
+
+        if (exportService?.downloadBlob) {
+            exportService.downloadBlob(blob, filename);
+        } else {
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            a.click();
+            URL.revokeObjectURL(url);
+        }
+    }
+}
+
+// Export for use in other modules
+window.ArchiveHealthChecker = ArchiveHealthChecker;
@@ -5,6 +5,7 @@
 class AvatarService {
     constructor() {
         this.avatarCache = new Map(); // username -> avatar path
+        this.accountAvatars = new Map(); // archive account handle -> profile picture
         this.availableAvatars = [
             // UI Faces collections
             'uifaces-popular-image.jpg', 'uifaces-popular-image (1).jpg', 'uifaces-popular-image (2).jpg',
@@ -122,9 +123,9 @@ class AvatarService {
             return this.avatarCache.get(username);
         }
 
-        // Special case for jonno.otto - use same image as in post header
-        if (username === 'jonno.otto') {
-            const avatarPath = 'avatar.png';
+        // Archive accounts use the same image as in the post header
+        if (this.accountAvatars.has(username)) {
+            const avatarPath = this.accountAvatars.get(username);
             this.avatarCache.set(username, avatarPath);
             return avatarPath;
         }
@@ -142,6 +143,14 @@ class AvatarService {
         return avatarPath;
     }
 
+    /**
+     * Register the profile picture of an archive's account (from its archive.json manifest)
+     */
+    setAccountAvatar(username, avatarPath) {
+        this.accountAvatars.set(username, avatarPath);
+        this.avatarCache.delete(username);
+    }
+
     /**
      * Simple string hash function
      */
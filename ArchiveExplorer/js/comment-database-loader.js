@@ -1,14 +1,36 @@
 /**
  * Comment Database Loader for new shortcode-based JSON structure
  * Loads comment data from individual JSON files organized by shortcode
+ *
+ * Per-shortcode stats (exact counts, date ranges, unique authors) come from an optional
+ * _index.json in the comments folder:
+ *   {
+ *     "version": 2,
+ *     "shortcodes": { "<shortcode>": { "fileStats": "<size>|<lastModified>", "count": 12, "firstCommentAt": "<ISO date>", "lastCommentAt": "<ISO date>", "uniqueAuthors": 9 } },
+ *     "totals": { "comments": 12, "uniqueAuthors": 9 }
+ *   }
+ * Entries whose fileStats no longer match their <shortcode>.json make the whole file stale.
+ * Without one, ensureIndex builds the same index once - from comments already loaded, reading only
+ * files that weren't - and stores it in options.indexCache.
  */
 class CommentDatabaseLoader {
-    constructor(archiveDirectoryHandle) {
+    constructor(archiveDirectoryHandle, commentsPath = DEFAULT_ARCHIVE_MANIFEST.paths.comments, options = {}) {
         this.archiveHandle = archiveDirectoryHandle;
+        this.commentsPath = commentsPath; // Comments folder from the archive manifest
         this.commentsHandle = null;
         this.cache = new Map();
         this.baseUrl = null; // For file:// URLs when using local files
         this.availableShortcodes = new Set();
+        
+        // Comment stats index
+        this.indexFileName = '_index.json';
+        this.indexVersion = 2; // Bump whenever the index format changes
+        this.indexCache = options.indexCache || null; // { load(key), save(key, index) }
+        this.getFileInfo = options.getFileInfo || ((handle) => handle.getFile());
+        this.index = null;
+        this.indexStatus = 'unavailable'; // 'ready', 'pending' (see ensureIndex), 'building' or 'unavailable'
+        this.indexReady = Promise.resolve(null);
+        this.fileStats = new Map();
     }
     
     /**
@@ -18,38 +40,38 @@ class CommentDatabaseLoader {
         try {
             console.log('📁 Initializing comment database loader for new JSON structure...');
             
-            // Navigate to mm_ig_comments folder (no "organized" subfolder)
-            this.commentsHandle = await this.archiveHandle.getDirectoryHandle('mm_ig_comments');
+            // Navigate to the comments folder (no "organized" subfolder), which may be nested
+            this.commentsHandle = this.archiveHandle;
+            for (const segment of this.commentsPath.split('/').filter(Boolean)) {
+                this.commentsHandle = await this.commentsHandle.getDirectoryHandle(segment);
+            }
             
             // Scan for available shortcode JSON files
-            let totalFiles = 0;
-            let totalComments = 0;
-            
+            let indexHandle = null;
             for await (const [name, handle] of this.commentsHandle.entries()) {
-                if (handle.kind === 'file' && name.endsWith('.json') && !name.startsWith('._')) {
-                    const shortcode = name.replace('.json', '');
-                    this.availableShortcodes.add(shortcode);
-                    totalFiles++;
-                    
-                    // Sample a few files to get comment count estimate
-                    if (totalFiles <= 5) {
-                        try {
-                            const file = await handle.getFile();
-                            const data = JSON.parse(await file.text());
-                            totalComments += Object.keys(data).length;
-                        } catch (error) {
-                            console.warn(`Warning: Could not parse ${name}:`, error);
-                        }
-                    }
+                if (handle.kind !== 'file' || !name.endsWith('.json') || name.startsWith('._')) continue;
+                
+                if (name === this.indexFileName) {
+                    indexHandle = handle;
+                    continue;
                 }
+                
+                const shortcode = name.replace('.json', '');
+                this.availableShortcodes.add(shortcode);
+                
+                const file = await this.getFileInfo(handle);
+                this.fileStats.set(shortcode, `${file.size}|${file.lastModified}`);
             }
             
-            // Estimate total comments based on sample
-            const estimatedTotalComments = totalFiles > 5 
-                ? Math.round((totalComments / 5) * totalFiles) 
-                : totalComments;
-            
-            console.log(`📊 Comment database loaded: ${totalFiles} shortcode files, ~${estimatedTotalComments.toLocaleString()} estimated comments`);
+            // Exact stats: index file, then a cached index, then a background pass
+            const index = (indexHandle && await this.loadIndexFile(indexHandle)) || await this.loadCachedIndex();
+            if (index) {
+                this.setIndex(index);
+                console.log(`📊 Comment database loaded: ${this.availableShortcodes.size} shortcode files, ${this.index.totals.comments.toLocaleString()} comments`);
+            } else {
+                this.indexStatus = 'pending';
+                console.log(`📊 Comment database loaded: ${this.availableShortcodes.size} shortcode files, comments are counted once loaded`);
+            }
             return true;
         } catch (error) {
             console.error('❌ Failed to initialize comment database:', error);
@@ -57,6 +79,196 @@ class CommentDatabaseLoader {
         }
     }
     
+    /**
+     * Read the optional index file, ignoring it unless it covers every shortcode file as it is now
+     */
+    async loadIndexFile(indexHandle) {
+        try {
+            const file = await indexHandle.getFile();
+            const data = JSON.parse(await file.text());
+            if (!data || typeof data.shortcodes !== 'object') {
+                throw new Error('missing "shortcodes"');
+            }
+            
+            const missing = Array.from(this.availableShortcodes).filter(shortcode => !data.shortcodes[shortcode]);
+            if (missing.length > 0) {
+                console.warn(`⚠️ ${this.indexFileName} is missing ${missing.length} shortcodes - rebuilding the index instead`);
+                return null;
+            }
+            
+            // A comments file that was re-exported or edited after the index was written
+            const stale = Array.from(this.availableShortcodes)
+                .filter(shortcode => data.shortcodes[shortcode].fileStats !== this.fileStats.get(shortcode));
+            if (stale.length > 0) {
+                console.warn(`⚠️ ${this.indexFileName} is out of date for ${stale.length} shortcodes - rebuilding the index instead`);
+                return null;
+            }
+            
+            console.log(`📇 Using comment index from ${this.indexFileName}`);
+            return data;
+        } catch (error) {
+            console.warn(`⚠️ Could not read ${this.indexFileName}:`, error);
+            return null;
+        }
+    }
+    
+    /**
+     * Get the index stored by an earlier background pass over these exact files
+     */
+    async loadCachedIndex() {
+        if (!this.indexCache) return null;
+        
+        try {
+            const index = await this.indexCache.load(this.getIndexCacheKey());
+            if (index?.version === this.indexVersion) {
+                console.log('📇 Using cached comment index');
+                return index;
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not read cached comment index:', error);
+        }
+        return null;
+    }
+    
+    /**
+     * Cache key covering every shortcode file's name, size and modification time
+     */
+    getIndexCacheKey() {
+        const source = Array.from(this.fileStats.entries())
+            .map(([shortcode, stats]) => `${shortcode}|${stats}`)
+            .sort()
+            .join('\n');
+        
+        let hash = 0;
+        for (let i = 0; i < source.length; i++) {
+            hash = ((hash << 5) - hash + source.charCodeAt(i)) | 0;
+        }
+        return `${this.commentsPath}:${(hash >>> 0).toString(16)}-${this.fileStats.size}-${source.length}`;
+    }
+    
+    /**
+     * Build the index if there is none yet. Call it after loading comments, so files
+     * already in the cache are not read a second time. Resolves to the index, or null.
+     */
+    ensureIndex() {
+        if (this.indexStatus === 'pending') {
+            this.indexStatus = 'building';
+            this.indexReady = this.buildIndex().catch(error => {
+                console.warn('⚠️ Failed to build comment index:', error);
+                this.indexStatus = 'unavailable';
+                return null;
+            });
+        }
+        return this.indexReady;
+    }
+    
+    /**
+     * Count comments, date ranges and authors of every shortcode file, reading only files not loaded yet
+     */
+    async buildIndex() {
+        console.log(`📇 Building comment index for ${this.availableShortcodes.size} shortcode files...`);
+        const shortcodes = {};
+        const allAuthors = new Set();
+        let processed = 0;
+        
+        for (const shortcode of this.availableShortcodes) {
+            try {
+                // Loaded comments keep the owner and created_at fields of the raw records
+                let records = this.cache.get(shortcode);
+                if (!records) {
+                    const fileHandle = await this.commentsHandle.getFileHandle(`${shortcode}.json`);
+                    const file = await fileHandle.getFile();
+                    records = Object.values(JSON.parse(await file.text()));
+                }
+                shortcodes[shortcode] = this.summarizeComments(records, allAuthors);
+            } catch (error) {
+                console.warn(`Warning: Could not index ${shortcode}.json:`, error);
+                shortcodes[shortcode] = { count: 0, firstCommentAt: null, lastCommentAt: null, uniqueAuthors: 0 };
+            }
+            shortcodes[shortcode].fileStats = this.fileStats.get(shortcode);
+            
+            // Yield regularly so indexing stays in the background
+            processed++;
+            if (processed % 20 === 0) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+        
+        const index = {
+            version: this.indexVersion,
+            shortcodes,
+            totals: { uniqueAuthors: allAuthors.size }
+        };
+        this.setIndex(index);
+        
+        try {
+            await this.indexCache?.save(this.getIndexCacheKey(), index);
+        } catch (error) {
+            console.warn('⚠️ Could not cache comment index:', error);
+        }
+        
+        console.log(`📇 Comment index ready: ${this.index.totals.comments.toLocaleString()} comments from ${allAuthors.size.toLocaleString()} authors`);
+        return this.index;
+    }
+    
+    /**
+     * Stats for one shortcode file's raw comment records
+     */
+    summarizeComments(records, allAuthors) {
+        const authors = new Set();
+        let first = null;
+        let last = null;
+        
+        records.forEach(record => {
+            const username = record.owner?.username;
+            if (username) {
+                authors.add(username);
+                allAuthors.add(username);
+            }
+            
+            const time = new Date(record.created_at).getTime();
+            if (!isNaN(time)) {
+                if (first === null || time < first) first = time;
+                if (last === null || time > last) last = time;
+            }
+        });
+        
+        return {
+            count: records.length,
+            firstCommentAt: first === null ? null : new Date(first).toISOString(),
+            lastCommentAt: last === null ? null : new Date(last).toISOString(),
+            uniqueAuthors: authors.size
+        };
+    }
+    
+    /**
+     * Adopt an index, filling in totals the index file may have left out
+     */
+    setIndex(index) {
+        const entries = Object.values(index.shortcodes);
+        const firstDates = entries.map(entry => entry.firstCommentAt).filter(Boolean).sort();
+        const lastDates = entries.map(entry => entry.lastCommentAt).filter(Boolean).sort();
+        
+        this.index = {
+            ...index,
+            totals: {
+                comments: entries.reduce((sum, entry) => sum + (entry.count || 0), 0),
+                firstCommentAt: firstDates[0] || null,
+                lastCommentAt: lastDates[lastDates.length - 1] || null,
+                ...(index.totals || {})
+            }
+        };
+        this.indexStatus = 'ready';
+        this.indexReady = Promise.resolve(this.index);
+    }
+    
+    /**
+     * Get indexed stats for a post without loading its comments, or null until the index is ready
+     */
+    getPostCommentStats(shortcode) {
+        return this.index?.shortcodes[shortcode] || null;
+    }
+    
     /**
      * Get comments for a specific post with pagination
      */
@@ -149,6 +361,11 @@ class CommentDatabaseLoader {
             return 0;
         }
         
+        const stats = this.getPostCommentStats(shortcode);
+        if (stats) {
+            return stats.count;
+        }
+        
         try {
             const comments = await this.loadCommentsForShortcode(shortcode);
             return comments.length;
@@ -169,52 +386,18 @@ class CommentDatabaseLoader {
      * Get database statistics
      */
     getStats() {
+        const totals = this.index?.totals;
         return {
             total_posts: this.availableShortcodes.size,
-            total_comments: 'Unknown', // Would need to load all files to count
-            total_shortcodes: this.availableShortcodes.size
+            total_comments: totals ? totals.comments : null, // null until the index is built
+            unique_authors: totals?.uniqueAuthors ?? null,
+            first_comment_at: totals?.firstCommentAt || null,
+            last_comment_at: totals?.lastCommentAt || null,
+            total_shortcodes: this.availableShortcodes.size,
+            index_status: this.indexStatus
         };
     }
     
-    /**
-     * Search for posts with comments containing specific text
-     */
-    async searchComments(query, maxResults = 100) {
-        const results = [];
-        const searchLower = query.toLowerCase();
-        let checkedCount = 0;
-        const maxToCheck = 50; // Limit how many files we search for performance
-        
-        console.log(`🔍 Searching for "${query}" across comment files...`);
-        
-        for (const shortcode of this.availableShortcodes) {
-            if (checkedCount >= maxToCheck || results.length >= maxResults) break;
-            
-            try {
-                const comments = await this.loadCommentsForShortcode(shortcode);
-                const matchingComments = comments.filter(comment => 
-                    comment.text.toLowerCase().includes(searchLower) ||
-                    comment.author.toLowerCase().includes(searchLower)
-                );
-                
-                if (matchingComments.length > 0) {
-                    results.push({
-                        shortcode,
-                        comments: matchingComments,
-                        totalComments: comments.length
-                    });
-                }
-                
-                checkedCount++;
-            } catch (error) {
-                console.warn(`Error searching comments for ${shortcode}:`, error);
-            }
-        }
-        
-        console.log(`🔍 Search complete: found ${results.length} posts with matching comments`);
-        return results;
-    }
-    
     /**
      * Load comments for multiple shortcodes concurrently in batches
      * This significantly improves performance when loading many posts
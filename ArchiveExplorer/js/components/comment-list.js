@@ -10,6 +10,13 @@ class CommentListComponent {
         this.filteredComments = [];
         this.isLoading = false;
         this.activeFilter = null;
+        this.searchTerm = '';
+        this.fuzzySearch = false;
+        this.hideDuplicates = false;
+        this.shownDuplicateClusters = new Set();
+        this.getDuplicateCluster = () => null; // Set by the app once duplicate clusters are known
+        this.hideSpam = false;
+        this.getSpamScore = () => null; // Set by the app (see SpamDetector.scoreAll)
         
         this.setupEventHandlers();
     }
@@ -26,6 +33,18 @@ class CommentListComponent {
                 const commentId = btn.dataset.commentId;
                 this.showExportMenu(btn, commentId);
             }
+            
+            const duplicateBadge = e.target.closest('.duplicate-badge');
+            if (duplicateBadge) {
+                e.preventDefault();
+                this.filterComments('duplicate_cluster', duplicateBadge.dataset.clusterId);
+            }
+            
+            const authorLink = e.target.closest('.comment-author[data-author]');
+            if (authorLink && this.onAuthorClick) {
+                e.preventDefault();
+                this.onAuthorClick(authorLink.dataset.author);
+            }
         });
 
         // Close export menu when clicking outside
@@ -71,7 +90,13 @@ class CommentListComponent {
         
         // Apply current filter if any
         const commentsToRender = this.activeFilter ? this.filteredComments : this.comments;
-        const html = commentsToRender.map(comment => this.createCommentCard(comment)).join('');
+        if (!append) {
+            this.shownDuplicateClusters.clear();
+        }
+        const html = commentsToRender
+            .filter(comment => !this.isHiddenSpam(comment) && !this.isHiddenDuplicate(comment))
+            .map(comment => this.createCommentCard(comment))
+            .join('');
         
         if (append && this.activeFilter) {
             this.container.insertAdjacentHTML('beforeend', html);
@@ -91,15 +116,60 @@ class CommentListComponent {
         
         // Add replies if any
         if (comment.replies && comment.replies.length > 0) {
-            const repliesHtml = comment.replies.map(reply => 
-                this.createSingleComment(reply, true)
-            ).join('');
+            const repliesHtml = comment.replies
+                .filter(reply => !this.isHiddenSpam(reply) && !this.isHiddenDuplicate(reply))
+                .map(reply => this.createSingleComment(reply, true))
+                .join('');
             html += repliesHtml;
         }
         
         return html;
     }
 
+    /**
+     * Whether a comment is a further copy of a duplicate cluster already shown, while duplicates are hidden
+     * (the first copy of each cluster stays visible)
+     */
+    isHiddenDuplicate(comment) {
+        if (!this.hideDuplicates || this.activeFilter?.type === 'duplicate_cluster') return false;
+        
+        const cluster = this.getDuplicateCluster(comment.comment_id);
+        if (!cluster) return false;
+        if (this.shownDuplicateClusters.has(cluster.id)) return true;
+        
+        this.shownDuplicateClusters.add(cluster.id);
+        return false;
+    }
+
+    /**
+     * Show or hide repeated copies of clustered duplicate comments
+     */
+    setHideDuplicates(hide) {
+        this.hideDuplicates = hide;
+        this.render(this.comments);
+        if (this.activeFilter) {
+            this.showFilterNotification(this.activeFilter.type, this.activeFilter.value, this.filteredComments.length);
+        }
+    }
+
+    /**
+     * Whether a comment is suspected spam while spam is hidden
+     */
+    isHiddenSpam(comment) {
+        return this.hideSpam && Boolean(this.getSpamScore(comment.comment_id)?.isSpam);
+    }
+
+    /**
+     * Show or hide suspected spam
+     */
+    setHideSpam(hide) {
+        this.hideSpam = hide;
+        this.render(this.comments);
+        if (this.activeFilter) {
+            this.showFilterNotification(this.activeFilter.type, this.activeFilter.value, this.filteredComments.length);
+        }
+    }
+
     /**
      * Create single comment HTML
      */
@@ -141,6 +211,8 @@ class CommentListComponent {
         const likes = comment.like_count || comment.reactionsCount || 0;
         const likesText = likes > 0 ? `${this.formatNumber(likes)} ${likes === 1 ? 'like' : 'likes'}` : '';
         const heartIcon = comment.channel_owner_liked ? '❤️' : '';
+        const duplicateCluster = this.getDuplicateCluster(comment.comment_id);
+        const spamScore = this.getSpamScore(comment.comment_id);
         
         const cardClass = isReply ? 'reply-card comment-card' : 'comment-card';
         const marginLeft = isReply ? 'margin-left: 44px;' : '';
@@ -178,19 +250,30 @@ class CommentListComponent {
         `;
         
         return `
-            <div class="${cardClass}" style="${marginLeft}">
+            <div class="${cardClass}" style="${marginLeft}" data-comment-id="${this.escapeHTML(String(comment.comment_id ?? ''))}">
                 <div class="profile-avatar">
                     ${avatarElement}
                 </div>
                 <div class="comment-content">
                     <div class="comment-text">
-                        <span class="comment-author">${this.escapeHTML(comment.author)}</span>
-                        ${this.highlightText(this.escapeHTML(comment.text || comment.content))}
+                        <span class="comment-author" data-author="${this.escapeHTML(comment.author)}" title="View profile">${this.escapeHTML(comment.author)}</span>
+                        ${this.highlightText(comment.text || comment.content)}
                     </div>
                     <div class="comment-actions">
                         <span class="comment-date">${timeAgo}</span>
                         ${likesText ? `<span class="comment-likes">${likesText}</span>` : ''}
                         ${heartIcon ? `<span class="channel-owner-liked">${heartIcon}</span>` : ''}
+                        ${duplicateCluster ? `
+                            <button class="duplicate-badge" data-cluster-id="${duplicateCluster.id}"
+                                    title="Posted ${duplicateCluster.size} times by ${duplicateCluster.authorCount} ${duplicateCluster.authorCount === 1 ? 'account' : 'accounts'} - show all copies">
+                                <i class="bi bi-files"></i> ×${duplicateCluster.size}
+                            </button>
+                        ` : ''}
+                        ${spamScore?.isSpam ? `
+                            <span class="spam-badge" title="Suspected spam (${Math.round(spamScore.score * 100)}%): ${this.escapeHTML(SpamDetector.describe(spamScore))}">
+                                <i class="bi bi-flag-fill"></i> Spam?
+                            </span>
+                        ` : ''}
                     </div>
                 </div>
                 <div class="comment-export">
@@ -250,20 +333,14 @@ class CommentListComponent {
     }
 
     /**
-     * Highlight search terms in text
+     * Escape text and highlight what the search matched - accent-insensitive,
+     * and in fuzzy mode also misspellings and other word forms
      */
-    highlightText(text, searchTerm = '') {
-        if (!searchTerm) return text;
+    highlightText(text, searchTerm = this.searchTerm) {
+        if (!searchTerm) return this.escapeHTML(text);
         
-        const regex = new RegExp(`(${this.escapeRegex(searchTerm)})`, 'gi');
-        return text.replace(regex, '<mark class="search-highlight">$1</mark>');
-    }
-
-    /**
-     * Escape regex special characters
-     */
-    escapeRegex(string) {
-        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const query = SearchQuery.parse(searchTerm, { fuzzy: this.fuzzySearch });
+        return TextMatcher.highlight(text, query.getMatchRanges(text || ''));
     }
 
 
@@ -292,12 +369,36 @@ class CommentListComponent {
     /**
      * Set search term for highlighting
      */
-    setSearchTerm(term) {
+    setSearchTerm(term, options = {}) {
         this.searchTerm = term;
+        this.fuzzySearch = Boolean(options.fuzzy);
         // Re-render with highlighting
         this.render(this.comments);
     }
 
+    /**
+     * Scroll to a rendered comment and flash it, clearing an analytics filter that hides it
+     */
+    scrollToComment(commentId) {
+        const findCard = () => Array.from(this.container.querySelectorAll('.comment-card[data-comment-id]'))
+            .find(card => card.dataset.commentId === String(commentId));
+        
+        let card = findCard();
+        if (!card && this.activeFilter) {
+            this.clearFilter();
+            card = findCard();
+        }
+        if (!card) return false;
+        
+        card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        card.classList.remove('comment-jump-highlight');
+        // Restart the highlight animation when jumping to the same comment again
+        void card.offsetWidth;
+        card.classList.add('comment-jump-highlight');
+        setTimeout(() => card.classList.remove('comment-jump-highlight'), 3000);
+        return true;
+    }
+
     /**
      * Set comment export handler
      */
@@ -312,6 +413,13 @@ class CommentListComponent {
         this.onScroll = handler;
     }
 
+    /**
+     * Set the handler called with a username when it is clicked
+     */
+    setAuthorClickHandler(handler) {
+        this.onAuthorClick = handler;
+    }
+
     /**
      * Filter comments based on analytics criteria
      */
@@ -356,6 +464,8 @@ class CommentListComponent {
                 return this.matchesEngagement(text, author, filterValue);
             case 'health_topic':
                 return this.matchesHealthTopic(text, author, filterValue);
+            case 'duplicate_cluster':
+                return this.getDuplicateCluster(comment.comment_id)?.id === filterValue;
             default:
                 return true;
         }
@@ -481,6 +591,10 @@ class CommentListComponent {
             }
         };
         
+        if (filterType === 'duplicate_cluster') {
+            return `Duplicate cluster #${filterValue}`;
+        }
+        
         return displayNames[filterType]?.[filterValue] || filterValue.replace('_', ' ');
     }
 
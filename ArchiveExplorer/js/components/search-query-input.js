@@ -0,0 +1,372 @@
+/**
+ * SearchQueryInput Component - Inline syntax help and error highlighting for a search box
+ * Wraps an existing input; the input's own listeners still run the search
+ */
+class SearchQueryInput {
+    constructor(input, options = {}) {
+        this.input = input;
+        this.scope = options.scope || 'posts'; // 'posts' or 'comments', picks the help wording
+        this.container = options.container || input.parentElement;
+        this.buttonContainer = options.buttonContainer || this.container;
+        this.buttonClass = options.buttonClass || 'search-help-btn';
+        this.query = null;
+        this.helpOpen = false;
+        this.fuzzy = false; // Also match misspellings and other word forms
+        // Optional saved searches and history: { load, apply, save, remove, clearHistory, exportAll, importFile }
+        this.library = options.library || null;
+        this.libraryOpen = false;
+
+        this.render();
+        this.setupEventHandlers();
+    }
+
+    /**
+     * Add the help button and the panel holding errors, syntax help and saved searches
+     */
+    render() {
+        this.container.classList.add('search-query-host');
+
+        this.helpButton = document.createElement('button');
+        this.helpButton.type = 'button';
+        this.helpButton.className = this.buttonClass;
+        this.helpButton.title = 'Search syntax';
+        this.helpButton.innerHTML = '<i class="bi bi-question-circle"></i>';
+        this.buttonContainer.appendChild(this.helpButton);
+
+        this.fuzzyButton = document.createElement('button');
+        this.fuzzyButton.type = 'button';
+        this.fuzzyButton.className = `${this.buttonClass} search-fuzzy-btn`;
+        this.fuzzyButton.title = 'Fuzzy matching: also find misspellings and other forms of a word';
+        this.fuzzyButton.setAttribute('aria-pressed', 'false');
+        this.fuzzyButton.innerHTML = '<i class="bi bi-magic"></i>';
+        this.buttonContainer.insertBefore(this.fuzzyButton, this.helpButton);
+
+        if (this.library) {
+            this.libraryButton = document.createElement('button');
+            this.libraryButton.type = 'button';
+            this.libraryButton.className = `${this.buttonClass} search-library-btn`;
+            this.libraryButton.title = 'Saved and recent searches';
+            this.libraryButton.innerHTML = '<i class="bi bi-bookmark-star"></i>';
+            this.buttonContainer.insertBefore(this.libraryButton, this.fuzzyButton);
+        }
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'search-query-panel';
+        this.panel.style.display = 'none';
+        this.panel.innerHTML = `
+            <div class="search-query-errors"></div>
+            <div class="search-query-help">
+                <div class="search-query-help-title">Search syntax</div>
+                <table>${this.createHelpRows()}</table>
+            </div>
+            ${this.library ? `
+                <div class="search-query-library">
+                    <div class="search-query-help-title">Saved searches</div>
+                    <ul class="search-library-list search-library-saved"></ul>
+                    <form class="search-library-save">
+                        <input type="text" class="search-library-name" placeholder="Name the current search" maxlength="80">
+                        <button type="submit">Save</button>
+                    </form>
+                    <div class="search-query-help-title">
+                        Recent searches
+                        <button type="button" class="search-library-link" data-action="clear-history">Clear</button>
+                    </div>
+                    <ul class="search-library-list search-library-recent"></ul>
+                    <div class="search-library-actions">
+                        <button type="button" class="search-library-link" data-action="export"><i class="bi bi-download"></i> Export JSON</button>
+                        <button type="button" class="search-library-link" data-action="import"><i class="bi bi-upload"></i> Import JSON</button>
+                        <input type="file" class="search-library-file" accept=".json,application/json" hidden>
+                    </div>
+                </div>
+            ` : ''}
+        `;
+        this.container.appendChild(this.panel);
+        this.errorsElement = this.panel.querySelector('.search-query-errors');
+        this.helpElement = this.panel.querySelector('.search-query-help');
+        this.libraryElement = this.panel.querySelector('.search-query-library');
+    }
+
+    /**
+     * Fill the saved and recent lists from the library
+     */
+    async refreshLibrary() {
+        if (!this.library) return;
+
+        try {
+            const { savedSearches, history } = await this.library.load();
+            this.savedSearches = savedSearches;
+            this.history = history;
+        } catch (error) {
+            console.warn('⚠️ Could not load saved searches:', error);
+            this.savedSearches = [];
+            this.history = [];
+        }
+
+        const scopeIcon = (search) => {
+            if (search.videoId) return '<i class="bi bi-postcard" title="Searches one post\'s comments"></i>';
+            return search.scope === 'comments'
+                ? '<i class="bi bi-chat-text" title="Searches comments"></i>'
+                : '<i class="bi bi-grid-3x3" title="Searches posts"></i>';
+        };
+        const fuzzyIcon = (fuzzy) => fuzzy ? '<i class="bi bi-magic" title="Fuzzy matching"></i>' : '';
+
+        this.libraryElement.querySelector('.search-library-saved').innerHTML = this.savedSearches.length > 0
+            ? this.savedSearches.map(search => `
+                <li class="search-library-item" data-action="apply-saved" data-id="${search.id}">
+                    <span class="search-library-name-text">${this.escapeHTML(search.name)}</span>
+                    <span class="search-library-query">${scopeIcon(search)}${fuzzyIcon(search.fuzzy)} ${this.escapeHTML(search.query || '(everything)')}${search.filterType ? ` · ${this.escapeHTML(search.filterValue)} filter` : ''}</span>
+                    <button type="button" class="search-library-remove" data-action="remove" data-id="${search.id}" title="Delete saved search">
+                        <i class="bi bi-x"></i>
+                    </button>
+                </li>
+            `).join('')
+            : '<li class="search-library-empty">No saved searches yet</li>';
+
+        this.libraryElement.querySelector('.search-library-recent').innerHTML = this.history.length > 0
+            ? this.history.map((entry, index) => `
+                <li class="search-library-item" data-action="apply-recent" data-index="${index}">
+                    <span class="search-library-query">${scopeIcon(entry)}${fuzzyIcon(entry.fuzzy)} ${this.escapeHTML(entry.query)}</span>
+                </li>
+            `).join('')
+            : '<li class="search-library-empty">No recent searches</li>';
+    }
+
+    /**
+     * Open or close the saved searches, reloading them when opened
+     */
+    async setLibraryOpen(open) {
+        this.libraryOpen = open;
+        if (open) {
+            this.helpOpen = false;
+            await this.refreshLibrary();
+        }
+        this.updatePanel();
+    }
+
+    /**
+     * Run a library action and refresh the lists afterwards
+     */
+    async runLibraryAction(action) {
+        try {
+            await action();
+        } catch (error) {
+            console.error('❌ Saved search action failed:', error);
+        }
+        await this.refreshLibrary();
+    }
+
+    /**
+     * Handle clicks inside the saved searches section
+     */
+    async handleLibraryClick(target) {
+        const actionElement = target.closest('[data-action]');
+        if (!actionElement) return;
+
+        switch (actionElement.dataset.action) {
+            case 'apply-saved': {
+                const search = this.savedSearches.find(saved => String(saved.id) === actionElement.dataset.id);
+                if (!search) return;
+                await this.setLibraryOpen(false);
+                this.library.apply(search);
+                break;
+            }
+            case 'apply-recent': {
+                const entry = this.history[Number(actionElement.dataset.index)];
+                if (!entry) return;
+                await this.setLibraryOpen(false);
+                this.library.apply(entry);
+                break;
+            }
+            case 'remove':
+                await this.runLibraryAction(() => this.library.remove(Number(actionElement.dataset.id)));
+                break;
+            case 'clear-history':
+                await this.runLibraryAction(() => this.library.clearHistory());
+                break;
+            case 'export':
+                await this.library.exportAll();
+                break;
+            case 'import':
+                this.libraryElement.querySelector('.search-library-file').click();
+                break;
+        }
+    }
+
+    /**
+     * Syntax reference rows worded for the current scope
+     */
+    createHelpRows() {
+        return SearchQuery.SYNTAX.map(entry => `
+            <tr>
+                <td><code class="search-query-example" data-example="${this.escapeHTML(entry.example).replace(/"/g, '&quot;')}">${this.escapeHTML(entry.example)}</code></td>
+                <td>${this.escapeHTML(entry[this.scope])}</td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Switch the help wording between post and comment searches
+     */
+    setScope(scope) {
+        if (scope === this.scope) return;
+        this.scope = scope;
+        this.helpElement.querySelector('table').innerHTML = this.createHelpRows();
+    }
+
+    /**
+     * Setup event handlers for validation and help
+     */
+    setupEventHandlers() {
+        this.input.addEventListener('input', () => this.validate());
+
+        this.helpButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.helpOpen = !this.helpOpen;
+            if (this.helpOpen) this.libraryOpen = false;
+            this.updatePanel();
+        });
+
+        if (this.library) {
+            this.libraryButton.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.setLibraryOpen(!this.libraryOpen);
+            });
+
+            // An empty search box offers the saved and recent searches
+            this.input.addEventListener('focus', () => {
+                if (!this.input.value.trim() && !this.libraryOpen) {
+                    this.setLibraryOpen(true);
+                }
+            });
+
+            this.libraryElement.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.handleLibraryClick(e.target);
+            });
+
+            this.libraryElement.querySelector('.search-library-save').addEventListener('submit', async (e) => {
+                e.preventDefault();
+                const nameInput = this.libraryElement.querySelector('.search-library-name');
+                const name = nameInput.value.trim();
+                if (!name) {
+                    nameInput.focus();
+                    return;
+                }
+                await this.runLibraryAction(() => this.library.save(name));
+                nameInput.value = '';
+            });
+
+            const fileInput = this.libraryElement.querySelector('.search-library-file');
+            fileInput.addEventListener('change', async () => {
+                const file = fileInput.files[0];
+                fileInput.value = '';
+                if (file) {
+                    await this.runLibraryAction(() => this.library.importFile(file));
+                }
+            });
+        }
+
+        // Toggling fuzzy matching re-runs the search through the input's own listeners
+        this.fuzzyButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.setFuzzy(!this.fuzzy);
+            this.input.dispatchEvent(new Event('input', { bubbles: true }));
+        });
+
+        // Clicking an example adds it to the query
+        this.panel.addEventListener('click', (e) => {
+            const example = e.target.closest('.search-query-example');
+            if (!example) return;
+            const current = this.input.value.trim();
+            this.input.value = current ? `${current} ${example.dataset.example}` : example.dataset.example;
+            this.input.focus();
+            this.input.dispatchEvent(new Event('input', { bubbles: true }));
+        });
+
+        document.addEventListener('click', (e) => {
+            if ((this.helpOpen || this.libraryOpen) && !this.container.contains(e.target)) {
+                this.helpOpen = false;
+                this.libraryOpen = false;
+                this.updatePanel();
+            }
+        });
+
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && (this.helpOpen || this.libraryOpen)) {
+                this.helpOpen = false;
+                this.libraryOpen = false;
+                this.updatePanel();
+            } else if (this.libraryOpen && e.key !== 'Tab') {
+                // Typing a new query closes the saved searches
+                this.libraryOpen = false;
+                this.updatePanel();
+            }
+        });
+    }
+
+    /**
+     * Parse the current value and show any malformed parts
+     */
+    validate() {
+        this.query = SearchQuery.parse(this.input.value, { fuzzy: this.fuzzy });
+        this.input.classList.toggle('search-query-invalid', this.query.hasErrors);
+        this.input.setAttribute('aria-invalid', this.query.hasErrors ? 'true' : 'false');
+
+        this.errorsElement.innerHTML = this.query.hasErrors ? `
+            <div class="search-query-echo">${this.query.renderInputWithErrors()}</div>
+            <ul>
+                ${this.query.errors.map(error => `<li>${this.escapeHTML(error.message)} - this part is ignored</li>`).join('')}
+            </ul>
+        ` : '';
+        this.updatePanel();
+        return this.query;
+    }
+
+    /**
+     * Turn fuzzy matching on or off
+     */
+    setFuzzy(fuzzy) {
+        this.fuzzy = Boolean(fuzzy);
+        this.fuzzyButton.classList.toggle('active', this.fuzzy);
+        this.fuzzyButton.setAttribute('aria-pressed', String(this.fuzzy));
+    }
+
+    /**
+     * Replace the query without running the search box's own listeners
+     */
+    setValue(value) {
+        this.input.value = value;
+        this.validate();
+    }
+
+    /**
+     * Show the panel while there are errors or the help or saved searches are open
+     */
+    updatePanel() {
+        const hasErrors = Boolean(this.query?.hasErrors);
+        this.helpElement.style.display = this.helpOpen ? 'block' : 'none';
+        this.errorsElement.style.display = hasErrors ? 'block' : 'none';
+        this.panel.style.display = this.helpOpen || this.libraryOpen || hasErrors ? 'block' : 'none';
+        this.panel.classList.toggle('has-errors', hasErrors);
+        this.helpButton.classList.toggle('active', this.helpOpen);
+        if (this.libraryElement) {
+            this.libraryElement.style.display = this.libraryOpen ? 'block' : 'none';
+            this.libraryButton.classList.toggle('active', this.libraryOpen);
+        }
+    }
+
+    /**
+     * Escape HTML
+     */
+    escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Export for use in other modules
+window.SearchQueryInput = SearchQueryInput;
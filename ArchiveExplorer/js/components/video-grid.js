@@ -80,10 +80,13 @@ class VideoGridComponent {
         let thumbnail;
         let mediaType = 'image';
         let hasMultipleMedia = false;
+        let mediaCount = 0;
         
         // Handle Instagram archive format (with shortcode)
         if (video.shortcode && video.hasMedia && this.dataManager.dataSource === 'instagram') {
             mediaType = video.mediaType || 'image';
+            mediaCount = video.mediaCount || 1;
+            hasMultipleMedia = mediaCount > 1;
             
             // Start with placeholder - we'll load actual thumbnail async
             thumbnail = this.getPlaceholderThumbnail(mediaType);
@@ -93,7 +96,8 @@ class VideoGridComponent {
         // Handle legacy Instagram posts (with media_files)
         else if (video.media_files && video.media_files.length > 0) {
             const firstMedia = video.media_files[0];
-            hasMultipleMedia = video.media_files.length > 1;
+            mediaCount = video.media_files.length;
+            hasMultipleMedia = mediaCount > 1;
             
             if (firstMedia.type === 'video' && firstMedia.thumbnail) {
                 thumbnail = `instadata/posts/${firstMedia.thumbnail}`;
@@ -111,6 +115,9 @@ class VideoGridComponent {
         
         const likes = this.formatNumber(video.like_count || video.view_count);
         const comments = this.formatNumber(video.comment_count);
+        const accountHandle = this.dataManager.accountArchives?.size > 1
+            ? this.dataManager.accountArchives.get(video.accountId)?.account.handle
+            : null;
         
         // Format date for overlay
         const date = new Date(video.published_at);
@@ -145,9 +152,21 @@ class VideoGridComponent {
                     
                     <!-- Multiple media indicator (top-right) -->
                     <div class="media-indicators position-absolute" style="top: 8px; right: 8px;">
-                        ${hasMultipleMedia ? '<i class="fas fa-clone text-white"></i>' : ''}
+                        ${hasMultipleMedia ? `<i class="fas fa-clone text-white" title="Carousel: ${mediaCount} items"></i>` : ''}
                     </div>
                     
+                    <!-- Account tag when several archives are loaded (bottom-left) -->
+                    ${accountHandle ? `
+                        <div class="account-badge position-absolute">@${this.escapeHTML(accountHandle)}</div>
+                    ` : ''}
+                    
+                    <!-- New/updated since last open (top-left) -->
+                    ${video.changeStatus ? `
+                        <div class="change-badge position-absolute ${video.changeStatus}">
+                            ${video.changeStatus === 'new' ? 'New' : (video.newCommentCount > 0 ? `+${this.formatNumber(video.newCommentCount)}` : 'Updated')}
+                        </div>
+                    ` : ''}
+                    
                     <!-- Hover overlay with stats -->
                     <div class="hover-overlay position-absolute w-100 h-100 d-flex align-items-center justify-content-center">
                         <div class="text-white text-center">
@@ -246,22 +265,23 @@ class VideoGridComponent {
      * Load actual thumbnail for Instagram archive posts
      */
     async loadInstagramThumbnail(video, imgElement) {
-        if (!this.instagramDirectoryManager || !video.shortcode) {
+        const directoryManager = this.getDirectoryManager(video);
+        if (!directoryManager || !video.shortcode) {
             return;
         }
 
         try {
-            // Check cache first
-            if (this.thumbnailCache.has(video.shortcode)) {
-                imgElement.src = this.thumbnailCache.get(video.shortcode);
+            // Check cache first (keyed by post id - shortcodes may repeat across accounts)
+            if (this.thumbnailCache.has(video.video_id)) {
+                imgElement.src = this.thumbnailCache.get(video.video_id);
                 return;
             }
 
             // Load media file and use it as thumbnail
-            const mediaUrl = await this.instagramDirectoryManager.getFileURL(video.shortcode);
+            const mediaUrl = await directoryManager.getFileURL(video.shortcode);
             
             if (mediaUrl) {
-                const mediaInfo = this.instagramDirectoryManager.mediaFiles.get(video.shortcode);
+                const mediaInfo = directoryManager.mediaFiles.get(video.shortcode);
                 
                 // Debug logging for problematic post
                 if (video.shortcode === 'DFN0qAQCe3l') {
@@ -276,10 +296,10 @@ class VideoGridComponent {
                 if (mediaInfo && mediaInfo.type.startsWith('image/')) {
                     // For images, use the image directly
                     imgElement.src = mediaUrl;
-                    this.thumbnailCache.set(video.shortcode, mediaUrl);
+                    this.thumbnailCache.set(video.video_id, mediaUrl);
                 } else if (mediaInfo && mediaInfo.type.startsWith('video/')) {
                     // For videos, we need to generate a thumbnail from the video
-                    this.generateVideoThumbnail(mediaUrl, imgElement, video.shortcode);
+                    this.generateVideoThumbnail(mediaUrl, imgElement, video.video_id);
                 } else {
                     console.warn(`Unknown media type for ${video.shortcode}:`, mediaInfo?.type);
                 }
@@ -295,9 +315,9 @@ class VideoGridComponent {
     /**
      * Generate thumbnail from video file
      */
-    generateVideoThumbnail(videoUrl, imgElement, shortcode) {
+    generateVideoThumbnail(videoUrl, imgElement, videoId) {
         // Debug logging for problematic post
-        if (shortcode === 'DFN0qAQCe3l') {
+        if (videoId === 'DFN0qAQCe3l') {
             console.log('🎬 Starting thumbnail generation for DFN0qAQCe3l:', videoUrl);
         }
         
@@ -314,7 +334,7 @@ class VideoGridComponent {
             const seekTime = Math.min(1, video.duration * 0.1);
             video.currentTime = seekTime;
             
-            if (shortcode === 'DFN0qAQCe3l') {
+            if (videoId === 'DFN0qAQCe3l') {
                 console.log('🎬 Video loaded for DFN0qAQCe3l, seeking to:', seekTime);
             }
         });
@@ -356,7 +376,7 @@ class VideoGridComponent {
                 canvas.toBlob((blob) => {
                     const thumbnailUrl = URL.createObjectURL(blob);
                     imgElement.src = thumbnailUrl;
-                    this.thumbnailCache.set(shortcode, thumbnailUrl);
+                    this.thumbnailCache.set(videoId, thumbnailUrl);
                     
                     // Clean up video element to prevent WebMediaPlayer accumulation
                     video.src = '';
@@ -374,8 +394,8 @@ class VideoGridComponent {
         
         // Add error handler to clean up video element on loading errors
         video.addEventListener('error', (e) => {
-            console.warn(`Failed to load video for thumbnail generation (${shortcode}):`, e);
-            if (shortcode === 'DFN0qAQCe3l') {
+            console.warn(`Failed to load video for thumbnail generation (${videoId}):`, e);
+            if (videoId === 'DFN0qAQCe3l') {
                 console.error('🚨 Error loading DFN0qAQCe3l video:', e, 'Video URL:', videoUrl);
             }
             video.src = '';
@@ -386,11 +406,18 @@ class VideoGridComponent {
         video.src = videoUrl;
     }
 
+    /**
+     * Get the archive that holds a post's media (posts from several accounts can share the grid)
+     */
+    getDirectoryManager(video) {
+        return this.dataManager.getDirectoryManagerForVideo?.(video) || this.instagramDirectoryManager;
+    }
+
     /**
      * Update rendered grid with async thumbnails
      */
     async loadAsyncThumbnails() {
-        if (this.dataManager.dataSource === 'instagram' && this.instagramDirectoryManager) {
+        if (this.dataManager.dataSource === 'instagram' && (this.instagramDirectoryManager || this.dataManager.accountArchives?.size)) {
             const imgElements = this.container.querySelectorAll('.instagram-grid-item img');
             
             for (const img of imgElements) {
@@ -13,7 +13,85 @@ class DataManager {
         this.mediaMapping = {}; // Instagram media mapping
         this.isInitialized = false;
         this.dbName = 'JonnoOttoInstagramArchiveDB';
-        this.dbVersion = 1;
+        this.dbVersion = 10;
+        this.maxRecentArchives = 5;
+        
+        // Parsed archive cache - bump archiveCacheVersion whenever post/comment normalization changes
+        this.archiveCacheVersion = 2;
+        this.maxCachedArchives = 6;
+        
+        // Schema migrations, applied in order from the stored version up to dbVersion
+        this.migrations = {
+            1: (db) => {
+                const videoStore = db.createObjectStore('videos', { keyPath: 'video_id' });
+                videoStore.createIndex('published_at', 'published_at');
+                videoStore.createIndex('view_count', 'view_count');
+                videoStore.createIndex('comment_count', 'comment_count');
+                videoStore.createIndex('title', 'title');
+
+                const commentStore = db.createObjectStore('comments', { keyPath: 'comment_id' });
+                commentStore.createIndex('video_id', 'video_id');
+                commentStore.createIndex('author', 'author');
+                commentStore.createIndex('published_at', 'published_at');
+                commentStore.createIndex('like_count', 'like_count');
+                commentStore.createIndex('is_reply', 'is_reply');
+                commentStore.createIndex('parent_comment_id', 'parent_comment_id');
+            },
+            2: (db) => {
+                // Recently opened archives (holds FileSystemDirectoryHandles)
+                const archiveStore = db.createObjectStore('archives', { keyPath: 'id', autoIncrement: true });
+                archiveStore.createIndex('lastOpened', 'lastOpened');
+            },
+            3: (db) => {
+                // Parsed archive cache: one record per archive fingerprint plus comments grouped per post
+                const cacheStore = db.createObjectStore('archiveCache', { keyPath: 'fingerprint' });
+                cacheStore.createIndex('savedAt', 'savedAt');
+
+                const cachedCommentStore = db.createObjectStore('archiveCacheComments', { keyPath: ['fingerprint', 'video_id'] });
+                cachedCommentStore.createIndex('fingerprint', 'fingerprint');
+            },
+            4: (db) => {
+                // Last known state per archive, used for "what's new since last open"
+                db.createObjectStore('archiveSnapshots', { keyPath: 'archiveName' });
+            },
+            5: (db) => {
+                // Comment stats indexes built by CommentDatabaseLoader, keyed by the comment files they cover
+                db.createObjectStore('commentIndexes', { keyPath: 'key' });
+            },
+            6: (db) => {
+                // Inverted full-text search indexes, one per archive view
+                const searchIndexStore = db.createObjectStore('searchIndexes', { keyPath: 'key' });
+                searchIndexStore.createIndex('savedAt', 'savedAt');
+            },
+            7: (db) => {
+                // Named saved searches and recent search history
+                db.createObjectStore('savedSearches', { keyPath: 'id', autoIncrement: true });
+                const historyStore = db.createObjectStore('searchHistory', { keyPath: 'id', autoIncrement: true });
+                historyStore.createIndex('searchedAt', 'searchedAt');
+            },
+            8: (db) => {
+                // Small user preferences, one record per setting
+                db.createObjectStore('settings', { keyPath: 'key' });
+            },
+            9: (db) => {
+                // Snapshots were keyed by folder name alone, so two accounts' "archive" folders shared one
+                db.deleteObjectStore('archiveSnapshots');
+                db.createObjectStore('archiveSnapshots', { keyPath: 'key' });
+            },
+            10: (db, transaction) => {
+                // Comment stats indexes are pruned oldest first, like search indexes
+                transaction.objectStore('commentIndexes').createIndex('savedAt', 'savedAt');
+            }
+        };
+        
+        // Differences found since the last open or rescan (see trackArchiveChanges)
+        this.archiveChanges = null;
+        
+        // Loaded account archives: account id -> { id, account, directoryManager, videos, comments, archiveChanges }
+        // videos/comments/mediaMapping below hold the active view - one account or all of them
+        this.accountArchives = new Map();
+        this.allAccountsId = 'all';
+        this.activeAccountId = null;
         this.usingPreIndexedData = false;
         this.dataSource = 'instagram'; // Default to Instagram
         
@@ -21,6 +99,42 @@ class DataManager {
         this.videoCommentsIndex = null;
         this.searchIndex = null;
         this.wordFreqIndex = null;
+        
+        // Inverted full-text index over comments and captions (see SearchIndex), rebuilt per view
+        this.invertedIndex = null;
+        this.invertedIndexKey = null;
+        this.invertedIndexDocKeys = null; // Document number -> comment_id or video_id
+        this.invertedIndexLookup = null;  // comment_id -> comment
+        this.invertedIndexPromise = null;
+        this.invertedIndexTimer = null;
+        this.searchIndexVersion = 2; // Bump whenever SearchIndex.tokenize changes
+        this.maxCachedSearchIndexes = 3;
+        this.maxCachedCommentIndexes = 3;
+        this.searchIndexWorkerURL = 'ArchiveExplorer/js/workers/search-index-builder.js';
+        this.replyCountsCache = null;
+        this.ownerRepliesCache = null;
+        
+        // Saved searches and history (see getSavedSearches/getSearchHistory)
+        this.maxSearchHistory = 20;
+        this.searchExportFormat = 'archive-explorer-searches';
+        
+        // Parsed .vtt/.srt sidecars by video_id (see getTranscripts)
+        this.transcriptCache = new Map();
+        this.transcriptsLoad = null;
+        
+        // Near-duplicate comment clusters (see getDuplicateClusters), cached until the comments change
+        this.duplicateClusters = null;
+        this.duplicateClustersPromise = null;
+        this.duplicateWorkerURL = 'ArchiveExplorer/js/workers/duplicate-clusterer.js';
+        
+        // Suspected spam (see getSpamScores) and whether analytics leave it out
+        this.ownerHandles = new Set();
+        this.spamScoresCache = null;
+        this.hideSuspectedSpam = false;
+        this.analyticsCommentsCache = null;
+        
+        // Who mentions and replies to whom (see getMentionNetwork)
+        this.mentionNetworkCache = null;
     }
 
     /**
@@ -89,53 +203,41 @@ class DataManager {
 
     /**
      * Initialize from Instagram Archive DirectoryManager
+     * options.append keeps already loaded account archives alongside this one
      */
-    async initializeFromInstagramArchive(directoryManager, progressCallback) {
+    async initializeFromInstagramArchive(directoryManager, progressCallback, options = {}) {
         try {
             this.dataSource = 'instagram';
             progressCallback?.('Loading Instagram archive data...', 10);
             
             console.log('📊 DataManager: Initializing from Instagram archive...');
             
-            // Get posts data from directory manager
-            const postsData = directoryManager.getPostsData();
-            console.log(`📷 Found ${postsData.length} Instagram posts`);
-            
-            // Debug: Show first few post shortcodes
-            const postShortcodes = postsData.slice(0, 5).map(p => p.shortcode || p.video_id);
-            console.log('🔍 Sample post shortcodes:', postShortcodes);
-            
-            // Convert to video format for compatibility with existing UI
-            this.videos = postsData.map(post => {
-                // The new preindexed data already has the correct shortcode field
-                const shortcode = post.shortcode || post.video_id;
-                const hasMedia = directoryManager.mediaFiles.has(shortcode);
-                const mediaInfo = directoryManager.mediaFiles.get(shortcode);
-                
-                // Debug media matching
-                if (!hasMedia && shortcode) {
-                    console.log(`🔍 No media found for shortcode: ${shortcode}`);
+            if (!options.append) {
+                this.accountArchives.clear();
+                this.activeAccountId = null;
+            }
+            this.videoCommentsIndex = null;
+            
+            // Reuse the cached copy when the archive is unchanged since the last open
+            let loadedFromCache = false;
+            if (directoryManager.loadedFromCache) {
+                try {
+                    await this.loadArchiveFromCache(directoryManager.fingerprint, progressCallback);
+                    this.posts = this.videos;
+                    loadedFromCache = true;
+                } catch (error) {
+                    console.warn('⚠️ Archive cache unusable, parsing archive files instead:', error);
+                    progressCallback?.('Cache unavailable - reading archive files...', 15);
+                    await directoryManager.loadParsedData();
                 }
-                
-                return {
-                    video_id: shortcode,
-                    title: post.title || post.description?.substring(0, 100) || '@jonno.otto Instagram Post',
-                    description: post.description || post.caption || '',
-                    published_at: new Date(post.published_at),
-                    view_count: parseInt(post.view_count) || 0,
-                    comment_count: parseInt(post.comment_count) || 0,
-                    like_count: parseInt(post.like_count) || 0,
-                    url: post.url || '',
-                    shortcode: shortcode,
-                    hasMedia: hasMedia,
-                    mediaType: mediaInfo?.type.startsWith('video/') ? 'video' : 'image',
-                    mediaFilename: mediaInfo?.name
-                };
-            });
-            
-            this.posts = this.videos; // Keep reference for Instagram compatibility
+            }
             
-            progressCallback?.('Processing media files...', 30);
+            if (!loadedFromCache) {
+                this.videos = this.buildVideosFromArchive(directoryManager);
+                this.posts = this.videos; // Keep reference for Instagram compatibility
+                
+                progressCallback?.('Processing media files...', 30);
+            }
             
             // Store media mapping from directory manager
             this.mediaMapping = directoryManager.mediaFiles;
@@ -143,19 +245,25 @@ class DataManager {
             
             progressCallback?.('Setting up data structures...', 50);
             
-            // Load comments from SQLite database if available
-            await this.loadInstagramArchiveComments(directoryManager, progressCallback);
-            
-            // Set up basic indexing
-            this.buildVideoCommentsIndex();
+            if (!loadedFromCache) {
+                // Load comments from SQLite database if available
+                await this.loadInstagramArchiveComments(directoryManager, progressCallback);
+                
+                // Save in the background so the next open of this archive skips parsing
+                this.saveArchiveToCache(directoryManager.fingerprint, directoryManager.getDirectoryName(), this.videos, this.comments)
+                    .catch(error => console.warn('⚠️ Failed to cache archive:', error));
+            }
             
-            // Update comment counts in video objects based on actual loaded comments
-            this.updateVideoCommentCounts();
+            // Key the posts by account and make this account the active view
+            // (this also builds the comment index and updates comment counts)
+            directoryManager.accountId = await this.resolveAccountId(directoryManager);
+            this.storeAccountArchive(directoryManager, this.videos, this.comments);
+            this.setActiveAccount(directoryManager.accountId);
             
             progressCallback?.('Instagram archive ready!', 100);
             this.isInitialized = true;
             
-            console.log(`✅ DataManager initialized from @jonno.otto Instagram archive with ${this.videos.length} posts`);
+            console.log(`✅ DataManager initialized from @${directoryManager.getAccount().handle} Instagram archive with ${this.videos.length} posts`);
             
         } catch (error) {
             console.error('❌ DataManager Instagram archive initialization failed:', error);
@@ -163,6 +271,425 @@ class DataManager {
         }
     }
 
+    /**
+     * Pick the account id for an archive - its manifest handle, made unique across loaded archives
+     */
+    async resolveAccountId(directoryManager) {
+        for (const record of this.accountArchives.values()) {
+            // Re-adding the same folder replaces its earlier copy
+            if (record.directoryManager === directoryManager ||
+                await record.directoryManager.archiveHandle?.isSameEntry?.(directoryManager.archiveHandle)) {
+                return record.id;
+            }
+        }
+        
+        const handle = directoryManager.getAccount().handle;
+        let accountId = handle;
+        let suffix = 2;
+        while (this.accountArchives.has(accountId)) {
+            accountId = `${handle}-${suffix++}`;
+        }
+        return accountId;
+    }
+
+    /**
+     * Store an account's posts and comments, tagging posts with the account
+     * Shortcodes already used by another loaded account get an @account suffix so ids never collide
+     */
+    storeAccountArchive(directoryManager, videos, comments) {
+        const accountId = directoryManager.accountId;
+        const takenIds = new Set();
+        this.accountArchives.forEach(record => {
+            if (record.id !== accountId) {
+                record.videos.forEach(video => takenIds.add(video.video_id));
+            }
+        });
+        
+        const videoIds = new Map();
+        videos.forEach(video => {
+            const shortcode = video.shortcode || video.video_id;
+            const videoId = takenIds.has(shortcode) ? `${shortcode}@${accountId}` : shortcode;
+            videoIds.set(video.video_id, videoId);
+            videoIds.set(shortcode, videoId); // Comments reloaded on rescan still use the shortcode
+            video.video_id = videoId;
+            video.accountId = accountId;
+        });
+        if (videoIds.size > 0) {
+            comments.forEach(comment => {
+                const videoId = videoIds.get(comment.video_id);
+                if (videoId) comment.video_id = videoId;
+            });
+        }
+        
+        const previous = this.accountArchives.get(accountId);
+        this.accountArchives.set(accountId, {
+            id: accountId,
+            account: directoryManager.getAccount(),
+            directoryManager,
+            videos,
+            comments,
+            archiveChanges: previous?.archiveChanges || null
+        });
+    }
+
+    /**
+     * Switch the active view to one account, or to every loaded account with allAccountsId
+     */
+    setActiveAccount(accountId) {
+        const showAll = accountId === this.allAccountsId;
+        const archives = showAll
+            ? Array.from(this.accountArchives.values())
+            : [this.accountArchives.get(accountId)].filter(Boolean);
+        if (archives.length === 0) {
+            console.warn(`⚠️ No loaded archive for account "${accountId}"`);
+            return false;
+        }
+        
+        if (showAll) {
+            this.videos = [].concat(...archives.map(archive => archive.videos));
+            this.comments = [].concat(...archives.map(archive => archive.comments));
+            this.mediaMapping = new Map();
+            archives.forEach(archive => {
+                archive.directoryManager.mediaFiles.forEach((mediaInfo, shortcode) => {
+                    if (!this.mediaMapping.has(shortcode)) {
+                        this.mediaMapping.set(shortcode, mediaInfo);
+                    }
+                });
+            });
+            this.archiveChanges = null;
+        } else {
+            const archive = archives[0];
+            this.videos = archive.videos;
+            this.comments = archive.comments;
+            this.mediaMapping = archive.directoryManager.mediaFiles;
+            this.archiveChanges = archive.archiveChanges;
+        }
+        
+        this.activeAccountId = accountId;
+        this.posts = this.videos;
+        this.videoMapping = this.mediaMapping;
+        this.videoCommentsIndex = null;
+        this.buildVideoCommentsIndex();
+        this.updateVideoCommentCounts();
+        this.scheduleInvertedIndexBuild();
+        
+        console.log(`👤 Active view: ${showAll ? `all ${archives.length} accounts` : `@${archives[0].account.handle}`} (${this.videos.length} posts, ${this.comments.length.toLocaleString()} comments)`);
+        return true;
+    }
+
+    /**
+     * Summaries of the loaded account archives, in load order
+     */
+    getAccountArchives() {
+        return Array.from(this.accountArchives.values()).map(record => ({
+            id: record.id,
+            account: record.account,
+            directoryManager: record.directoryManager,
+            postCount: record.videos.length,
+            commentCount: record.comments.length
+        }));
+    }
+
+    /**
+     * Get the directory manager that holds a post's media
+     */
+    getDirectoryManagerForVideo(video) {
+        return this.accountArchives.get(video?.accountId)?.directoryManager || null;
+    }
+
+    /**
+     * Title for a post without a caption, naming the account whose archive it comes from
+     */
+    getDefaultPostTitle(videoId = null) {
+        const accountId = this.getVideo(videoId)?.accountId ?? this.activeAccountId;
+        // The bundled data folder predates archives and uses the default layout's account
+        const account = this.accountArchives.get(accountId)?.account
+            || (this.accountArchives.size === 0 ? DEFAULT_ARCHIVE_MANIFEST.account : null);
+        return account ? `@${account.handle} Instagram Post` : 'Instagram Post';
+    }
+
+    /**
+     * Find an account's post by its shortcode
+     */
+    getAccountVideo(accountId, shortcode) {
+        const videos = this.accountArchives.get(accountId)?.videos || this.videos;
+        return videos.find(video => video.shortcode === shortcode) || null;
+    }
+
+    /**
+     * Convert archive posts to video format for compatibility with existing UI
+     */
+    buildVideosFromArchive(directoryManager) {
+        // Get posts data from directory manager
+        const postsData = directoryManager.getPostsData();
+        console.log(`📷 Found ${postsData.length} Instagram posts`);
+        
+        // Debug: Show first few post shortcodes
+        const postShortcodes = postsData.slice(0, 5).map(p => p.shortcode || p.video_id);
+        console.log('🔍 Sample post shortcodes:', postShortcodes);
+        
+        const defaultTitle = `@${directoryManager.getAccount().handle} Instagram Post`;
+        
+        return postsData.map(post => {
+            // The new preindexed data already has the correct shortcode field
+            const shortcode = post.shortcode || post.video_id;
+            
+            return {
+                video_id: shortcode,
+                title: post.title || post.description?.substring(0, 100) || defaultTitle,
+                description: post.description || post.caption || '',
+                published_at: new Date(post.published_at),
+                view_count: parseInt(post.view_count) || 0,
+                // Exact counts from the comment index when the archive has one
+                comment_count: directoryManager.commentLoader?.getPostCommentStats?.(shortcode)?.count ?? (parseInt(post.comment_count) || 0),
+                like_count: parseInt(post.like_count) || 0,
+                url: post.url || '',
+                shortcode: shortcode,
+                ...this.getArchiveMediaFields(directoryManager, shortcode)
+            };
+        });
+    }
+
+    /**
+     * Media-derived post fields from the directory manager's scanned media files
+     */
+    getArchiveMediaFields(directoryManager, shortcode) {
+        const hasMedia = directoryManager.mediaFiles.has(shortcode);
+        const mediaInfo = directoryManager.mediaFiles.get(shortcode);
+        
+        // Debug media matching
+        if (!hasMedia && shortcode) {
+            console.log(`🔍 No media found for shortcode: ${shortcode}`);
+        }
+        
+        return {
+            hasMedia: hasMedia,
+            mediaType: mediaInfo?.type.startsWith('video/') ? 'video' : 'image',
+            mediaFilename: mediaInfo?.name,
+            mediaCount: mediaInfo?.items.length || 0,
+            isCarousel: Boolean(mediaInfo?.isCarousel)
+        };
+    }
+
+    /**
+     * Incrementally rescan the archive, reloading posts or comments only when their files changed
+     */
+    async rescanInstagramArchive(directoryManager, progressCallback) {
+        // Rescan within the account's own view, then restore whatever view was active
+        const viewAccountId = this.activeAccountId;
+        const accountId = directoryManager.accountId;
+        this.setActiveAccount(accountId);
+        
+        const previousSnapshot = this.createArchiveSnapshot(this.videos, directoryManager.mediaFiles);
+        const fileChanges = await directoryManager.rescanArchive(progressCallback);
+        
+        // Posts/comments restored from the cache have no parsed source to fall back on
+        const postsChanged = fileChanges.postsChanged || !directoryManager.postsData;
+        const commentsChanged = fileChanges.commentsChanged || (!directoryManager.commentsData && !this.comments.length);
+        
+        if (postsChanged) {
+            progressCallback?.('Reloading post metadata...', 50);
+            await directoryManager.loadPreindexedData();
+            this.videos = this.buildVideosFromArchive(directoryManager);
+            this.posts = this.videos;
+        } else {
+            // Media may have been added or removed for existing posts
+            this.videos.forEach(video => {
+                Object.assign(video, this.getArchiveMediaFields(directoryManager, video.shortcode));
+            });
+        }
+        
+        this.mediaMapping = directoryManager.mediaFiles;
+        this.videoMapping = this.mediaMapping;
+        
+        // Sidecar transcripts are re-read from the rescanned files
+        this.transcriptCache.clear();
+        this.transcriptsLoad = null;
+        
+        if (commentsChanged) {
+            progressCallback?.('Reloading comments...', 60);
+            await directoryManager.loadCommentData(progressCallback);
+            await this.loadInstagramArchiveComments(directoryManager, progressCallback);
+        } else if (postsChanged) {
+            // Keep comments, but refresh the post titles they carry
+            this.comments.forEach(comment => {
+                const post = this.getVideo(comment.video_id);
+                if (post) comment.video_title = post.title;
+            });
+        }
+        
+        this.storeAccountArchive(directoryManager, this.videos, this.comments);
+        this.setActiveAccount(accountId);
+        
+        const currentSnapshot = this.createArchiveSnapshot(this.videos, directoryManager.mediaFiles);
+        const changes = this.diffArchiveSnapshots(previousSnapshot, currentSnapshot);
+        changes.accountId = accountId;
+        this.applyArchiveChanges(changes, this.videos, directoryManager.mediaFiles);
+        this.accountArchives.get(accountId).archiveChanges = changes;
+        
+        if (fileChanges.fingerprintChanged) {
+            this.saveArchiveToCache(directoryManager.fingerprint, directoryManager.getDirectoryName(), this.videos, this.comments)
+                .catch(error => console.warn('⚠️ Failed to cache archive:', error));
+        }
+        await this.saveArchiveSnapshot(this.getArchiveSnapshotKey(directoryManager), currentSnapshot);
+        
+        this.setActiveAccount(viewAccountId ?? accountId);
+        progressCallback?.('Rescan complete', 100);
+        return changes;
+    }
+
+    /**
+     * Compare the loaded archive with the state saved at the last open
+     */
+    async trackArchiveChanges(directoryManager) {
+        const snapshotKey = this.getArchiveSnapshotKey(directoryManager);
+        const record = this.accountArchives.get(directoryManager.accountId);
+        const videos = record?.videos || this.videos;
+        const currentSnapshot = this.createArchiveSnapshot(videos, directoryManager.mediaFiles);
+        
+        try {
+            const previousSnapshot = await this.getArchiveSnapshot(snapshotKey);
+            const changes = previousSnapshot ? this.diffArchiveSnapshots(previousSnapshot, currentSnapshot) : null;
+            if (changes) changes.accountId = directoryManager.accountId;
+            this.applyArchiveChanges(changes, videos, directoryManager.mediaFiles);
+            if (record) {
+                record.archiveChanges = changes;
+            }
+            if (!record || this.activeAccountId === record.id) {
+                this.archiveChanges = changes;
+            }
+            await this.saveArchiveSnapshot(snapshotKey, currentSnapshot);
+            return changes;
+        } catch (error) {
+            console.warn('⚠️ Failed to compare archive with last open:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Capture the per-post and per-media state of one account used to detect changes
+     */
+    createArchiveSnapshot(videos, mediaFiles) {
+        const posts = {};
+        videos.forEach(video => {
+            posts[video.shortcode || video.video_id] = {
+                title: video.title,
+                likes: video.like_count,
+                captionLength: video.description?.length || 0,
+                comments: video.comment_count || 0
+            };
+        });
+        
+        const media = {};
+        mediaFiles.forEach(mediaInfo => {
+            mediaInfo.items.forEach(item => {
+                media[item.path] = `${item.size}|${item.file?.lastModified ?? ''}`;
+            });
+        });
+        
+        return { posts, media, savedAt: new Date() };
+    }
+
+    /**
+     * Diff two archive snapshots into new, changed and removed posts, media and comments
+     */
+    diffArchiveSnapshots(previous, current) {
+        const changes = {
+            since: previous.savedAt,
+            posts: { added: [], changed: [], removed: [] },
+            media: { added: [], changed: [], removed: [] },
+            comments: { added: 0, removed: 0, byPost: [] }
+        };
+        
+        Object.entries(current.posts).forEach(([shortcode, post]) => {
+            const before = previous.posts[shortcode];
+            if (!before) {
+                changes.posts.added.push(shortcode);
+                if (post.comments > 0) {
+                    changes.comments.added += post.comments;
+                    changes.comments.byPost.push({ shortcode, delta: post.comments });
+                }
+                return;
+            }
+            
+            if (before.likes !== post.likes || before.captionLength !== post.captionLength) {
+                changes.posts.changed.push(shortcode);
+            }
+            
+            const delta = post.comments - before.comments;
+            if (delta !== 0) {
+                changes.comments.byPost.push({ shortcode, delta });
+                if (delta > 0) {
+                    changes.comments.added += delta;
+                } else {
+                    changes.comments.removed -= delta;
+                }
+            }
+        });
+        
+        Object.entries(previous.posts).forEach(([shortcode, post]) => {
+            if (!current.posts[shortcode]) {
+                changes.posts.removed.push({ shortcode, title: post.title });
+                changes.comments.removed += post.comments;
+            }
+        });
+        
+        Object.entries(current.media).forEach(([path, signature]) => {
+            if (!(path in previous.media)) {
+                changes.media.added.push(path);
+            } else if (previous.media[path] !== signature) {
+                changes.media.changed.push(path);
+            }
+        });
+        Object.keys(previous.media).forEach(path => {
+            if (!(path in current.media)) {
+                changes.media.removed.push(path);
+            }
+        });
+        
+        changes.comments.byPost.sort((a, b) => b.delta - a.delta);
+        changes.isEmpty = changes.posts.added.length === 0 &&
+            changes.posts.changed.length === 0 &&
+            changes.posts.removed.length === 0 &&
+            changes.media.added.length === 0 &&
+            changes.media.changed.length === 0 &&
+            changes.media.removed.length === 0 &&
+            changes.comments.added === 0 &&
+            changes.comments.removed === 0;
+        
+        return changes;
+    }
+
+    /**
+     * Tag an account's posts with their change status so the grid can badge and filter them
+     */
+    applyArchiveChanges(changes, videos, mediaFiles) {
+        const added = new Set(changes?.posts.added || []);
+        const newComments = new Map((changes?.comments.byPost || [])
+            .filter(entry => entry.delta > 0)
+            .map(entry => [entry.shortcode, entry.delta]));
+        const shortcodeByPath = new Map();
+        mediaFiles.forEach((mediaInfo, shortcode) => {
+            mediaInfo.items.forEach(item => shortcodeByPath.set(item.path, shortcode));
+        });
+        const changedMedia = [...(changes?.media.added || []), ...(changes?.media.changed || [])]
+            .map(path => shortcodeByPath.get(path))
+            .filter(Boolean);
+        const updated = new Set([...(changes?.posts.changed || []), ...changedMedia]);
+        
+        videos.forEach(video => {
+            const shortcode = video.shortcode || video.video_id;
+            if (added.has(shortcode)) {
+                video.changeStatus = 'new';
+            } else if (newComments.has(shortcode) || updated.has(shortcode)) {
+                video.changeStatus = 'updated';
+            } else {
+                delete video.changeStatus;
+            }
+            video.newCommentCount = added.has(shortcode) ? 0 : (newComments.get(shortcode) || 0);
+        });
+    }
+
     /**
      * Initialize from pre-loaded mapping data (for File System Access API mode)
      */
@@ -254,29 +781,31 @@ class DataManager {
     }
 
     /**
-     * Update video comment counts based on actual loaded comments
+     * Update video comment counts from the comment index, falling back to the loaded comments
      */
     updateVideoCommentCounts() {
         if (!this.videoCommentsIndex) {
             return;
         }
 
-        // Update comment count for each video based on actual loaded comments
+        const getCommentCount = (video) => {
+            const indexed = video.shortcode
+                ? this.getDirectoryManagerForVideo(video)?.commentLoader?.getPostCommentStats?.(video.shortcode)
+                : null;
+            if (indexed) {
+                return indexed.count;
+            }
+            return (this.videoCommentsIndex[video.video_id] || []).length;
+        };
+
         this.videos.forEach(video => {
-            const videoComments = this.videoCommentsIndex[video.video_id] || [];
-            const actualCommentCount = videoComments.length;
-            
-            // Update the comment count
-            video.comment_count = actualCommentCount;
-            
-            // Comment count updated (removed excessive logging for performance)
+            video.comment_count = getCommentCount(video);
         });
 
         // Also update posts array if it exists
         if (this.posts && this.posts !== this.videos) {
             this.posts.forEach(post => {
-                const postComments = this.videoCommentsIndex[post.video_id] || [];
-                post.comment_count = postComments.length;
+                post.comment_count = getCommentCount(post);
             });
         }
 
@@ -450,7 +979,7 @@ class DataManager {
                 postComments.forEach(comment => {
                     // Find the corresponding post to get its title
                     const post = this.getVideo(postId);
-                    const postTitle = post?.title || post?.description?.substring(0, 100) || '@jonno.otto Instagram Post';
+                    const postTitle = post?.title || post?.description?.substring(0, 100) || this.getDefaultPostTitle(postId);
                     
                     this.comments.push({
                         ...comment,
@@ -491,26 +1020,22 @@ class DataManager {
             try {
                 progressCallback?.('Loading comments...', 60);
                 
-                // Get all unique shortcodes from our posts
-                const shortcodes = this.videos
-                    .filter(video => video.shortcode)
-                    .map(video => video.shortcode);
+                // Get all posts with a shortcode
+                const posts = this.videos.filter(video => video.shortcode);
+                const defaultTitle = `@${directoryManager.getAccount().handle} Instagram Post`;
                 
-                console.log(`📝 Loading comments for ${shortcodes.length} posts from organized database`);
+                console.log(`📝 Loading comments for ${posts.length} posts from organized database`);
                 
                 let totalComments = 0;
-                for (const shortcode of shortcodes) {
-                    const commentData = await directoryManager.commentLoader.getCommentsForPost(shortcode, 1, 50000);
+                for (const post of posts) {
+                    const commentData = await directoryManager.commentLoader.getCommentsForPost(post.shortcode, 1, Infinity);
                     if (commentData.comments && commentData.comments.length > 0) {
                         // Comments are now full comment objects, not just IDs
+                        const postTitle = post.title || post.description?.substring(0, 100) || defaultTitle;
                         commentData.comments.forEach(comment => {
-                            // Find the corresponding post to get its title
-                            const post = this.getVideo(shortcode);
-                            const postTitle = post?.title || post?.description?.substring(0, 100) || '@jonno.otto Instagram Post';
-                            
                             this.comments.push({
                                 ...comment,
-                                video_id: shortcode,
+                                video_id: post.video_id,
                                 video_title: postTitle
                             });
                         });
@@ -519,6 +1044,9 @@ class DataManager {
                 }
                 
                 console.log(`💬 Loaded ${totalComments} comments from organized database`);
+                
+                // Count the index from the comments just loaded instead of reading every file again
+                await directoryManager.commentLoader.ensureIndex();
                 return;
                 
             } catch (error) {
@@ -572,7 +1100,7 @@ class DataManager {
             progressCallback?.('Comments loaded from database', 80);
             
         } catch (error) {
-            console.error('❌ Failed to load @jonno.otto Instagram archive comments:', error);
+            console.error(`❌ Failed to load @${directoryManager.getAccount().handle} Instagram archive comments:`, error);
             this.comments = [];
         }
     }
@@ -612,92 +1140,489 @@ class DataManager {
 
             request.onsuccess = (event) => {
                 this.db = event.target.result;
+                
+                // Let newer versions of the app in other tabs upgrade the schema
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
                 console.log('✅ IndexedDB initialized');
                 resolve();
             };
 
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
+                const transaction = event.target.transaction;
 
-                // Create videos store
-                if (!db.objectStoreNames.contains('videos')) {
-                    const videoStore = db.createObjectStore('videos', { keyPath: 'video_id' });
-                    videoStore.createIndex('published_at', 'published_at');
-                    videoStore.createIndex('view_count', 'view_count');
-                    videoStore.createIndex('comment_count', 'comment_count');
-                    videoStore.createIndex('title', 'title');
-                }
-
-                // Create comments store
-                if (!db.objectStoreNames.contains('comments')) {
-                    const commentStore = db.createObjectStore('comments', { keyPath: 'comment_id' });
-                    commentStore.createIndex('video_id', 'video_id');
-                    commentStore.createIndex('author', 'author');
-                    commentStore.createIndex('published_at', 'published_at');
-                    commentStore.createIndex('like_count', 'like_count');
-                    commentStore.createIndex('is_reply', 'is_reply');
-                    commentStore.createIndex('parent_comment_id', 'parent_comment_id');
+                for (let version = event.oldVersion + 1; version <= event.newVersion; version++) {
+                    console.log(`🗄️ Migrating IndexedDB schema to version ${version}`);
+                    this.migrations[version]?.(db, transaction);
                 }
             };
         });
     }
 
     /**
-     * Populate IndexedDB with loaded data
+     * Open IndexedDB on demand for stores used outside the main data load
      */
-    async populateDatabase(progressCallback) {
+    async ensureDB() {
         if (!this.db) {
-            // IndexedDB not available, just simulate progress for user feedback
-            progressCallback?.('Using in-memory storage...', 90);
-            await new Promise(resolve => setTimeout(resolve, 500)); // Small delay for user feedback
-            return;
+            // Share a single open request between concurrent callers
+            this.dbOpenPromise = this.dbOpenPromise || this.initIndexedDB().finally(() => {
+                this.dbOpenPromise = null;
+            });
+            await this.dbOpenPromise;
         }
+        return this.db;
+    }
+
+    /**
+     * Remember an opened archive folder so it can be reopened after a reload
+     */
+    async rememberArchive(handle, info = {}) {
+        const db = await this.ensureDB();
+        if (!db || !handle) return null;
 
         try {
-            // Clear existing data
-            progressCallback?.('Clearing existing data...', 82);
-            await this.clearStore('videos');
-            await this.clearStore('comments');
+            const archives = await this.getRecentArchives(Infinity);
+
+            // Reuse the existing entry if this folder was opened before
+            let existing = null;
+            for (const archive of archives) {
+                if (await archive.handle?.isSameEntry?.(handle)) {
+                    existing = archive;
+                    break;
+                }
+            }
 
-            // Add videos
-            progressCallback?.('Indexing videos...', 85);
-            await this.addToStore('videos', this.videos);
+            const record = {
+                ...(existing ? { id: existing.id } : {}),
+                name: handle.name,
+                handle,
+                postCount: info.postCount ?? existing?.postCount ?? 0,
+                mediaCount: info.mediaCount ?? existing?.mediaCount ?? 0,
+                lastOpened: new Date()
+            };
 
-            // Add comments (this is the slow part)
-            progressCallback?.('Indexing comments...', 88);
-            await this.addToStore('comments', this.comments, progressCallback);
+            const id = await new Promise((resolve, reject) => {
+                const transaction = db.transaction(['archives'], 'readwrite');
+                const request = transaction.objectStore('archives').put(record);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
 
-            progressCallback?.('Finalizing database...', 95);
-            console.log('✅ IndexedDB populated with data');
+            // Trim the list down to the most recent archives
+            const stale = archives
+                .filter(archive => archive.id !== id)
+                .slice(this.maxRecentArchives - 1);
+            for (const archive of stale) {
+                await this.forgetArchive(archive.id);
+            }
+
+            console.log(`📁 Remembered archive "${handle.name}" for quick reopen`);
+            return id;
         } catch (error) {
-            console.warn('⚠️ Failed to populate IndexedDB, using in-memory fallback:', error);
-            progressCallback?.('Using in-memory storage...', 90);
+            console.warn('⚠️ Failed to remember archive folder:', error);
+            return null;
         }
     }
 
     /**
-     * Clear an IndexedDB store
+     * Get recently opened archives, most recent first
      */
-    async clearStore(storeName) {
+    async getRecentArchives(limit = this.maxRecentArchives) {
+        const db = await this.ensureDB();
+        if (!db) return [];
+
+        return new Promise((resolve) => {
+            const transaction = db.transaction(['archives'], 'readonly');
+            const request = transaction.objectStore('archives').getAll();
+
+            request.onsuccess = () => {
+                const archives = request.result.sort((a, b) => new Date(b.lastOpened) - new Date(a.lastOpened));
+                resolve(archives.slice(0, limit));
+            };
+            request.onerror = () => {
+                console.warn('⚠️ Failed to read recent archives:', request.error);
+                resolve([]);
+            };
+        });
+    }
+
+    /**
+     * Get a single remembered archive by id
+     */
+    async getRecentArchive(id) {
+        const db = await this.ensureDB();
+        if (!db) return null;
+
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([storeName], 'readwrite');
-            const store = transaction.objectStore(storeName);
-            const request = store.clear();
-            
+            const transaction = db.transaction(['archives'], 'readonly');
+            const request = transaction.objectStore('archives').get(id);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Remove an archive from the recent list
+     */
+    async forgetArchive(id) {
+        const db = await this.ensureDB();
+        if (!db) return;
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['archives'], 'readwrite');
+            const request = transaction.objectStore('archives').delete(id);
             request.onsuccess = () => resolve();
             request.onerror = () => reject(request.error);
         });
     }
 
     /**
-     * Add data to an IndexedDB store
+     * Snapshot key of an archive: its manifest account plus folder name, so same-named
+     * folders of different accounts keep separate snapshots while re-exports still match
      */
-    async addToStore(storeName, data, progressCallback) {
+    getArchiveSnapshotKey(directoryManager) {
+        return `${directoryManager.getAccount().handle}/${directoryManager.getDirectoryName()}`;
+    }
+
+    /**
+     * Get the snapshot saved the last time an archive was opened
+     */
+    async getArchiveSnapshot(key) {
+        const db = await this.ensureDB();
+        if (!db) return null;
+
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([storeName], 'readwrite');
-            const store = transaction.objectStore(storeName);
-            
-            let completed = 0;
+            const transaction = db.transaction(['archiveSnapshots'], 'readonly');
+            const request = transaction.objectStore('archiveSnapshots').get(key);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Save the current archive snapshot for the next "what's new" comparison
+     */
+    async saveArchiveSnapshot(key, snapshot) {
+        const db = await this.ensureDB();
+        if (!db) return;
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['archiveSnapshots'], 'readwrite');
+            const request = transaction.objectStore('archiveSnapshots').put({ ...snapshot, key });
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get a stored comment stats index
+     */
+    async getCommentIndex(key) {
+        const db = await this.ensureDB();
+        if (!db) return null;
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['commentIndexes'], 'readonly');
+            const request = transaction.objectStore('commentIndexes').get(key);
+            request.onsuccess = () => resolve(request.result?.index || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Store a comment stats index so the background pass only runs once per set of files,
+     * dropping the oldest ones beyond maxCachedCommentIndexes
+     */
+    async saveCommentIndex(key, index) {
+        const db = await this.ensureDB();
+        if (!db) return;
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(['commentIndexes'], 'readwrite');
+            const request = transaction.objectStore('commentIndexes').put({ key, index, savedAt: new Date() });
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+
+        const keys = await new Promise((resolve, reject) => {
+            const transaction = db.transaction(['commentIndexes'], 'readonly');
+            const request = transaction.objectStore('commentIndexes').index('savedAt').getAllKeys();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Keys come back oldest first; every rescan with changed files stores a new one
+        const stale = keys
+            .filter(storedKey => storedKey !== key)
+            .slice(0, Math.max(0, keys.length - this.maxCachedCommentIndexes));
+        if (stale.length === 0) return;
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(['commentIndexes'], 'readwrite');
+            stale.forEach(storedKey => transaction.objectStore('commentIndexes').delete(storedKey));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get cached archive info for a fingerprint, or null when there is no usable cache
+     */
+    async getCachedArchiveInfo(fingerprint) {
+        const db = await this.ensureDB();
+        if (!db || !fingerprint) return null;
+
+        return new Promise((resolve) => {
+            const transaction = db.transaction(['archiveCache'], 'readonly');
+            const request = transaction.objectStore('archiveCache').get(fingerprint);
+
+            request.onsuccess = () => {
+                const record = request.result;
+                if (!record || record.cacheVersion !== this.archiveCacheVersion) {
+                    resolve(null);
+                    return;
+                }
+                resolve({
+                    fingerprint: record.fingerprint,
+                    name: record.name,
+                    savedAt: record.savedAt,
+                    postCount: record.postCount,
+                    commentCount: record.commentCount
+                });
+            };
+            request.onerror = () => {
+                console.warn('⚠️ Failed to read archive cache:', request.error);
+                resolve(null);
+            };
+        });
+    }
+
+    /**
+     * Load normalized posts and comments for a fingerprint from the archive cache
+     */
+    async loadArchiveFromCache(fingerprint, progressCallback) {
+        const db = await this.ensureDB();
+        if (!db) {
+            throw new Error('IndexedDB is not available');
+        }
+
+        progressCallback?.('Loading posts from cache...', 20);
+        const record = await new Promise((resolve, reject) => {
+            const transaction = db.transaction(['archiveCache'], 'readonly');
+            const request = transaction.objectStore('archiveCache').get(fingerprint);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        if (!record || record.cacheVersion !== this.archiveCacheVersion) {
+            throw new Error('No cached copy of this archive');
+        }
+
+        progressCallback?.('Loading comments from cache...', 40);
+        const commentGroups = await new Promise((resolve, reject) => {
+            const transaction = db.transaction(['archiveCacheComments'], 'readonly');
+            const request = transaction.objectStore('archiveCacheComments')
+                .index('fingerprint')
+                .getAll(IDBKeyRange.only(fingerprint));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        this.videos = record.videos;
+        this.comments = [];
+        commentGroups.forEach(group => {
+            for (const comment of group.comments) {
+                this.comments.push(comment);
+            }
+        });
+
+        if (this.comments.length !== record.commentCount) {
+            throw new Error(`Cached comments are incomplete (${this.comments.length}/${record.commentCount})`);
+        }
+
+        console.log(`⚡ Loaded ${this.videos.length} posts and ${this.comments.length.toLocaleString()} comments from cache`);
+    }
+
+    /**
+     * Save an archive's normalized posts and comments under its fingerprint
+     * Runs in the background, so it snapshots the records before storeAccountArchive tags them
+     */
+    async saveArchiveToCache(fingerprint, archiveName, videos = this.videos, comments = this.comments) {
+        ({ videos, comments } = this.untagAccountRecords(videos, comments));
+
+        const db = await this.ensureDB();
+        if (!db || !fingerprint) return;
+
+        // Group comments per post so no single record gets too large
+        const commentGroups = new Map();
+        comments.forEach(comment => {
+            if (!commentGroups.has(comment.video_id)) {
+                commentGroups.set(comment.video_id, []);
+            }
+            commentGroups.get(comment.video_id).push(comment);
+        });
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(['archiveCache', 'archiveCacheComments'], 'readwrite');
+            const commentStore = transaction.objectStore('archiveCacheComments');
+
+            commentGroups.forEach((postComments, videoId) => {
+                commentStore.put({ fingerprint, video_id: videoId, comments: postComments });
+            });
+
+            // The summary record goes last - a cache without it is never read
+            transaction.objectStore('archiveCache').put({
+                fingerprint,
+                name: archiveName,
+                cacheVersion: this.archiveCacheVersion,
+                savedAt: new Date(),
+                postCount: videos.length,
+                commentCount: comments.length,
+                videos
+            });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+
+        console.log(`💾 Cached ${videos.length} posts and ${comments.length.toLocaleString()} comments for "${archiveName}"`);
+        await this.pruneArchiveCache(fingerprint);
+    }
+
+    /**
+     * Copies of posts and comments without the account tags added by storeAccountArchive,
+     * so cached archives always use the ids from the archive files
+     */
+    untagAccountRecords(videos, comments) {
+        const videoIds = new Map();
+        const untaggedVideos = videos.map(video => {
+            const { accountId, ...untagged } = video;
+            const suffix = `@${accountId}`;
+            if (accountId && video.video_id.endsWith(suffix)) {
+                untagged.video_id = video.video_id.slice(0, -suffix.length);
+                videoIds.set(video.video_id, untagged.video_id);
+            }
+            return untagged;
+        });
+        const untaggedComments = comments.map(comment => ({
+            ...comment,
+            video_id: videoIds.get(comment.video_id) || comment.video_id
+        }));
+        return { videos: untaggedVideos, comments: untaggedComments };
+    }
+
+    /**
+     * Drop the oldest cached archives beyond maxCachedArchives
+     */
+    async pruneArchiveCache(keepFingerprint) {
+        const db = await this.ensureDB();
+        if (!db) return;
+
+        const records = await new Promise((resolve, reject) => {
+            const transaction = db.transaction(['archiveCache'], 'readonly');
+            const request = transaction.objectStore('archiveCache').index('savedAt').getAllKeys();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Keys come back oldest first
+        const stale = records
+            .filter(fingerprint => fingerprint !== keepFingerprint)
+            .slice(0, Math.max(0, records.length - this.maxCachedArchives));
+
+        for (const fingerprint of stale) {
+            await this.deleteCachedArchive(fingerprint);
+        }
+    }
+
+    /**
+     * Remove a cached archive and its comments
+     */
+    async deleteCachedArchive(fingerprint) {
+        const db = await this.ensureDB();
+        if (!db) return;
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(['archiveCache', 'archiveCacheComments'], 'readwrite');
+            transaction.objectStore('archiveCache').delete(fingerprint);
+
+            const commentIndex = transaction.objectStore('archiveCacheComments').index('fingerprint');
+            const cursorRequest = commentIndex.openKeyCursor(IDBKeyRange.only(fingerprint));
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor) {
+                    transaction.objectStore('archiveCacheComments').delete(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+
+        console.log(`🗑️ Removed cached archive ${fingerprint.substring(0, 12)}…`);
+    }
+
+    /**
+     * Populate IndexedDB with loaded data
+     */
+    async populateDatabase(progressCallback) {
+        if (!this.db) {
+            // IndexedDB not available, just simulate progress for user feedback
+            progressCallback?.('Using in-memory storage...', 90);
+            await new Promise(resolve => setTimeout(resolve, 500)); // Small delay for user feedback
+            return;
+        }
+
+        try {
+            // Clear existing data
+            progressCallback?.('Clearing existing data...', 82);
+            await this.clearStore('videos');
+            await this.clearStore('comments');
+
+            // Add videos
+            progressCallback?.('Indexing videos...', 85);
+            await this.addToStore('videos', this.videos);
+
+            // Add comments (this is the slow part)
+            progressCallback?.('Indexing comments...', 88);
+            await this.addToStore('comments', this.comments, progressCallback);
+
+            progressCallback?.('Finalizing database...', 95);
+            console.log('✅ IndexedDB populated with data');
+        } catch (error) {
+            console.warn('⚠️ Failed to populate IndexedDB, using in-memory fallback:', error);
+            progressCallback?.('Using in-memory storage...', 90);
+        }
+    }
+
+    /**
+     * Clear an IndexedDB store
+     */
+    async clearStore(storeName) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            const request = store.clear();
+            
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Add data to an IndexedDB store
+     */
+    async addToStore(storeName, data, progressCallback) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            
+            let completed = 0;
             const total = data.length;
             const isComments = storeName === 'comments';
             
@@ -736,13 +1661,21 @@ class DataManager {
             return true;
         });
 
+        // Only posts that are new or updated since the last open/rescan
+        if (filters.newOnly) {
+            filteredVideos = filteredVideos.filter(video => video.changeStatus);
+        }
+
         // Apply other filters
-        if (filters.search) {
-            const searchLower = filters.search.toLowerCase();
-            filteredVideos = filteredVideos.filter(video => 
-                video.title.toLowerCase().includes(searchLower) ||
-                video.description?.toLowerCase().includes(searchLower)
-            );
+        const query = SearchQuery.parse(filters.search, { fuzzy: filters.fuzzy });
+        if (!query.isEmpty) {
+            await this.loadAllTranscripts();
+            const context = {
+                getPostComments: (videoId) => this.videoCommentsIndex?.[videoId] ||
+                    this.comments.filter(comment => comment.video_id === videoId),
+                getPostTranscript: (videoId) => this.getTranscriptText(videoId)
+            };
+            filteredVideos = filteredVideos.filter(video => query.matchesPost(video, context));
         }
 
         if (filters.dateFrom) {
@@ -825,13 +1758,7 @@ class DataManager {
         }
 
         // Apply filters
-        if (filters.search) {
-            const searchLower = filters.search.toLowerCase();
-            videoComments = videoComments.filter(comment => 
-                comment.text.toLowerCase().includes(searchLower) ||
-                comment.author.toLowerCase().includes(searchLower)
-            );
-        }
+        videoComments = this.filterCommentsByQuery(videoComments, filters);
 
         if (filters.repliesOnly) {
             videoComments = videoComments.filter(comment => comment.is_reply);
@@ -878,6 +1805,28 @@ class DataManager {
         };
     }
 
+    /**
+     * Filter a post's comments with the search box query syntax (see SearchQuery)
+     */
+    filterCommentsByQuery(videoComments, filters) {
+        const query = SearchQuery.parse(filters.search, { fuzzy: filters.fuzzy });
+        if (query.isEmpty) return videoComments;
+        
+        // Reply counts come from the unfiltered comments, so replies:>N isn't affected by other terms
+        const replyCounts = new Map();
+        videoComments.forEach(comment => {
+            if (comment.is_reply && comment.parent_comment_id) {
+                replyCounts.set(comment.parent_comment_id, (replyCounts.get(comment.parent_comment_id) || 0) + 1);
+            }
+        });
+        
+        const context = {
+            getReplyCount: (comment) => replyCounts.get(comment.comment_id) || 0,
+            getPost: (videoId) => this.getVideo(videoId)
+        };
+        return videoComments.filter(comment => query.matchesComment(comment, context));
+    }
+
     /**
      * Get ALL comments for a video without pagination (for export)
      */
@@ -893,13 +1842,7 @@ class DataManager {
         }
 
         // Apply filters (same as getComments but no pagination)
-        if (filters.search) {
-            const searchLower = filters.search.toLowerCase();
-            videoComments = videoComments.filter(comment => 
-                comment.text.toLowerCase().includes(searchLower) ||
-                comment.author.toLowerCase().includes(searchLower)
-            );
-        }
+        videoComments = this.filterCommentsByQuery(videoComments, filters);
 
         if (filters.repliesOnly) {
             videoComments = videoComments.filter(comment => comment.is_reply);
@@ -939,11 +1882,14 @@ class DataManager {
      */
     getVideoFilePath(videoId) {
         if (this.dataSource === 'instagram') {
-            // For Instagram, videoId is the shortcode
-            const mediaFile = this.mediaMapping.get ? this.mediaMapping.get(videoId) : this.mediaMapping[videoId];
+            // For Instagram, media is keyed by shortcode within the post's account archive
+            const video = this.getVideo(videoId);
+            const shortcode = video?.shortcode || videoId;
+            const mediaFiles = this.getDirectoryManagerForVideo(video)?.mediaFiles || this.mediaMapping;
+            const mediaFile = mediaFiles.get ? mediaFiles.get(shortcode) : mediaFiles[shortcode];
             if (mediaFile) {
                 return {
-                    shortcode: videoId,
+                    shortcode,
                     filename: mediaFile.filename || mediaFile.path,
                     type: mediaFile.type,
                     hasLocalFile: true
@@ -981,76 +1927,1042 @@ class DataManager {
     }
 
     /**
-     * Search across all comments
+     * Search every post's comments with the search box query syntax (see SearchQuery).
+     * Returns { hits: [{ comment, post, score }], total, query } with the best hits (BM25) first,
+     * capped at options.limit; options.fuzzy also matches misspellings and other word forms.
+     * Once the inverted index is ready, only the comments it finds for the query's words are
+     * checked against the filters; filter-only queries scan every comment.
+     */
+    async searchAllComments(search, options = {}) {
+        const { limit = 1000, fuzzy = false } = options;
+        const query = SearchQuery.parse(search, { fuzzy });
+        if (query.isEmpty) return { hits: [], total: 0, query };
+        
+        const postsById = new Map(this.videos.map(video => [video.video_id, video]));
+        const replyCounts = this.getCommentReplyCounts();
+        const context = {
+            getReplyCount: (comment) => replyCounts.get(comment.comment_id) || 0,
+            getPost: (videoId) => postsById.get(videoId)
+        };
+        const index = this.getInvertedIndex();
+        const candidates = index ? this.getCommentSearchCandidates(query, index) : null;
+        const matches = (candidates || this.comments).filter(comment => query.matchesComment(comment, context));
+        
+        // Relevance comes from the query's words - filter-only queries just list the newest first
+        const words = query.getHighlightTerms().join(' ');
+        const scores = new Map();
+        if (words && index) {
+            index.search(words, { kind: 'comment', requireAll: false, fuzzy }).forEach(result => {
+                scores.set(this.invertedIndexDocKeys[result.doc], result.score);
+            });
+        } else if (words) {
+            SearchIndex.rankDocuments(words, matches, comment => ({ text: comment.text, author: comment.author }), { fuzzy })
+                .forEach(result => scores.set(result.document.comment_id, result.score));
+        }
+        
+        const hits = matches.map(comment => ({
+            comment,
+            post: postsById.get(comment.video_id) || null,
+            score: scores.get(comment.comment_id) || 0
+        }));
+        hits.sort((a, b) => b.score - a.score || b.comment.published_at - a.comment.published_at);
+        
+        console.log(`🔍 Comment search "${search}": ${hits.length.toLocaleString()} matches`);
+        return { hits: hits.slice(0, limit), total: hits.length, query };
+    }
+
+    /**
+     * Comments that can match a query, looked up in the inverted index: for each OR group, those
+     * holding every word of its text terms. Null when a group has no words to look up
+     * (only filters or excluded words), which needs a full scan instead.
      */
-    async searchComments(query, videoId = null) {
-        const searchLower = query.toLowerCase();
-        let searchComments = videoId 
-            ? this.comments.filter(comment => comment.video_id === videoId)
-            : this.comments;
+    getCommentSearchCandidates(query, index) {
+        const docs = new Set();
+        for (const group of query.groups) {
+            // The index leaves out one-letter and very long words
+            const words = [...new Set(group
+                .filter(term => term.type === 'text' && !term.negated)
+                .flatMap(term => term.tokens.map(token => token.word))
+                .filter(word => word.length > 1 && word.length <= 40))];
+            if (words.length === 0) return null;
+            
+            // Comments holding every word, starting from the rarest
+            const wordDocs = words
+                .map(word => index.findCommentDocuments(word, query.fuzzy))
+                .sort((a, b) => a.size - b.size);
+            wordDocs[0].forEach(doc => {
+                if (wordDocs.every(set => set.has(doc))) docs.add(doc);
+            });
+        }
+        return Array.from(docs, doc => this.invertedIndexLookup.get(this.invertedIndexDocKeys[doc])).filter(Boolean);
+    }
 
-        const results = searchComments.filter(comment => 
-            comment.text.toLowerCase().includes(searchLower) ||
-            comment.author.toLowerCase().includes(searchLower)
-        );
+    /**
+     * Sidecar transcripts of a post, one per .vtt/.srt file: [{ mediaIndex, language, label, name, cues }]
+     */
+    async getTranscripts(videoId) {
+        if (this.transcriptCache.has(videoId)) {
+            return this.transcriptCache.get(videoId);
+        }
+        
+        const video = this.getVideo(videoId);
+        const directoryManager = this.getDirectoryManagerForVideo(video);
+        if (!video?.shortcode || !directoryManager?.subtitleFiles?.has(video.shortcode)) {
+            return [];
+        }
+        
+        const transcripts = [];
+        const mediaCount = directoryManager.getMediaItems(video.shortcode).length;
+        for (let mediaIndex = 0; mediaIndex < mediaCount; mediaIndex++) {
+            for (const track of directoryManager.getSubtitleTracks(video.shortcode, mediaIndex)) {
+                try {
+                    transcripts.push({
+                        mediaIndex,
+                        language: track.language,
+                        label: track.language ? track.language.toUpperCase() : 'Captions',
+                        name: track.name,
+                        cues: await directoryManager.readSubtitleCues(track)
+                    });
+                } catch (error) {
+                    console.warn(`⚠️ Could not read transcript ${track.path}:`, error);
+                }
+            }
+        }
+        
+        this.transcriptCache.set(videoId, transcripts);
+        return transcripts;
+    }
 
-        // Sort by relevance (like count * relevance score)
-        results.sort((a, b) => {
-            const aRelevance = this.calculateRelevance(a, query);
-            const bRelevance = this.calculateRelevance(b, query);
-            return bRelevance - aRelevance;
-        });
+    /**
+     * Read every transcript of the active view so post searches can include them
+     */
+    async loadAllTranscripts() {
+        if (this.transcriptsLoad?.videos !== this.videos) {
+            const videos = this.videos;
+            const promise = (async () => {
+                const withSidecars = videos.filter(video =>
+                    this.getDirectoryManagerForVideo(video)?.subtitleFiles?.has(video.shortcode)
+                );
+                for (const video of withSidecars) {
+                    await this.getTranscripts(video.video_id);
+                }
+                if (withSidecars.length > 0) {
+                    console.log(`💬 Loaded transcripts for ${withSidecars.length} posts`);
+                }
+            })();
+            this.transcriptsLoad = { videos, promise };
+        }
+        return this.transcriptsLoad.promise;
+    }
 
-        return results;
+    /**
+     * All transcript text of a post that has already been read, for matching searches
+     */
+    getTranscriptText(videoId) {
+        const transcripts = this.transcriptCache.get(videoId);
+        if (!transcripts) return '';
+        return transcripts.map(transcript => transcript.cues.map(cue => cue.text).join('\n')).join('\n');
     }
 
     /**
-     * Calculate search relevance score
+     * Transcript cues of a post matching a search: [{ transcript, cue, ranges }] in playback order
      */
-    calculateRelevance(comment, query) {
-        const text = comment.text.toLowerCase();
-        const author = comment.author.toLowerCase();
-        const queryLower = query.toLowerCase();
+    async searchTranscripts(videoId, search, options = {}) {
+        const query = SearchQuery.parse(search, { fuzzy: options.fuzzy });
+        if (query.isEmpty) return [];
         
-        let score = 0;
+        const hits = [];
+        (await this.getTranscripts(videoId)).forEach(transcript => {
+            transcript.cues.forEach(cue => {
+                const ranges = query.getMatchRanges(cue.text);
+                if (ranges.length > 0) {
+                    hits.push({ transcript, cue, ranges });
+                }
+            });
+        });
+        return hits;
+    }
+
+    /**
+     * Number of replies per comment_id across the active view (cached until the comments change)
+     */
+    getCommentReplyCounts() {
+        if (this.replyCountsCache?.comments === this.comments) {
+            return this.replyCountsCache.counts;
+        }
         
-        // Exact match in text
-        if (text.includes(queryLower)) score += 10;
+        const counts = new Map();
+        this.comments.forEach(comment => {
+            if (comment.is_reply && comment.parent_comment_id) {
+                counts.set(comment.parent_comment_id, (counts.get(comment.parent_comment_id) || 0) + 1);
+            }
+        });
+        this.replyCountsCache = { comments: this.comments, counts };
+        return counts;
+    }
+
+    /**
+     * The account owner's first reply to each comment they answered, by comment_id.
+     * A reply is an owner comment whose parent_comment_id points at the comment, or - as in the
+     * post view's comment tree - one starting with @username, which answers that user's latest
+     * earlier comment on the same post.
+     */
+    getOwnerReplies(ownerHandles) {
+        const handlesKey = Array.from(ownerHandles).sort().join(',');
+        if (this.ownerRepliesCache?.comments === this.comments && this.ownerRepliesCache.handlesKey === handlesKey) {
+            return this.ownerRepliesCache.replies;
+        }
         
-        // Exact match in author
-        if (author.includes(queryLower)) score += 5;
+        const byPost = new Map();
+        this.comments.forEach(comment => {
+            if (!byPost.has(comment.video_id)) byPost.set(comment.video_id, []);
+            byPost.get(comment.video_id).push(comment);
+        });
         
-        // Like count boost
-        score += Math.log(comment.like_count + 1);
+        const replies = new Map();
+        byPost.forEach(postComments => {
+            const byId = new Map(postComments.map(comment => [comment.comment_id, comment]));
+            const latestByAuthor = new Map();
+            const sorted = [...postComments].sort((a, b) => new Date(a.published_at) - new Date(b.published_at));
+            
+            sorted.forEach(comment => {
+                if (ownerHandles.has(comment.author)) {
+                    const mention = (comment.text || '').trim().match(/^@([\w.]+)/);
+                    const parent = byId.get(comment.parent_comment_id) ||
+                        (mention && latestByAuthor.get(mention[1].replace(/\.+$/, '')));
+                    if (parent && !ownerHandles.has(parent.author) && !replies.has(parent.comment_id)) {
+                        replies.set(parent.comment_id, comment);
+                    }
+                }
+                latestByAuthor.set(comment.author, comment);
+            });
+        });
         
-        return score;
+        this.ownerRepliesCache = { comments: this.comments, handlesKey, replies };
+        return replies;
     }
 
     /**
-     * Get pre-computed word frequencies for a video
+     * Question-like comments (containing '?') the account owner has not replied to (see getOwnerReplies),
+     * newest first, leaving out the owner's own comments and hidden suspected spam
      */
-    getWordFrequencies(videoId) {
-        if (this.wordFreqIndex && this.wordFreqIndex[videoId]) {
-            return this.wordFreqIndex[videoId];
-        }
-        return { word_cloud: [], liked_words: [] };
+    getUnansweredQuestions(ownerHandles) {
+        const ownerReplies = this.getOwnerReplies(ownerHandles);
+        return this.getAnalyticsComments()
+            .filter(comment => (comment.text || '').includes('?') &&
+                !ownerHandles.has(comment.author) &&
+                !ownerReplies.has(comment.comment_id))
+            .sort((a, b) => new Date(b.published_at) - new Date(a.published_at));
     }
 
     /**
-     * Get statistics about the data
+     * Everything one commenter did in the active view: their comments (newest first), when they
+     * were first and last seen, comments per month, the posts they comment on most, and how
+     * often the account owner replied to them. Returns null for an unknown author.
      */
-    getStats() {
-        const totalComments = this.comments.length;
-        const totalReplies = this.comments.filter(c => c.is_reply).length;
-        const totalVideos = this.videos.length;
-        const totalViews = this.videos.reduce((sum, v) => sum + v.view_count, 0);
+    getCommenterProfile(author, ownerHandles) {
+        const comments = this.comments
+            .filter(comment => comment.author === author)
+            .sort((a, b) => new Date(b.published_at) - new Date(a.published_at));
+        if (comments.length === 0) return null;
         
-        // Calculate Instagram-specific statistics
-        const totalLikes = this.videos.reduce((sum, video) => {
-            return sum + (parseInt(video.like_count) || 0);
-        }, 0);
+        const ownerReplies = this.getOwnerReplies(ownerHandles);
+        const repliedIds = new Set(comments
+            .filter(comment => ownerReplies.has(comment.comment_id))
+            .map(comment => comment.comment_id));
         
-        const uniqueCommenters = new Set(this.comments.map(comment => comment.author)).size;
+        const postCounts = new Map();
+        const monthCounts = new Map();
+        const monthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+        comments.forEach(comment => {
+            postCounts.set(comment.video_id, (postCounts.get(comment.video_id) || 0) + 1);
+            const date = new Date(comment.published_at);
+            if (!isNaN(date.getTime())) {
+                monthCounts.set(monthKey(date), (monthCounts.get(monthKey(date)) || 0) + 1);
+            }
+        });
+        
+        const dated = comments.filter(comment => !isNaN(new Date(comment.published_at).getTime()));
+        const firstSeen = dated.length ? new Date(dated[dated.length - 1].published_at) : null;
+        const lastSeen = dated.length ? new Date(dated[0].published_at) : null;
+        
+        // Every month from first to last seen, so quiet months show as gaps
+        const months = [];
+        if (firstSeen) {
+            const cursor = new Date(firstSeen.getFullYear(), firstSeen.getMonth(), 1);
+            while (cursor <= lastSeen) {
+                months.push({ month: monthKey(cursor), count: monthCounts.get(monthKey(cursor)) || 0 });
+                cursor.setMonth(cursor.getMonth() + 1);
+            }
+        }
+        
+        const topPosts = Array.from(postCounts, ([videoId, count]) => ({ video: this.getVideo(videoId), videoId, count }))
+            .sort((a, b) => b.count - a.count);
+        
+        return {
+            author,
+            comments,
+            commentCount: comments.length,
+            postCount: postCounts.size,
+            firstSeen,
+            lastSeen,
+            months,
+            topPosts,
+            repliedIds,
+            repliedCount: repliedIds.size,
+            replyRate: repliedIds.size / comments.length
+        };
+    }
+
+    /**
+     * Commenter retention in the active view, leaving out the account owners:
+     * - cohorts: commenters grouped by the month of their first comment, with how many of them
+     *   commented again 0, 1, 2... months later ([{ month, size, retained: [count, ...] }])
+     * - posts: per post in publishing order, how many commenters were new (first comment ever)
+     *   and how many had commented before ([{ video, newCount, returningCount }])
+     */
+    getCommenterRetention(ownerHandles = new Set()) {
+        const monthIndex = (date) => date.getFullYear() * 12 + date.getMonth();
+        const monthLabel = (index) => `${Math.floor(index / 12)}-${String(index % 12 + 1).padStart(2, '0')}`;
+        
+        const comments = this.getAnalyticsComments()
+            .filter(comment => comment.author && !ownerHandles.has(comment.author))
+            .map(comment => ({ comment, date: new Date(comment.published_at) }))
+            .filter(({ date }) => !isNaN(date.getTime()))
+            .sort((a, b) => a.date - b.date);
+        
+        const firstMonth = new Map();   // author -> month index of their first comment
+        const activeMonths = new Map(); // author -> Set of month indexes with a comment
+        const postAuthors = new Map();  // video_id -> { newAuthors, returningAuthors }
+        let lastMonth = -Infinity;
+        
+        comments.forEach(({ comment, date }) => {
+            const month = monthIndex(date);
+            lastMonth = Math.max(lastMonth, month);
+            
+            const isNew = !firstMonth.has(comment.author);
+            if (isNew) {
+                firstMonth.set(comment.author, month);
+                activeMonths.set(comment.author, new Set());
+            }
+            activeMonths.get(comment.author).add(month);
+            
+            if (!postAuthors.has(comment.video_id)) {
+                postAuthors.set(comment.video_id, { newAuthors: new Set(), returningAuthors: new Set() });
+            }
+            const post = postAuthors.get(comment.video_id);
+            if (isNew) {
+                post.newAuthors.add(comment.author);
+            } else if (!post.newAuthors.has(comment.author)) {
+                post.returningAuthors.add(comment.author);
+            }
+        });
+        
+        const cohortMap = new Map();
+        firstMonth.forEach((month, author) => {
+            if (!cohortMap.has(month)) {
+                cohortMap.set(month, { month: monthLabel(month), size: 0, retained: new Array(lastMonth - month + 1).fill(0) });
+            }
+            const cohort = cohortMap.get(month);
+            cohort.size++;
+            activeMonths.get(author).forEach(active => cohort.retained[active - month]++);
+        });
+        const cohorts = Array.from(cohortMap.keys()).sort((a, b) => a - b).map(month => cohortMap.get(month));
+        
+        const posts = [...this.videos]
+            .filter(video => postAuthors.has(video.video_id))
+            .sort((a, b) => new Date(a.published_at) - new Date(b.published_at))
+            .map(video => {
+                const { newAuthors, returningAuthors } = postAuthors.get(video.video_id);
+                return { video, newCount: newAuthors.size, returningCount: returningAuthors.size };
+            });
+        
+        return { cohorts, posts, commenterCount: firstMonth.size };
+    }
+
+    /**
+     * Who talks to whom: users linked by @mentions and by replying to each other's comments,
+     * leaving out the account owners. Returns { nodes, edges } - nodes [{ id, degree, weight, commentCount }]
+     * with degree counted in distinct neighbours, edges [{ source, target, weight }] undirected.
+     * Cached until the comments (or whether suspected spam is hidden) change.
+     */
+    getMentionNetwork(ownerHandles = new Set()) {
+        const comments = this.getAnalyticsComments();
+        const handlesKey = Array.from(ownerHandles).sort().join(',');
+        if (this.mentionNetworkCache?.comments === comments && this.mentionNetworkCache.handlesKey === handlesKey) {
+            return this.mentionNetworkCache.network;
+        }
+        
+        const byId = new Map(comments.map(comment => [comment.comment_id, comment]));
+        const nodes = new Map();
+        const edges = new Map();
+        const getNode = (id) => {
+            if (!nodes.has(id)) nodes.set(id, { id, degree: 0, weight: 0, commentCount: 0 });
+            return nodes.get(id);
+        };
+        const link = (from, to) => {
+            if (!from || !to || from === to || ownerHandles.has(to)) return;
+            const [source, target] = from < to ? [from, to] : [to, from];
+            const key = `${source}\n${target}`;
+            if (!edges.has(key)) {
+                edges.set(key, { source, target, weight: 0 });
+                getNode(source).degree++;
+                getNode(target).degree++;
+            }
+            edges.get(key).weight++;
+            getNode(source).weight++;
+            getNode(target).weight++;
+        };
+        
+        comments.forEach(comment => {
+            const author = comment.author;
+            if (!author || ownerHandles.has(author)) return;
+            getNode(author).commentCount++;
+            
+            // The left boundary keeps emails and handles like "a@b" from counting as mentions
+            const mentioned = new Set(Array.from((comment.text || '').matchAll(/(?:^|[^\w.])@([\w.]+)/g), match => match[1].replace(/\.+$/, '')));
+            const parentAuthor = byId.get(comment.parent_comment_id)?.author;
+            if (parentAuthor) mentioned.add(parentAuthor);
+            mentioned.forEach(user => link(author, user));
+        });
+        
+        const network = {
+            nodes: Array.from(nodes.values()).filter(node => node.degree > 0),
+            edges: Array.from(edges.values())
+        };
+        console.log(`🕸️ Mention network: ${network.nodes.length.toLocaleString()} users, ${network.edges.length.toLocaleString()} links`);
+        this.mentionNetworkCache = { comments, handlesKey, network };
+        return network;
+    }
+
+    /**
+     * Set the archive accounts' handles - their own comments are never promotion or bot spam
+     */
+    setOwnerHandles(handles) {
+        this.ownerHandles = new Set(handles);
+        this.spamScoresCache = null;
+        this.analyticsCommentsCache = null;
+    }
+
+    /**
+     * Spam scores of the active view's comments by comment_id (see SpamDetector.scoreAll),
+     * cached until the comments change
+     */
+    getSpamScores() {
+        if (this.spamScoresCache?.comments === this.comments) {
+            return this.spamScoresCache.scores;
+        }
+        
+        const startTime = performance.now();
+        const scores = SpamDetector.scoreAll(this.comments, this.ownerHandles);
+        const flagged = Array.from(scores.values()).filter(result => result.isSpam).length;
+        console.log(`🚩 Scored ${this.comments.length.toLocaleString()} comments for spam: ${flagged.toLocaleString()} suspected in ${Math.round(performance.now() - startTime)}ms`);
+        
+        this.spamScoresCache = { comments: this.comments, scores };
+        return scores;
+    }
+
+    /**
+     * A comment's spam score, or null when no spam signal fired
+     */
+    getSpamScore(commentId) {
+        return this.getSpamScores().get(commentId) || null;
+    }
+
+    /**
+     * Whether a comment is suspected spam
+     */
+    isSuspectedSpam(comment) {
+        return Boolean(this.getSpamScore(comment.comment_id)?.isSpam);
+    }
+
+    /**
+     * Leave suspected spam out of analytics (and the comment list) or bring it back, and remember the choice
+     */
+    async setHideSuspectedSpam(hide) {
+        this.hideSuspectedSpam = hide;
+        this.analyticsCommentsCache = null;
+        try {
+            await this.saveSetting('hideSuspectedSpam', hide);
+        } catch (error) {
+            console.warn('⚠️ Could not save spam preference:', error);
+        }
+    }
+
+    /**
+     * Comments without suspected spam while it is hidden - analytics pass their comments through this
+     */
+    filterSuspectedSpam(comments) {
+        if (!this.hideSuspectedSpam) return comments;
+        return comments.filter(comment => !this.isSuspectedSpam(comment));
+    }
+
+    /**
+     * The active view's comments as analytics should count them (see filterSuspectedSpam).
+     * The same array is returned until the comments or the spam setting change, so it can key caches.
+     */
+    getAnalyticsComments() {
+        const cache = this.analyticsCommentsCache;
+        if (cache?.source === this.comments && cache.hide === this.hideSuspectedSpam) {
+            return cache.comments;
+        }
+        
+        const comments = this.filterSuspectedSpam(this.comments);
+        this.analyticsCommentsCache = { source: this.comments, hide: this.hideSuspectedSpam, comments };
+        return comments;
+    }
+
+    /**
+     * Clusters of near-identical comments across all posts in the active view, largest first:
+     * [{ id, size, text, comments, authors, authorCount, posts, firstSeen, lastSeen }]
+     */
+    async getDuplicateClusters() {
+        const comments = this.getAnalyticsComments();
+        if (this.duplicateClusters?.comments === comments) {
+            return this.duplicateClusters.clusters;
+        }
+        if (this.duplicateClustersPromise?.comments === comments) {
+            return this.duplicateClustersPromise;
+        }
+        
+        const promise = (async () => {
+            const startTime = performance.now();
+            console.log(`🧬 Looking for duplicate comments among ${comments.length.toLocaleString()} comments...`);
+            const groups = await this.runDuplicateWorker(comments.map(comment => comment.text || ''));
+            
+            const clusters = groups
+                .map(group => this.createDuplicateCluster(group.map(doc => comments[doc])))
+                .sort((a, b) => b.size - a.size || b.authorCount - a.authorCount);
+            clusters.forEach((cluster, i) => {
+                cluster.id = String(i + 1);
+            });
+            
+            const byCommentId = new Map();
+            clusters.forEach(cluster => {
+                cluster.comments.forEach(comment => byCommentId.set(comment.comment_id, cluster));
+            });
+            
+            console.log(`🧬 Found ${clusters.length.toLocaleString()} duplicate clusters in ${Math.round(performance.now() - startTime)}ms`);
+            if (this.getAnalyticsComments() === comments) {
+                this.duplicateClusters = { comments, clusters, byCommentId };
+            }
+            return clusters;
+        })();
+        
+        promise.comments = comments;
+        this.duplicateClustersPromise = promise;
+        try {
+            return await promise;
+        } finally {
+            if (this.duplicateClustersPromise === promise) {
+                this.duplicateClustersPromise = null;
+            }
+        }
+    }
+
+    /**
+     * Summarize one cluster's comments: who posted the text, where, and when
+     */
+    createDuplicateCluster(members) {
+        const comments = [...members].sort((a, b) => a.published_at - b.published_at);
+        
+        const authorCounts = new Map();
+        const postCounts = new Map();
+        comments.forEach(comment => {
+            authorCounts.set(comment.author, (authorCounts.get(comment.author) || 0) + 1);
+            postCounts.set(comment.video_id, (postCounts.get(comment.video_id) || 0) + 1);
+        });
+        
+        const authors = Array.from(authorCounts, ([author, count]) => ({ author, count }))
+            .sort((a, b) => b.count - a.count);
+        const posts = Array.from(postCounts, ([videoId, count]) => ({
+            videoId,
+            title: this.getVideo(videoId)?.title || videoId,
+            count
+        })).sort((a, b) => b.count - a.count);
+        
+        return {
+            id: null,
+            size: comments.length,
+            text: comments[0].text,
+            comments,
+            authors,
+            authorCount: authors.length,
+            posts,
+            firstSeen: comments[0].published_at,
+            lastSeen: comments[comments.length - 1].published_at
+        };
+    }
+
+    /**
+     * The duplicate cluster a comment belongs to, once clusters have been computed
+     */
+    getDuplicateCluster(commentId) {
+        if (this.duplicateClusters?.comments !== this.getAnalyticsComments()) return null;
+        return this.duplicateClusters.byCommentId.get(commentId) || null;
+    }
+
+    /**
+     * Cluster comment texts in a Web Worker, falling back to the main thread
+     */
+    runDuplicateWorker(texts) {
+        if (typeof Worker === 'undefined') {
+            return Promise.resolve(DuplicateDetector.cluster(texts));
+        }
+        
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(this.duplicateWorkerURL);
+            const fallback = (reason) => {
+                worker.terminate();
+                console.warn('⚠️ Duplicate worker failed, clustering on the main thread:', reason);
+                try {
+                    resolve(DuplicateDetector.cluster(texts));
+                } catch (error) {
+                    reject(error);
+                }
+            };
+            
+            worker.onmessage = (event) => {
+                const message = event.data;
+                switch (message.type) {
+                    case 'progress':
+                        console.log(`🧬 Comparing comments... ${Math.round((message.processed / message.total) * 100)}%`);
+                        break;
+                    case 'complete':
+                        worker.terminate();
+                        resolve(message.clusters);
+                        break;
+                    case 'error':
+                        fallback(message.message);
+                        break;
+                }
+            };
+            
+            worker.onerror = (event) => {
+                event.preventDefault();
+                fallback(event.message || 'Duplicate worker could not be started');
+            };
+            
+            worker.postMessage({ texts });
+        });
+    }
+
+    /**
+     * The inverted index for the active view, or null while it is (re)built
+     */
+    getInvertedIndex() {
+        return this.invertedIndex && this.invertedIndexKey === this.getInvertedIndexKey()
+            ? this.invertedIndex
+            : null;
+    }
+
+    /**
+     * Identify the active view's data - any change in archives, posts or comments means a new index
+     */
+    getInvertedIndexKey() {
+        const archives = this.activeAccountId === this.allAccountsId
+            ? Array.from(this.accountArchives.values())
+            : [this.accountArchives.get(this.activeAccountId)].filter(Boolean);
+        const sources = archives.map(archive => archive.directoryManager.fingerprint || archive.id).join('+') || this.dataSource;
+        return `v${this.searchIndexVersion}:${sources}:${this.videos.length}:${this.comments.length}`;
+    }
+
+    /**
+     * Rebuild the index shortly after the view changes, coalescing bursts of changes
+     */
+    scheduleInvertedIndexBuild() {
+        clearTimeout(this.invertedIndexTimer);
+        this.invertedIndexTimer = setTimeout(() => {
+            this.buildInvertedIndex().catch(error => console.warn('⚠️ Failed to build search index:', error));
+        }, 1000);
+    }
+
+    /**
+     * Load the active view's index from IndexedDB, or build it in a worker and store it
+     */
+    async buildInvertedIndex() {
+        const key = this.getInvertedIndexKey();
+        if (this.getInvertedIndex()) return this.invertedIndex;
+        if (this.invertedIndexPromise?.key === key) return this.invertedIndexPromise;
+        
+        const comments = this.comments;
+        const videos = this.videos;
+        const promise = (async () => {
+            const startTime = performance.now();
+            let data;
+            let docKeys;
+            
+            const cached = await this.getCachedSearchIndex(key).catch(error => {
+                console.warn('⚠️ Could not read cached search index:', error);
+                return null;
+            });
+            
+            if (cached) {
+                ({ data, docKeys } = cached);
+                console.log(`🔎 Loaded search index from cache in ${Math.round(performance.now() - startTime)}ms`);
+            } else {
+                // Comments first, then one document per post caption
+                docKeys = [...comments.map(comment => comment.comment_id), ...videos.map(video => video.video_id)];
+                const texts = [
+                    ...comments.map(comment => comment.text || ''),
+                    ...videos.map(video => video.description || video.title || '')
+                ];
+                const authors = [...comments.map(comment => comment.author || ''), ...videos.map(() => '')];
+                
+                console.log(`🔎 Building search index for ${comments.length.toLocaleString()} comments and ${videos.length} captions...`);
+                data = await this.runSearchIndexWorker(texts, authors, comments.length);
+                console.log(`🔎 Search index built: ${data.terms.length.toLocaleString()} terms in ${Math.round(performance.now() - startTime)}ms`);
+                
+                try {
+                    await this.saveSearchIndex(key, data, docKeys);
+                } catch (error) {
+                    console.warn('⚠️ Could not cache search index:', error);
+                }
+            }
+            
+            // The view may have changed while this index was built
+            if (this.getInvertedIndexKey() !== key) return null;
+            
+            this.invertedIndex = new SearchIndex(data);
+            this.invertedIndexKey = key;
+            this.invertedIndexDocKeys = docKeys;
+            this.invertedIndexLookup = new Map(comments.map(comment => [comment.comment_id, comment]));
+            return this.invertedIndex;
+        })();
+        
+        promise.key = key;
+        this.invertedIndexPromise = promise;
+        try {
+            return await promise;
+        } finally {
+            if (this.invertedIndexPromise === promise) {
+                this.invertedIndexPromise = null;
+            }
+        }
+    }
+
+    /**
+     * Build index data in a Web Worker, falling back to the main thread
+     */
+    runSearchIndexWorker(texts, authors, commentDocCount) {
+        if (typeof Worker === 'undefined') {
+            return Promise.resolve(SearchIndex.build(texts, authors, commentDocCount));
+        }
+        
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(this.searchIndexWorkerURL);
+            const fallback = (reason) => {
+                worker.terminate();
+                console.warn('⚠️ Search index worker failed, building on the main thread:', reason);
+                try {
+                    resolve(SearchIndex.build(texts, authors, commentDocCount));
+                } catch (error) {
+                    reject(error);
+                }
+            };
+            
+            worker.onmessage = (event) => {
+                const message = event.data;
+                switch (message.type) {
+                    case 'progress':
+                        console.log(`🔎 Indexing... ${Math.round((message.processed / message.total) * 100)}%`);
+                        break;
+                    case 'complete':
+                        worker.terminate();
+                        resolve(message.data);
+                        break;
+                    case 'error':
+                        fallback(message.message);
+                        break;
+                }
+            };
+            
+            worker.onerror = (event) => {
+                event.preventDefault();
+                fallback(event.message || 'Search index worker could not be started');
+            };
+            
+            worker.postMessage({ texts, authors, commentDocCount });
+        });
+    }
+
+    /**
+     * Get a stored search index by view key
+     */
+    async getCachedSearchIndex(key) {
+        const db = await this.ensureDB();
+        if (!db) return null;
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['searchIndexes'], 'readonly');
+            const request = transaction.objectStore('searchIndexes').get(key);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Store a search index and drop the oldest ones beyond maxCachedSearchIndexes
+     */
+    async saveSearchIndex(key, data, docKeys) {
+        const db = await this.ensureDB();
+        if (!db) return;
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(['searchIndexes'], 'readwrite');
+            const request = transaction.objectStore('searchIndexes').put({ key, data, docKeys, savedAt: new Date() });
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+
+        const keys = await new Promise((resolve, reject) => {
+            const transaction = db.transaction(['searchIndexes'], 'readonly');
+            const request = transaction.objectStore('searchIndexes').index('savedAt').getAllKeys();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Keys come back oldest first
+        const stale = keys
+            .filter(storedKey => storedKey !== key)
+            .slice(0, Math.max(0, keys.length - this.maxCachedSearchIndexes));
+        if (stale.length === 0) return;
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(['searchIndexes'], 'readwrite');
+            stale.forEach(storedKey => transaction.objectStore('searchIndexes').delete(storedKey));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get all saved searches, alphabetically by name
+     */
+    async getSavedSearches() {
+        const db = await this.ensureDB();
+        if (!db) return [];
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['savedSearches'], 'readonly');
+            const request = transaction.objectStore('savedSearches').getAll();
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.name.localeCompare(b.name)));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Save a named search, replacing an existing one with the same name
+     * (search: { name, query, fuzzy, scope, sortBy, dateFrom, dateTo, filterType, filterValue, videoId }).
+     * Comment searches saved on an open post carry its videoId, which their analytics filter belongs to
+     */
+    async saveSavedSearch(search) {
+        const db = await this.ensureDB();
+        if (!db) throw new Error('Saved searches need IndexedDB, which this browser has disabled');
+
+        const existing = (await this.getSavedSearches()).find(saved => saved.name === search.name);
+        const record = this.normalizeSavedSearch({ ...search, id: existing?.id, createdAt: existing?.createdAt || search.createdAt });
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['savedSearches'], 'readwrite');
+            const request = transaction.objectStore('savedSearches').put(record);
+            request.onsuccess = () => resolve({ ...record, id: request.result });
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Delete a saved search
+     */
+    async deleteSavedSearch(id) {
+        const db = await this.ensureDB();
+        if (!db) return;
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(['savedSearches'], 'readwrite');
+            const request = transaction.objectStore('savedSearches').delete(id);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Keep only the fields a saved search is made of, with defaults for missing ones
+     */
+    normalizeSavedSearch(search) {
+        const record = {
+            name: String(search.name || '').trim() || 'Untitled search',
+            query: String(search.query || ''),
+            fuzzy: Boolean(search.fuzzy),
+            scope: search.scope === 'comments' ? 'comments' : 'posts',
+            sortBy: search.sortBy || null,
+            dateFrom: search.dateFrom || null,
+            dateTo: search.dateTo || null,
+            filterType: search.filterType || null,
+            filterValue: search.filterType ? (search.filterValue ?? null) : null,
+            videoId: search.videoId || null,
+            createdAt: search.createdAt ? new Date(search.createdAt) : new Date(),
+            updatedAt: new Date()
+        };
+        if (search.id !== undefined) record.id = search.id;
+        return record;
+    }
+
+    /**
+     * Get recent searches, newest first
+     */
+    async getSearchHistory() {
+        const db = await this.ensureDB();
+        if (!db) return [];
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['searchHistory'], 'readonly');
+            const request = transaction.objectStore('searchHistory').index('searchedAt').getAll();
+            request.onsuccess = () => resolve(request.result.reverse());
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Remember a search, moving a repeat to the top and keeping at most maxSearchHistory entries.
+     * Imported entries keep their searchedAt, so they only replace older repeats and older searches
+     */
+    async addSearchHistory(entry) {
+        const db = await this.ensureDB();
+        if (!db || !entry.query?.trim()) return;
+
+        const importedAt = entry.searchedAt ? new Date(entry.searchedAt) : null;
+        const searchedAt = importedAt && !isNaN(importedAt) ? importedAt : new Date();
+        const history = await this.getSearchHistory();
+        const scope = entry.scope === 'comments' ? 'comments' : 'posts';
+        const repeats = history.filter(item => item.query === entry.query && item.scope === scope);
+        if (repeats.some(item => item.searchedAt >= searchedAt)) return;
+        
+        const others = history.filter(item => !repeats.includes(item));
+        if (others.filter(item => item.searchedAt > searchedAt).length >= this.maxSearchHistory) return;
+        const overflow = others.slice(this.maxSearchHistory - 1);
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(['searchHistory'], 'readwrite');
+            const store = transaction.objectStore('searchHistory');
+            [...repeats, ...overflow].forEach(item => store.delete(item.id));
+            store.add({ query: entry.query, fuzzy: Boolean(entry.fuzzy), scope, searchedAt });
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Forget all recent searches
+     */
+    async clearSearchHistory() {
+        const db = await this.ensureDB();
+        if (!db) return;
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(['searchHistory'], 'readwrite');
+            const request = transaction.objectStore('searchHistory').clear();
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Saved searches and history as a JSON-ready object for sharing with the team
+     */
+    async exportSearches() {
+        const [savedSearches, history] = await Promise.all([this.getSavedSearches(), this.getSearchHistory()]);
+        return {
+            format: this.searchExportFormat,
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            savedSearches: savedSearches.map(({ id, ...search }) => search),
+            history: history.map(({ id, ...entry }) => entry)
+        };
+    }
+
+    /**
+     * Merge an exported searches file: saved searches replace ones with the same name,
+     * history entries are added as recent searches
+     */
+    async importSearches(data) {
+        if (!data || data.format !== this.searchExportFormat || !Array.isArray(data.savedSearches)) {
+            throw new Error('This file is not an Archive Explorer searches export');
+        }
+
+        let savedCount = 0;
+        for (const search of data.savedSearches) {
+            if (!search || typeof search.query !== 'string') continue;
+            const { id, ...fields } = search;
+            await this.saveSavedSearch(fields);
+            savedCount++;
+        }
+
+        // Oldest first, so the newest imported entry ends up on top
+        const history = Array.isArray(data.history) ? data.history.filter(entry => typeof entry?.query === 'string') : [];
+        for (const entry of [...history].reverse()) {
+            await this.addSearchHistory(entry);
+        }
+
+        console.log(`🔖 Imported ${savedCount} saved searches and ${history.length} recent searches`);
+        return { savedCount, historyCount: history.length };
+    }
+
+    /**
+     * Get a stored setting, or a default when it was never saved
+     */
+    async getSetting(key, defaultValue = null) {
+        const db = await this.ensureDB();
+        if (!db) return defaultValue;
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['settings'], 'readonly');
+            const request = transaction.objectStore('settings').get(key);
+            request.onsuccess = () => resolve(request.result ? request.result.value : defaultValue);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Store a setting
+     */
+    async saveSetting(key, value) {
+        const db = await this.ensureDB();
+        if (!db) return;
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(['settings'], 'readwrite');
+            const request = transaction.objectStore('settings').put({ key, value });
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get pre-computed word frequencies for a video
+     */
+    getWordFrequencies(videoId) {
+        if (this.wordFreqIndex && this.wordFreqIndex[videoId]) {
+            return this.wordFreqIndex[videoId];
+        }
+        return { word_cloud: [], liked_words: [] };
+    }
+
+    /**
+     * Get statistics about the data
+     */
+    getStats() {
+        const totalComments = this.comments.length;
+        const totalReplies = this.comments.filter(c => c.is_reply).length;
+        const totalVideos = this.videos.length;
+        const totalViews = this.videos.reduce((sum, v) => sum + v.view_count, 0);
+        
+        // Calculate Instagram-specific statistics
+        const totalLikes = this.videos.reduce((sum, video) => {
+            return sum + (parseInt(video.like_count) || 0);
+        }, 0);
+        
+        const uniqueCommenters = new Set(this.comments.map(comment => comment.author)).size;
         
         // Calculate average likes per post
         const averageLikesPerPost = totalVideos > 0 ? Math.round(totalLikes / totalVideos) : 0;
@@ -1067,6 +2979,30 @@ class DataManager {
             videosWithMapping: Object.keys(this.videoMapping).length
         };
     }
+
+    /**
+     * Comment totals from the comment index of each archive in the active view,
+     * or null while any of them has no index
+     */
+    getCommentIndexStats() {
+        const archives = this.activeAccountId === this.allAccountsId
+            ? Array.from(this.accountArchives.values())
+            : [this.accountArchives.get(this.activeAccountId)].filter(Boolean);
+        const stats = archives.map(archive => archive.directoryManager.commentLoader?.getStats());
+        if (stats.length === 0 || stats.some(stat => !stat || stat.total_comments === null)) {
+            return null;
+        }
+        
+        const firstDates = stats.map(stat => stat.first_comment_at).filter(Boolean).sort();
+        const lastDates = stats.map(stat => stat.last_comment_at).filter(Boolean).sort();
+        return {
+            totalComments: stats.reduce((sum, stat) => sum + stat.total_comments, 0),
+            // Authors can't be merged across archives from counts alone
+            uniqueCommenters: stats.length === 1 ? stats[0].unique_authors : null,
+            firstCommentAt: firstDates[0] || null,
+            lastCommentAt: lastDates[lastDates.length - 1] || null
+        };
+    }
 }
 
 // Export for use in other modules
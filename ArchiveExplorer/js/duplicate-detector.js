@@ -0,0 +1,183 @@
+/**
+ * Duplicate Detector - Clusters near-identical texts with MinHash signatures and LSH banding
+ * Texts are accent-folded and cut into character shingles. A text's MinHash signature estimates
+ * how many shingles it shares with another text, and splitting signatures into bands finds
+ * candidate pairs without comparing every text with every other one.
+ * Run in a worker (see workers/duplicate-clusterer.js); DataManager turns the clusters into comments.
+ */
+class DuplicateDetector {
+    /**
+     * Tuning: with 8 bands of 4 rows, texts at 0.8 similarity become candidates 98.5% of the time
+     */
+    static get DEFAULTS() {
+        return {
+            shingleSize: 5,     // Characters per shingle
+            hashCount: 32,      // Signature length
+            bandCount: 8,       // Signature bands used as bucket keys
+            threshold: 0.8,     // Estimated similarity needed to join a cluster
+            minLength: 20,      // Shorter texts ("thank you!!") repeat naturally and are skipped
+            maxBucketSize: 16   // Texts kept per bucket to compare newcomers against
+        };
+    }
+
+    /**
+     * Fold a text down to what makes it a copy: no accents, case, links, @mentions or punctuation
+     */
+    static normalize(text) {
+        return TextMatcher.fold(text)
+            .replace(/https?:\/\/\S+|www\.\S+/g, ' ')
+            .replace(/@[\w.]+/g, ' ')
+            .replace(/[^\p{L}\p{N}\p{Extended_Pictographic}]+/gu, ' ')
+            .trim();
+    }
+
+    /**
+     * Fixed seeds for the signature's hash functions, so signatures are comparable across runs
+     */
+    static createSeeds(count) {
+        const seeds = new Uint32Array(count);
+        let state = 0x2545f491;
+        for (let i = 0; i < count; i++) {
+            // xorshift32
+            state ^= state << 13;
+            state ^= state >>> 17;
+            state ^= state << 5;
+            seeds[i] = state >>> 0;
+        }
+        return seeds;
+    }
+
+    /**
+     * Murmur3 finalizer - spreads a seeded shingle hash over all 32 bits
+     */
+    static mix(value) {
+        value ^= value >>> 16;
+        value = Math.imul(value, 0x85ebca6b);
+        value ^= value >>> 13;
+        value = Math.imul(value, 0xc2b2ae35);
+        value ^= value >>> 16;
+        return value >>> 0;
+    }
+
+    /**
+     * MinHash signature of a normalized text
+     */
+    static signature(text, seeds, shingleSize) {
+        const signature = new Uint32Array(seeds.length).fill(0xFFFFFFFF);
+        const lastStart = Math.max(0, text.length - shingleSize);
+
+        for (let start = 0; start <= lastStart; start++) {
+            // FNV-1a over the shingle's characters
+            let hash = 0x811c9dc5;
+            const end = Math.min(text.length, start + shingleSize);
+            for (let i = start; i < end; i++) {
+                hash ^= text.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+
+            for (let h = 0; h < seeds.length; h++) {
+                const value = DuplicateDetector.mix(hash ^ seeds[h]);
+                if (value < signature[h]) signature[h] = value;
+            }
+        }
+        return signature;
+    }
+
+    /**
+     * Share of signature positions two texts agree on - an estimate of their shingle overlap
+     */
+    static similarity(a, b) {
+        let same = 0;
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] === b[i]) same++;
+        }
+        return same / a.length;
+    }
+
+    /**
+     * Group near-identical texts. Returns clusters as arrays of text numbers (two or more each),
+     * linked whenever a text is similar enough to any text already in the cluster.
+     */
+    static cluster(texts, options = {}, onProgress) {
+        const settings = { ...DuplicateDetector.DEFAULTS, ...options };
+        const rows = Math.floor(settings.hashCount / settings.bandCount);
+        const seeds = DuplicateDetector.createSeeds(settings.hashCount);
+
+        // Union-find over text numbers
+        const parent = new Int32Array(texts.length);
+        for (let i = 0; i < parent.length; i++) parent[i] = i;
+        const find = (doc) => {
+            while (parent[doc] !== doc) {
+                parent[doc] = parent[parent[doc]];
+                doc = parent[doc];
+            }
+            return doc;
+        };
+        const union = (a, b) => {
+            const rootA = find(a);
+            const rootB = find(b);
+            if (rootA !== rootB) parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+        };
+
+        const exact = new Map(); // Normalized text -> first text with it
+        const signatures = new Map();
+        const buckets = Array.from({ length: settings.bandCount }, () => new Map());
+
+        for (let doc = 0; doc < texts.length; doc++) {
+            if (onProgress && doc % 20000 === 0) {
+                onProgress(doc, texts.length);
+            }
+
+            const normalized = DuplicateDetector.normalize(texts[doc]);
+            if (normalized.length < settings.minLength) continue;
+
+            // Exact copies need no signature of their own
+            const first = exact.get(normalized);
+            if (first !== undefined) {
+                union(first, doc);
+                continue;
+            }
+            exact.set(normalized, doc);
+
+            const signature = DuplicateDetector.signature(normalized, seeds, settings.shingleSize);
+            signatures.set(doc, signature);
+
+            for (let band = 0; band < settings.bandCount; band++) {
+                let key = band;
+                for (let row = band * rows; row < (band + 1) * rows; row++) {
+                    key = Math.imul(key ^ signature[row], 0x01000193) >>> 0;
+                }
+
+                const bucket = buckets[band].get(key);
+                if (!bucket) {
+                    buckets[band].set(key, [doc]);
+                    continue;
+                }
+
+                // Bucket keys can collide, so candidates are checked against the full signature
+                for (const candidate of bucket) {
+                    if (find(candidate) !== find(doc) &&
+                        DuplicateDetector.similarity(signatures.get(candidate), signature) >= settings.threshold) {
+                        union(candidate, doc);
+                        break;
+                    }
+                }
+                if (bucket.length < settings.maxBucketSize) bucket.push(doc);
+            }
+        }
+
+        // Roots are the lowest text number of their cluster, so each cluster comes out in text order
+        const groups = new Map();
+        for (let doc = 0; doc < texts.length; doc++) {
+            const root = find(doc);
+            if (root === doc) continue;
+            if (!groups.has(root)) groups.set(root, [root]);
+            groups.get(root).push(doc);
+        }
+
+        return Array.from(groups.values());
+    }
+}
+
+// Export for use in other modules
+window.DuplicateDetector = DuplicateDetector;
@@ -1586,6 +1586,18 @@ class ExportService {
         URL.revokeObjectURL(url);
     }
 
+    /**
+     * Build CSV text from rows of cell values (the first row is usually the header)
+     */
+    createCSV(rows) {
+        const escapeCell = (value) => {
+            const text = value instanceof Date ? value.toISOString() : String(value ?? '');
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        // Excel needs the byte order mark to read the file as UTF-8
+        return '\uFEFF' + rows.map(row => row.map(escapeCell).join(',')).join('\r\n');
+    }
+
     /**
      * Get export progress
      */
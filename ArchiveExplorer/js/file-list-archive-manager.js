@@ -0,0 +1,164 @@
+/**
+ * File List Archive Manager - Opens an archive folder in browsers without the File System Access API
+ * Rebuilds the folder tree from a webkitdirectory file input or a dropped folder,
+ * exposing the same interface as ArchiveDirectoryManager (postsData, mediaFiles, commentLoader, getFileURL)
+ */
+
+/**
+ * A picked or dropped File - already lazy, so it is handed out as is
+ */
+class FileListFileHandle {
+    constructor(file, path, sourceKey) {
+        this.kind = 'file';
+        this.name = file.name;
+        this.file = file;
+        this.path = path;
+        this.sourceKey = sourceKey;
+    }
+
+    /**
+     * Get the underlying File
+     */
+    async getFile() {
+        return this.file;
+    }
+
+    /**
+     * Same file of the same folder selection
+     */
+    async isSameEntry(other) {
+        return other instanceof FileListFileHandle &&
+            other.sourceKey === this.sourceKey &&
+            other.path === this.path;
+    }
+}
+
+class FileListArchiveManager extends ArchiveDirectoryManager {
+    constructor() {
+        super();
+        this.sourceType = 'files';
+    }
+
+    /**
+     * Folder inputs work in Firefox, Safari and Chromium alike
+     */
+    checkSupport() {
+        return 'webkitdirectory' in document.createElement('input');
+    }
+
+    /**
+     * Ask the user for the archive folder through a webkitdirectory input, then open it
+     */
+    async requestArchiveDirectory() {
+        if (!this.isSupported) {
+            throw new Error('This browser cannot open folders - open the archive as a .zip instead');
+        }
+
+        const files = await new Promise((resolve) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.webkitdirectory = true;
+            input.multiple = true;
+            input.addEventListener('change', () => resolve(Array.from(input.files)));
+            input.addEventListener('cancel', () => resolve([]));
+            input.click();
+        });
+
+        if (files.length === 0) {
+            throw new Error('Directory selection was cancelled');
+        }
+
+        // webkitRelativePath starts with the picked folder's own name
+        return await this.openFileList(files.map(file => ({ path: file.webkitRelativePath || file.name, file })));
+    }
+
+    /**
+     * Folder selections can't be stored, so they have to be picked again after a reload
+     */
+    async reopenArchiveDirectory() {
+        throw new Error('This browser can\'t reopen folders - select the archive folder again');
+    }
+
+    /**
+     * Open an archive from a dropped folder's FileSystemEntry objects
+     * (they must be taken from the DataTransfer synchronously inside the drop event)
+     */
+    async openDroppedEntries(entries, progressCallback) {
+        const files = await FileListArchiveManager.readDroppedEntries(entries, progressCallback);
+        if (files.length === 0) {
+            throw new Error('The dropped folder is empty');
+        }
+        return await this.openFileList(files);
+    }
+
+    /**
+     * Build the folder tree from { path, file } pairs and open it
+     */
+    async openFileList(files) {
+        // Skip macOS resource forks and Finder metadata
+        const archiveFiles = files.filter(({ path }) => {
+            const name = path.split('/').pop();
+            return !name.startsWith('._') && name !== '.DS_Store' && !path.startsWith('__MACOSX/');
+        });
+
+        const topFolders = new Set(archiveFiles.map(({ path }) => path.split('/')[0]));
+        const rootName = topFolders.size === 1 ? [...topFolders][0] : 'Dropped archive';
+        const totalSize = archiveFiles.reduce((sum, { file }) => sum + file.size, 0);
+        const newest = archiveFiles.reduce((max, { file }) => Math.max(max, file.lastModified || 0), 0);
+        const sourceKey = `${rootName}|${archiveFiles.length}|${totalSize}|${newest}`;
+
+        const root = new VirtualDirectoryHandle(rootName, sourceKey);
+        archiveFiles.forEach(({ path, file }) => {
+            root.addFile(path, new FileListFileHandle(file, path, sourceKey));
+        });
+
+        await this.openVirtualArchive(root);
+        console.log(`📁 Folder archive opened: ${archiveFiles.length.toLocaleString()} files, root "${this.archiveHandle.name}"`);
+        return this.archiveHandle;
+    }
+
+    /**
+     * Walk dropped FileSystemEntry folders into { path, file } pairs
+     */
+    static async readDroppedEntries(entries, progressCallback) {
+        const files = [];
+
+        const readDirectory = (directoryEntry) => new Promise((resolve, reject) => {
+            const reader = directoryEntry.createReader();
+            const children = [];
+            // readEntries hands back results in batches until it returns an empty one
+            const readBatch = () => reader.readEntries(batch => {
+                if (batch.length === 0) {
+                    resolve(children);
+                } else {
+                    children.push(...batch);
+                    readBatch();
+                }
+            }, reject);
+            readBatch();
+        });
+
+        const readFile = (fileEntry) => new Promise((resolve, reject) => fileEntry.file(resolve, reject));
+
+        const walk = async (entry) => {
+            if (entry.isFile) {
+                files.push({ path: entry.fullPath.replace(/^\/+/, ''), file: await readFile(entry) });
+                if (files.length % 1000 === 0) {
+                    progressCallback?.(`Reading dropped folder... ${files.length.toLocaleString()} files`);
+                }
+            } else if (entry.isDirectory) {
+                for (const child of await readDirectory(entry)) {
+                    await walk(child);
+                }
+            }
+        };
+
+        for (const entry of entries) {
+            await walk(entry);
+        }
+        return files;
+    }
+}
+
+// Export for use in other modules
+window.FileListArchiveManager = FileListArchiveManager;
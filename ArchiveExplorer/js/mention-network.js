@@ -0,0 +1,376 @@
+/**
+ * Mention Network - Draws who mentions and replies to whom as a force-directed graph on a canvas
+ * Nodes are users sized by how many people they are linked to and colored by community
+ * (label propagation). Scroll to zoom, drag to pan, click a user to open their comments.
+ * The graph comes from DataManager.getMentionNetwork.
+ */
+class MentionNetwork {
+    constructor(canvas, network, options = {}) {
+        this.canvas = canvas;
+        if (!this.canvas) return;
+
+        this.ctx = this.canvas.getContext('2d');
+        this.onNodeClick = options.onNodeClick || null;
+        this.animationId = null;
+        this.view = { x: 0, y: 0, scale: 1 };
+        this.hoveredNode = null;
+        this.drag = null;
+
+        this.config = {
+            maxNodes: 300,          // Most connected users laid out - more gets unreadable and slow
+            height: 520,
+            repulsion: 600,
+            springLength: 30,
+            springStrength: 0.04,
+            gravity: 0.015,
+            damping: 0.8,
+            cooling: 0.985,         // Simulation stops once movement has cooled below minAlpha
+            minAlpha: 0.02,
+            minRadius: 3,
+            maxRadius: 20,
+            labelCount: 20,         // Biggest nodes always labelled; others on hover or when zoomed in
+            ...options.config
+        };
+
+        this.init(network);
+        this.setupEventListeners();
+        this.animate();
+    }
+
+    /**
+     * Community colors, largest community first; smaller communities are grey
+     */
+    static get COLORS() {
+        return [
+            { r: 26, g: 115, b: 232 },  // Blue
+            { r: 225, g: 48, b: 108 },  // Instagram pink
+            { r: 52, g: 168, b: 83 },   // Green
+            { r: 251, g: 140, b: 0 },   // Orange
+            { r: 142, g: 68, b: 173 },  // Purple
+            { r: 0, g: 172, b: 193 },   // Teal
+            { r: 229, g: 57, b: 53 },   // Red
+            { r: 124, g: 179, b: 66 },  // Light green
+            { r: 94, g: 53, b: 177 },   // Indigo
+            { r: 255, g: 179, b: 0 }    // Amber
+        ];
+    }
+
+    /**
+     * Group nodes into communities by label propagation: every node repeatedly takes the label
+     * most of its links (by weight) carry, until labels settle. Returns community numbers by node index,
+     * numbered from the largest community down.
+     */
+    static detectCommunities(nodeCount, links, maxRounds = 20) {
+        const neighbours = Array.from({ length: nodeCount }, () => []);
+        links.forEach(({ source, target, weight }) => {
+            neighbours[source].push({ node: target, weight });
+            neighbours[target].push({ node: source, weight });
+        });
+
+        const labels = Array.from({ length: nodeCount }, (_, i) => i);
+        for (let round = 0; round < maxRounds; round++) {
+            let changed = false;
+            for (let node = 0; node < nodeCount; node++) {
+                if (neighbours[node].length === 0) continue;
+
+                const votes = new Map();
+                neighbours[node].forEach(({ node: neighbour, weight }) => {
+                    votes.set(labels[neighbour], (votes.get(labels[neighbour]) || 0) + weight);
+                });
+                // Ties go to the lowest label, so the result doesn't depend on chance
+                let best = labels[node];
+                let bestVotes = votes.get(best) || 0;
+                votes.forEach((count, label) => {
+                    if (count > bestVotes || (count === bestVotes && label < best)) {
+                        best = label;
+                        bestVotes = count;
+                    }
+                });
+                if (best !== labels[node]) {
+                    labels[node] = best;
+                    changed = true;
+                }
+            }
+            if (!changed) break;
+        }
+
+        const sizes = new Map();
+        labels.forEach(label => sizes.set(label, (sizes.get(label) || 0) + 1));
+        const ranked = Array.from(sizes.keys()).sort((a, b) => sizes.get(b) - sizes.get(a) || a - b);
+        const numbers = new Map(ranked.map((label, i) => [label, i]));
+        return labels.map(label => numbers.get(label));
+    }
+
+    init(network) {
+        // Keep the most connected users and the links between them
+        this.nodes = [...network.nodes]
+            .sort((a, b) => b.degree - a.degree || b.weight - a.weight || a.id.localeCompare(b.id))
+            .slice(0, this.config.maxNodes)
+            .map(node => ({ ...node }));
+        this.totalNodes = network.nodes.length;
+
+        const indexById = new Map(this.nodes.map((node, i) => [node.id, i]));
+        this.links = network.edges
+            .filter(edge => indexById.has(edge.source) && indexById.has(edge.target))
+            .map(edge => ({ source: indexById.get(edge.source), target: indexById.get(edge.target), weight: edge.weight }));
+
+        const communities = MentionNetwork.detectCommunities(this.nodes.length, this.links);
+        const shownDegree = new Array(this.nodes.length).fill(0);
+        this.links.forEach(link => {
+            shownDegree[link.source]++;
+            shownDegree[link.target]++;
+        });
+        const maxDegree = Math.max(1, ...this.nodes.map(node => node.degree));
+
+        this.nodes.forEach((node, i) => {
+            // Start on a sunflower spiral, biggest nodes in the middle
+            const angle = i * 2.39996;
+            const distance = Math.sqrt(i + 1) * 12;
+            node.x = Math.cos(angle) * distance;
+            node.y = Math.sin(angle) * distance;
+            node.vx = 0;
+            node.vy = 0;
+            node.community = communities[i];
+            node.color = MentionNetwork.COLORS[node.community] || { r: 160, g: 160, b: 160 };
+            node.radius = this.config.minRadius +
+                (this.config.maxRadius - this.config.minRadius) * Math.sqrt(node.degree / maxDegree);
+            node.isolated = shownDegree[i] === 0;
+        });
+
+        this.alpha = 1;
+        this.resizeCanvas();
+    }
+
+    resizeCanvas() {
+        const ratio = window.devicePixelRatio || 1;
+        this.width = this.canvas.parentElement?.clientWidth || 600;
+        this.height = this.config.height;
+        this.canvas.width = this.width * ratio;
+        this.canvas.height = this.height * ratio;
+        this.canvas.style.width = `${this.width}px`;
+        this.canvas.style.height = `${this.height}px`;
+        this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+        this.view.x = this.width / 2;
+        this.view.y = this.height / 2;
+    }
+
+    setupEventListeners() {
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            // Zoom around the cursor
+            const point = this.getCanvasPoint(e);
+            const scale = Math.min(8, Math.max(0.2, this.view.scale * (e.deltaY < 0 ? 1.15 : 1 / 1.15)));
+            this.view.x = point.x - (point.x - this.view.x) * (scale / this.view.scale);
+            this.view.y = point.y - (point.y - this.view.y) * (scale / this.view.scale);
+            this.view.scale = scale;
+            this.draw();
+        }, { passive: false });
+
+        this.canvas.addEventListener('mousedown', (e) => {
+            const point = this.getCanvasPoint(e);
+            this.drag = { x: point.x, y: point.y, viewX: this.view.x, viewY: this.view.y, moved: false };
+        });
+
+        this.handleMouseMove = (e) => {
+            const point = this.getCanvasPoint(e);
+            if (this.drag) {
+                const dx = point.x - this.drag.x;
+                const dy = point.y - this.drag.y;
+                if (Math.abs(dx) + Math.abs(dy) > 3) this.drag.moved = true;
+                this.view.x = this.drag.viewX + dx;
+                this.view.y = this.drag.viewY + dy;
+                this.draw();
+                return;
+            }
+
+            if (e.target !== this.canvas) return;
+            const node = this.findNode(point.x, point.y);
+            if (node !== this.hoveredNode) {
+                this.hoveredNode = node;
+                this.canvas.style.cursor = node ? 'pointer' : 'grab';
+                this.draw();
+            }
+        };
+
+        this.handleMouseUp = (e) => {
+            if (!this.drag) return;
+            const wasClick = !this.drag.moved;
+            this.drag = null;
+
+            if (wasClick && e.target === this.canvas) {
+                const point = this.getCanvasPoint(e);
+                const node = this.findNode(point.x, point.y);
+                if (node && this.onNodeClick) {
+                    this.onNodeClick(node.id);
+                }
+            }
+        };
+
+        window.addEventListener('mousemove', this.handleMouseMove);
+        window.addEventListener('mouseup', this.handleMouseUp);
+        this.canvas.style.cursor = 'grab';
+    }
+
+    getCanvasPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    /**
+     * The node under a canvas point, if any
+     */
+    findNode(x, y) {
+        const graphX = (x - this.view.x) / this.view.scale;
+        const graphY = (y - this.view.y) / this.view.scale;
+        // Smaller nodes are drawn on top, so they win overlaps
+        for (let i = this.nodes.length - 1; i >= 0; i--) {
+            const node = this.nodes[i];
+            const dx = node.x - graphX;
+            const dy = node.y - graphY;
+            const hitRadius = node.radius + 2 / this.view.scale;
+            if (dx * dx + dy * dy <= hitRadius * hitRadius) return node;
+        }
+        return null;
+    }
+
+    /**
+     * One simulation step: nodes push each other apart, links pull their ends together,
+     * and gravity keeps unlinked nodes from drifting off
+     */
+    updateNodes() {
+        const nodes = this.nodes;
+        for (let i = 0; i < nodes.length; i++) {
+            const a = nodes[i];
+            for (let j = i + 1; j < nodes.length; j++) {
+                const b = nodes[j];
+                let dx = a.x - b.x;
+                let dy = a.y - b.y;
+                let distanceSq = dx * dx + dy * dy;
+                if (distanceSq < 0.01) {
+                    dx = (i - j) * 0.1;
+                    dy = 0.1;
+                    distanceSq = dx * dx + dy * dy;
+                }
+                const force = this.config.repulsion * this.alpha / distanceSq;
+                const distance = Math.sqrt(distanceSq);
+                a.vx += (dx / distance) * force;
+                a.vy += (dy / distance) * force;
+                b.vx -= (dx / distance) * force;
+                b.vy -= (dy / distance) * force;
+            }
+        }
+
+        this.links.forEach(link => {
+            const a = nodes[link.source];
+            const b = nodes[link.target];
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+            const targetLength = this.config.springLength + a.radius + b.radius;
+            const force = (distance - targetLength) * this.config.springStrength * this.alpha;
+            a.vx += (dx / distance) * force;
+            a.vy += (dy / distance) * force;
+            b.vx -= (dx / distance) * force;
+            b.vy -= (dy / distance) * force;
+        });
+
+        nodes.forEach(node => {
+            node.vx -= node.x * this.config.gravity * this.alpha;
+            node.vy -= node.y * this.config.gravity * this.alpha;
+            node.vx *= this.config.damping;
+            node.vy *= this.config.damping;
+            node.x += node.vx;
+            node.y += node.vy;
+        });
+    }
+
+    drawLinks() {
+        const maxWeight = Math.max(1, ...this.links.map(link => link.weight));
+        const hovered = this.hoveredNode;
+        this.links.forEach(link => {
+            const a = this.nodes[link.source];
+            const b = this.nodes[link.target];
+            const highlighted = hovered && (a === hovered || b === hovered);
+            const opacity = highlighted ? 0.8 : 0.15 + 0.35 * (link.weight / maxWeight);
+
+            this.ctx.strokeStyle = highlighted ? `rgba(${hovered.color.r}, ${hovered.color.g}, ${hovered.color.b}, ${opacity})` : `rgba(120, 120, 120, ${opacity})`;
+            this.ctx.lineWidth = (highlighted ? 1.5 : 0.6 + Math.log2(link.weight + 1) * 0.4) / this.view.scale;
+            this.ctx.beginPath();
+            this.ctx.moveTo(a.x, a.y);
+            this.ctx.lineTo(b.x, b.y);
+            this.ctx.stroke();
+        });
+    }
+
+    drawNodes() {
+        this.nodes.forEach(node => {
+            this.ctx.fillStyle = `rgba(${node.color.r}, ${node.color.g}, ${node.color.b}, ${node.isolated ? 0.4 : 0.9})`;
+            this.ctx.beginPath();
+            this.ctx.arc(node.x, node.y, node.radius, 0, Math.PI * 2);
+            this.ctx.fill();
+
+            if (node === this.hoveredNode) {
+                this.ctx.strokeStyle = '#262626';
+                this.ctx.lineWidth = 2 / this.view.scale;
+                this.ctx.stroke();
+            }
+        });
+    }
+
+    drawLabels() {
+        const fontSize = 11 / this.view.scale;
+        this.ctx.font = `${fontSize}px -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'top';
+
+        // Zooming in reveals more labels
+        const labelCount = Math.round(this.config.labelCount * this.view.scale * this.view.scale);
+        this.nodes.forEach((node, i) => {
+            if (i >= labelCount && node !== this.hoveredNode) return;
+
+            const label = node === this.hoveredNode
+                ? `@${node.id} · ${node.degree} linked · ${node.commentCount} comments`
+                : `@${node.id}`;
+            this.ctx.fillStyle = node === this.hoveredNode ? '#000' : 'rgba(38, 38, 38, 0.8)';
+            this.ctx.fillText(label, node.x, node.y + node.radius + 2 / this.view.scale);
+        });
+    }
+
+    draw() {
+        const ratio = window.devicePixelRatio || 1;
+        this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        this.ctx.clearRect(0, 0, this.width, this.height);
+
+        this.ctx.setTransform(
+            ratio * this.view.scale, 0, 0, ratio * this.view.scale,
+            ratio * this.view.x, ratio * this.view.y
+        );
+        this.drawLinks();
+        this.drawNodes();
+        this.drawLabels();
+    }
+
+    animate() {
+        this.updateNodes();
+        this.draw();
+
+        this.alpha *= this.config.cooling;
+        if (this.alpha > this.config.minAlpha) {
+            this.animationId = requestAnimationFrame(() => this.animate());
+        } else {
+            this.animationId = null;
+        }
+    }
+
+    destroy() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+        }
+        window.removeEventListener('mousemove', this.handleMouseMove);
+        window.removeEventListener('mouseup', this.handleMouseUp);
+    }
+}
+
+// Export for use in other modules
+window.MentionNetwork = MentionNetwork;
@@ -10,6 +10,7 @@ class ModalCommentsManager {
         this.searchTerm = '';
         this.sortBy = 'date-desc';
         this.activeFilter = null;
+        this.getDuplicateCluster = () => null; // Set by the app once duplicate clusters are known
         
         this.setupEventListeners();
     }
@@ -60,7 +61,8 @@ class ModalCommentsManager {
             // Use DataManager's comments if available (loaded via File System Access API)
             if (dataManager && dataManager.comments && dataManager.comments.length > 0) {
                 console.log('🔄 Using comments from DataManager (File System Access API)');
-                this.allComments = dataManager.comments;
+                this.allComments = dataManager.getAnalyticsComments();
+                this.getDuplicateCluster = (commentId) => dataManager.getDuplicateCluster(commentId);
                 console.log(`✅ Loaded ${this.allComments.length} comments from DataManager`);
             } else {
                 console.warn('⚠️ No DataManager or comments available, cannot load modal comments');
@@ -78,7 +80,7 @@ class ModalCommentsManager {
             console.error('❌ CRITICAL ERROR loading Instagram comments:', error);
             console.error('❌ Error stack:', error.stack);
             console.log('⚠️ Falling back to sample data');
-            this.generateSampleComments();
+            this.generateSampleComments(dataManager);
             this.applyFiltersAndRender();
         }
     }
@@ -86,7 +88,8 @@ class ModalCommentsManager {
     /**
      * Generate sample comments for demonstration
      */
-    generateSampleComments() {
+    generateSampleComments(dataManager = null) {
+        const postTitle = dataManager?.getDefaultPostTitle() || 'Instagram Post';
         const sampleComments = [
             { text: "Thank you for sharing this amazing information! It really helped me understand urine therapy better.", author: "wellness_seeker", published_at: "2024-12-10T10:30:00Z", like_count: 45 },
             { text: "I've been practicing this for 3 months and my skin has never looked better. Truly life-changing!", author: "glowing_skin_jane", published_at: "2024-12-09T15:45:00Z", like_count: 78 },
@@ -136,7 +139,7 @@ class ModalCommentsManager {
                 published_at: randomDate.toISOString(),
                 like_count: randomLikes,
                 video_id: 'sample_post_' + Math.floor(i / 10),
-                video_title: '@jonno.otto Instagram Post',
+                video_title: postTitle,
                 comment_id: 'sample_' + i
             });
         }
@@ -145,7 +148,7 @@ class ModalCommentsManager {
         this.allComments = [...this.allComments, ...sampleComments.map((comment, index) => ({
             ...comment,
             video_id: 'sample_post_featured',
-            video_title: '@jonno.otto Instagram Post',
+            video_title: postTitle,
             comment_id: 'featured_' + index
         }))];
     }
@@ -196,6 +199,8 @@ class ModalCommentsManager {
                 return this.matchesEngagement(text, author, value);
             case 'health_topic':
                 return this.matchesHealthTopic(text, author, value);
+            case 'duplicate_cluster':
+                return this.getDuplicateCluster(comment.comment_id)?.id === value;
             default:
                 return true;
         }
@@ -483,6 +488,10 @@ class ModalCommentsManager {
             }
         };
         
+        if (filterType === 'duplicate_cluster') {
+            return `Duplicate cluster #${filterValue}`;
+        }
+        
         return displayNames[filterType]?.[filterValue] || filterValue.replace('_', ' ');
     }
     
@@ -0,0 +1,319 @@
+/**
+ * Search Index - Tokenized inverted index over comment text, comment authors and post captions
+ * Terms are accent-folded and stemmed with TextMatcher, so word forms share postings.
+ * Built once in a worker (see workers/search-index-builder.js), persisted by DataManager,
+ * and queried on the main thread with BM25 scoring.
+ *
+ * Documents are numbered with comments first ([0, commentDocCount)) and posts after them,
+ * so each term's postings list splits cleanly into a comment part and a post part.
+ */
+class SearchIndex {
+    constructor(data) {
+        this.terms = data.terms;                 // Sorted term strings
+        this.termOffsets = data.termOffsets;     // Uint32Array: postings of terms[i] are [termOffsets[i], termOffsets[i + 1])
+        this.postings = data.postings;           // Uint32Array of document numbers, ascending per term
+        this.frequencies = data.frequencies;     // Uint8Array of term frequencies (capped)
+        this.docLengths = data.docLengths;       // Uint16Array of text token counts per document
+        this.docCount = data.docCount;
+        this.commentDocCount = data.commentDocCount;
+
+        // BM25 parameters
+        this.k1 = 1.2;
+        this.b = 0.75;
+        this.authorWeight = 0.6; // Author matches count a little less than matches in the text
+        this.maxPrefixExpansions = 50;
+
+        this.termLookup = new Map(this.terms.map((term, i) => [term, i]));
+        this.avgCommentLength = this.averageLength(0, this.commentDocCount);
+        this.avgPostLength = this.averageLength(this.commentDocCount, this.docCount);
+
+        // Score buffers reused across queries
+        this.scores = null;
+        this.tokenScores = null;
+        this.matchCounts = null;
+    }
+
+    /**
+     * Split text into accent-folded, stemmed word tokens (see TextMatcher)
+     */
+    static tokenize(text) {
+        if (!text) return [];
+        return TextMatcher.tokenize(text)
+            .map(token => token.stem)
+            .filter(token => token.length > 1 && token.length <= 40);
+    }
+
+    /**
+     * Build index data from parallel arrays of document texts and authors
+     */
+    static build(texts, authors, commentDocCount, onProgress) {
+        const docCount = texts.length;
+        const docLengths = new Uint16Array(docCount);
+        // Each posting is packed as doc * 16 + tf to keep the lists small while building
+        const postingLists = new Map();
+        let postingCount = 0;
+
+        for (let doc = 0; doc < docCount; doc++) {
+            const counts = new Map();
+            const tokens = SearchIndex.tokenize(texts[doc]);
+            tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+
+            // Author names are separate terms so they can be weighted on their own
+            SearchIndex.tokenize(authors[doc]).forEach(token => {
+                const term = `@${token}`;
+                counts.set(term, (counts.get(term) || 0) + 1);
+            });
+
+            docLengths[doc] = Math.min(tokens.length, 0xFFFF);
+            counts.forEach((tf, term) => {
+                let list = postingLists.get(term);
+                if (!list) {
+                    list = [];
+                    postingLists.set(term, list);
+                }
+                list.push(doc * 16 + Math.min(tf, 15));
+                postingCount++;
+            });
+
+            if (onProgress && doc % 50000 === 0) {
+                onProgress(doc, docCount);
+            }
+        }
+
+        const terms = Array.from(postingLists.keys()).sort();
+        const termOffsets = new Uint32Array(terms.length + 1);
+        const postings = new Uint32Array(postingCount);
+        const frequencies = new Uint8Array(postingCount);
+
+        let offset = 0;
+        terms.forEach((term, i) => {
+            termOffsets[i] = offset;
+            for (const packed of postingLists.get(term)) {
+                postings[offset] = Math.floor(packed / 16);
+                frequencies[offset] = packed % 16;
+                offset++;
+            }
+        });
+        termOffsets[terms.length] = offset;
+
+        return { terms, termOffsets, postings, frequencies, docLengths, docCount, commentDocCount };
+    }
+
+    /**
+     * Rank a small set of documents against a query without a persistent index
+     * (documents that match none of the query's words keep their order at the end)
+     */
+    static rankDocuments(query, documents, getFields, options = {}) {
+        const texts = [];
+        const authors = [];
+        documents.forEach(document => {
+            const fields = getFields(document);
+            texts.push(fields.text || '');
+            authors.push(fields.author || '');
+        });
+
+        const index = new SearchIndex(SearchIndex.build(texts, authors, documents.length));
+        const ranked = index.search(query, { requireAll: false, fuzzy: Boolean(options.fuzzy) });
+        const rankedDocs = new Set(ranked.map(result => result.doc));
+
+        return [
+            ...ranked.map(result => ({ document: documents[result.doc], score: result.score })),
+            ...documents.filter((document, doc) => !rankedDocs.has(doc)).map(document => ({ document, score: 0 }))
+        ];
+    }
+
+    /**
+     * Mean text length over a range of documents
+     */
+    averageLength(start, end) {
+        if (end <= start) return 1;
+        let total = 0;
+        for (let doc = start; doc < end; doc++) {
+            total += this.docLengths[doc];
+        }
+        return Math.max(1, total / (end - start));
+    }
+
+    /**
+     * Term numbers for a token - the exact term, or every term starting with it
+     */
+    findTerms(token, prefix = false) {
+        if (!prefix) {
+            const exact = this.termLookup.get(token);
+            return exact === undefined ? [] : [exact];
+        }
+
+        // Binary search for the first term >= token
+        let low = 0;
+        let high = this.terms.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.terms[mid] < token) low = mid + 1;
+            else high = mid;
+        }
+
+        const matches = [];
+        for (let i = low; i < this.terms.length && this.terms[i].startsWith(token); i++) {
+            matches.push(i);
+            if (matches.length >= this.maxPrefixExpansions) break;
+        }
+        return matches;
+    }
+
+    /**
+     * Terms a query token stands for, with a weight: exact or prefix matches count fully,
+     * fuzzy matches (within TextMatcher's edit tolerance) count less the further they are
+     */
+    expandToken(token, prefix, fuzzy) {
+        const expansions = new Map();
+        [token, `@${token}`].forEach(term => {
+            this.findTerms(term, prefix).forEach(termIndex => expansions.set(termIndex, 1));
+        });
+
+        const max = fuzzy ? TextMatcher.maxEdits(token) : 0;
+        if (max > 0) {
+            this.terms.forEach((term, termIndex) => {
+                if (expansions.has(termIndex)) return;
+                const word = term.startsWith('@') ? term.slice(1) : term;
+                const distance = TextMatcher.editDistance(word, token, max);
+                if (distance <= max) {
+                    expansions.set(termIndex, 1 / (1 + distance));
+                }
+            });
+        }
+        return expansions;
+    }
+
+    /**
+     * Comment documents with a word in text or author containing a folded query word, for
+     * narrowing a substring search down before checking it (with fuzzy, also misspellings of it).
+     * Terms are stems, so a word also finds the terms it starts with: "lovi" is the start of
+     * "loving", indexed as "lov".
+     */
+    findCommentDocuments(word, fuzzy = false) {
+        const stem = TextMatcher.stem(word);
+        // Same tolerance as TextMatcher.wordsMatch
+        const max = fuzzy ? TextMatcher.maxEdits(word) : 0;
+        const termIndexes = new Set();
+        this.terms.forEach((term, termIndex) => {
+            const termWord = term.startsWith('@') ? term.slice(1) : term;
+            if (termWord.includes(word) || termWord.includes(stem) || (word.startsWith(termWord) && termWord.length > 1)) {
+                termIndexes.add(termIndex);
+            } else if (max > 0 && (TextMatcher.editDistance(termWord, stem, max) <= max || TextMatcher.editDistance(termWord, word, max) <= max)) {
+                termIndexes.add(termIndex);
+            }
+        });
+
+        const docs = new Set();
+        termIndexes.forEach(termIndex => {
+            const end = this.lowerBound(termIndex, this.commentDocCount);
+            for (let p = this.termOffsets[termIndex]; p < end; p++) {
+                docs.add(this.postings[p]);
+            }
+        });
+        return docs;
+    }
+
+    /**
+     * First posting of a term at or after a document number
+     */
+    lowerBound(termIndex, doc) {
+        let low = this.termOffsets[termIndex];
+        let high = this.termOffsets[termIndex + 1];
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.postings[mid] < doc) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+
+    /**
+     * Ranked search over comments or posts.
+     * The last query word also matches as a prefix, so results appear while typing,
+     * and with fuzzy set every word also matches misspellings of itself.
+     * Returns [{ doc, score }] best first, with doc numbers relative to the whole index.
+     */
+    search(query, options = {}) {
+        const { kind = 'comment', limit = Infinity, prefix = true, requireAll = true, fuzzy = false } = options;
+        const tokens = [...new Set(SearchIndex.tokenize(query))];
+        if (tokens.length === 0) return [];
+
+        const [rangeStart, rangeEnd] = kind === 'post'
+            ? [this.commentDocCount, this.docCount]
+            : [0, this.commentDocCount];
+        const totalDocs = rangeEnd - rangeStart;
+        const avgLength = kind === 'post' ? this.avgPostLength : this.avgCommentLength;
+        if (totalDocs === 0) return [];
+
+        if (!this.scores) {
+            this.scores = new Float32Array(this.docCount);
+            this.tokenScores = new Float32Array(this.docCount);
+            this.matchCounts = new Uint8Array(this.docCount);
+        }
+
+        const touched = [];
+        tokens.forEach((token, i) => {
+            const isPrefix = prefix && i === tokens.length - 1;
+            const expansions = this.expandToken(token, isPrefix, fuzzy);
+            const tokenTouched = [];
+
+            expansions.forEach((matchWeight, termIndex) => {
+                const weight = matchWeight * (this.terms[termIndex].startsWith('@') ? this.authorWeight : 1);
+                const start = this.lowerBound(termIndex, rangeStart);
+                const end = this.lowerBound(termIndex, rangeEnd);
+                const docFrequency = end - start;
+                if (docFrequency === 0) return;
+
+                const idf = Math.log(1 + (totalDocs - docFrequency + 0.5) / (docFrequency + 0.5));
+                for (let p = start; p < end; p++) {
+                    const doc = this.postings[p];
+                    const tf = this.frequencies[p];
+                    const lengthNorm = 1 - this.b + this.b * (this.docLengths[doc] / avgLength);
+                    const score = weight * idf * (tf * (this.k1 + 1)) / (tf + this.k1 * lengthNorm);
+
+                    // A word expanding to several terms counts once, by its best term
+                    if (this.tokenScores[doc] === 0) tokenTouched.push(doc);
+                    if (score > this.tokenScores[doc]) this.tokenScores[doc] = score;
+                }
+            });
+
+            tokenTouched.forEach(doc => {
+                if (this.matchCounts[doc] === 0) touched.push(doc);
+                this.scores[doc] += this.tokenScores[doc];
+                this.matchCounts[doc]++;
+                this.tokenScores[doc] = 0;
+            });
+        });
+
+        const results = [];
+        touched.forEach(doc => {
+            if (!requireAll || this.matchCounts[doc] === tokens.length) {
+                results.push({ doc, score: this.scores[doc] });
+            }
+            this.scores[doc] = 0;
+            this.matchCounts[doc] = 0;
+        });
+
+        results.sort((a, b) => b.score - a.score);
+        return Number.isFinite(limit) ? results.slice(0, limit) : results;
+    }
+
+    /**
+     * Raw data for persisting the index
+     */
+    toData() {
+        return {
+            terms: this.terms,
+            termOffsets: this.termOffsets,
+            postings: this.postings,
+            frequencies: this.frequencies,
+            docLengths: this.docLengths,
+            docCount: this.docCount,
+            commentDocCount: this.commentDocCount
+        };
+    }
+}
+
+// Export for use in other modules
+window.SearchIndex = SearchIndex;
@@ -0,0 +1,426 @@
+/**
+ * Search Query - Parses the search box syntax into filters for posts and comments
+ *
+ *   love bread          both words (substring match, like the plain search)
+ *   "so good"           exact phrase
+ *   -spam               exclude a word, phrase or filter
+ *   cake OR pie         either side matches (AND binds tighter than OR)
+ *   author:name         commenter name (posts: someone with that name commented)
+ *   before:2024-05-31   before a day, month (2024-05) or year (2024)
+ *   after:2024-01       on or after a day, month or year
+ *   has:question        has:emoji, has:link
+ *   likes:>10           likes compared with >, >=, <, <= or =
+ *   replies:>2          replies to a comment (posts: comments on the post)
+ *   post:shortcode      one post, by shortcode or post URL
+ *
+ * Matching ignores case and accents. With options.fuzzy, words and phrases also match other
+ * forms of the same word and misspellings (see TextMatcher).
+ *
+ * Malformed terms are reported in `errors` with their character range and left out of the filter,
+ * so the rest of the query keeps working while the user fixes them.
+ */
+class SearchQuery {
+    constructor(input, options = {}) {
+        this.input = input || '';
+        this.fuzzy = Boolean(options.fuzzy);
+        this.groups = [];  // OR'ed groups of AND'ed terms
+        this.errors = [];  // { start, end, message }
+        this.parse();
+    }
+
+    /**
+     * Keys recognized as filters before a colon
+     */
+    static get FIELDS() {
+        return ['author', 'before', 'after', 'has', 'likes', 'replies', 'post'];
+    }
+
+    /**
+     * Values accepted by has:
+     */
+    static get HAS_VALUES() {
+        return {
+            question: text => text.includes('?'),
+            emoji: text => /\p{Extended_Pictographic}/u.test(text),
+            link: text => /https?:\/\/|www\.|\b[\w-]+\.(com|net|org|io|co|me|ly|gl|app|tv)\b/i.test(text)
+        };
+    }
+
+    /**
+     * Syntax reference shown in the inline help, with wording per search box
+     */
+    static get SYNTAX() {
+        return [
+            { example: 'love bread', posts: 'Captions or transcripts containing both words', comments: 'Comments containing both words' },
+            { example: '"so good"', posts: 'Exact phrase', comments: 'Exact phrase' },
+            { example: '-giveaway', posts: 'Exclude a word, phrase or filter', comments: 'Exclude a word, phrase or filter' },
+            { example: 'cake OR pie', posts: 'Either side matches', comments: 'Either side matches' },
+            { example: 'author:name', posts: 'Posts this person commented on', comments: 'Comments by this person' },
+            { example: 'after:2024-01', posts: 'Posted in or after January 2024', comments: 'Written in or after January 2024' },
+            { example: 'before:2024-05-31', posts: 'Posted before May 31, 2024', comments: 'Written before May 31, 2024' },
+            { example: 'has:question', posts: 'Also has:emoji and has:link', comments: 'Also has:emoji and has:link' },
+            { example: 'likes:>10', posts: 'More than 10 likes (>, >=, <, <=, =)', comments: 'More than 10 likes (>, >=, <, <=, =)' },
+            { example: 'replies:>2', posts: 'More than 2 comments', comments: 'More than 2 replies' },
+            { example: 'post:shortcode', posts: 'One post, by shortcode or URL', comments: 'Comments on one post' }
+        ];
+    }
+
+    /**
+     * Parse the input, reusing the previous result when the text hasn't changed
+     */
+    static parse(input, options = {}) {
+        const last = SearchQuery.lastQuery;
+        if (last?.input !== (input || '') || last.fuzzy !== Boolean(options.fuzzy)) {
+            SearchQuery.lastQuery = new SearchQuery(input, options);
+        }
+        return SearchQuery.lastQuery;
+    }
+
+    /**
+     * True when nothing usable is left to filter by
+     */
+    get isEmpty() {
+        return this.groups.length === 0;
+    }
+
+    /**
+     * True when part of the query was ignored
+     */
+    get hasErrors() {
+        return this.errors.length > 0;
+    }
+
+    /**
+     * Split the input into terms and OR groups
+     */
+    parse() {
+        const input = this.input;
+        let group = [];
+        let pendingOr = null; // Position of an OR still waiting for its right-hand side
+        let position = 0;
+
+        const closeGroup = () => {
+            this.groups.push(group);
+            group = [];
+        };
+
+        while (position < input.length) {
+            if (/\s/.test(input[position])) {
+                position++;
+                continue;
+            }
+
+            const start = position;
+            const negated = input[position] === '-' && position + 1 < input.length && !/\s/.test(input[position + 1]);
+            if (negated) position++;
+
+            // A term runs to the next space, except inside quotes
+            let raw = '';
+            let quoteStart = -1;
+            while (position < input.length && (quoteStart !== -1 || !/\s/.test(input[position]))) {
+                if (input[position] === '"') {
+                    quoteStart = quoteStart === -1 ? position : -1;
+                }
+                raw += input[position];
+                position++;
+            }
+            const end = position;
+
+            if (quoteStart !== -1) {
+                this.addError(quoteStart, end, 'Missing closing quote');
+                continue;
+            }
+
+            if (raw === 'OR' && !negated) {
+                if (group.length === 0 || pendingOr !== null) {
+                    this.addError(start, end, 'OR needs a search term on both sides');
+                } else {
+                    closeGroup();
+                    pendingOr = start;
+                }
+                continue;
+            }
+
+            const term = this.parseTerm(raw, start + (negated ? 1 : 0), end);
+            if (term) {
+                term.negated = negated;
+                group.push(term);
+                pendingOr = null;
+            }
+        }
+
+        if (pendingOr !== null) {
+            this.addError(pendingOr, pendingOr + 2, 'OR needs a search term on both sides');
+        }
+        closeGroup();
+        this.groups = this.groups.filter(terms => terms.length > 0);
+    }
+
+    /**
+     * Turn one raw term into a filter, or record why it can't be used
+     */
+    parseTerm(raw, start, end) {
+        if (raw.startsWith('"')) {
+            const phrase = raw.slice(1, -1);
+            if (!phrase.trim()) {
+                this.addError(start, end, 'Empty phrase');
+                return null;
+            }
+            return this.createTextTerm(phrase, start, end);
+        }
+
+        const separator = raw.indexOf(':');
+        const key = separator > 0 ? raw.slice(0, separator).toLowerCase() : '';
+        if (!SearchQuery.FIELDS.includes(key)) {
+            // Not a filter (e.g. a URL) - search for it as typed
+            return this.createTextTerm(raw, start, end);
+        }
+
+        let value = raw.slice(separator + 1);
+        if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+            value = value.slice(1, -1);
+        }
+        if (!value) {
+            this.addError(start, end, `${key}: needs a value`);
+            return null;
+        }
+
+        switch (key) {
+            case 'author':
+                return { type: 'author', value: TextMatcher.fold(value.replace(/^@/, '')), start, end };
+
+            case 'before':
+            case 'after': {
+                const periodStart = SearchQuery.parseDate(value);
+                if (periodStart === null) {
+                    this.addError(start, end, `${key}: needs a date like 2024-05-31, 2024-05 or 2024`);
+                    return null;
+                }
+                // before: stops where the period starts, after: includes the period
+                return { type: key, value: periodStart, start, end };
+            }
+
+            case 'has': {
+                const kind = value.toLowerCase();
+                if (!SearchQuery.HAS_VALUES[kind]) {
+                    this.addError(start, end, `has: accepts ${Object.keys(SearchQuery.HAS_VALUES).join(', ')}`);
+                    return null;
+                }
+                return { type: 'has', value: kind, start, end };
+            }
+
+            case 'likes':
+            case 'replies': {
+                const match = value.match(/^(>=|<=|>|<|=)?(\d+)$/);
+                if (!match) {
+                    this.addError(start, end, `${key}: needs a number, like ${key}:>10`);
+                    return null;
+                }
+                return { type: key, operator: match[1] || '=', value: parseInt(match[2]), start, end };
+            }
+
+            case 'post': {
+                // Accept pasted post URLs as well as bare shortcodes
+                const urlMatch = value.match(/\/(?:p|reel|tv)\/([\w-]+)/);
+                return { type: 'post', value: urlMatch ? urlMatch[1] : value, start, end };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * A word or phrase term, folded for matching and split into words for fuzzy matching
+     */
+    createTextTerm(text, start, end) {
+        return { type: 'text', text, value: TextMatcher.fold(text), tokens: TextMatcher.tokenize(text), start, end };
+    }
+
+    /**
+     * Start of a day, month or year written as YYYY-MM-DD, YYYY-MM or YYYY (local time)
+     */
+    static parseDate(value) {
+        const match = value.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+        if (!match) return null;
+
+        const year = parseInt(match[1]);
+        const month = match[2] ? parseInt(match[2]) - 1 : 0;
+        const day = match[3] ? parseInt(match[3]) : 1;
+        const date = new Date(year, month, day);
+        // Reject dates that rolled over, like 2024-02-31
+        if (date.getMonth() !== month || date.getDate() !== day) return null;
+        return date.getTime();
+    }
+
+    /**
+     * Record a malformed part of the input
+     */
+    addError(start, end, message) {
+        this.errors.push({ start, end, message });
+    }
+
+    /**
+     * Compare a count with a likes:/replies: term
+     */
+    static compare(count, term) {
+        switch (term.operator) {
+            case '>': return count > term.value;
+            case '>=': return count >= term.value;
+            case '<': return count < term.value;
+            case '<=': return count <= term.value;
+            default: return count === term.value;
+        }
+    }
+
+    /**
+     * Check whether a post matches.
+     * context.getPostComments(videoId) supplies the post's comments for author: terms,
+     * and context.getPostTranscript(videoId) its transcript text, searched along with the caption.
+     */
+    matchesPost(video, context = {}) {
+        const text = `${video.title || ''} ${video.description || ''}`;
+        const transcript = context.getPostTranscript?.(video.video_id) || '';
+        const haystack = this.createHaystack(transcript ? `${text}\n${transcript}` : text);
+
+        return this.matchesGroups(term => {
+            switch (term.type) {
+                case 'text':
+                    return this.matchesText(term, haystack);
+                case 'author':
+                    return (context.getPostComments?.(video.video_id) || [])
+                        .some(comment => TextMatcher.fold(comment.author).includes(term.value));
+                case 'before':
+                    return video.published_at?.getTime() < term.value;
+                case 'after':
+                    return video.published_at?.getTime() >= term.value;
+                case 'has':
+                    return SearchQuery.HAS_VALUES[term.value](text);
+                case 'likes':
+                    return SearchQuery.compare(video.like_count || video.view_count || 0, term);
+                case 'replies':
+                    return SearchQuery.compare(video.comment_count || 0, term);
+                case 'post':
+                    return video.shortcode === term.value || video.video_id === term.value;
+                default:
+                    return true;
+            }
+        });
+    }
+
+    /**
+     * Check whether a comment matches.
+     * context.getReplyCount(comment) supplies reply counts for replies: terms,
+     * and context.getPost(videoId) the comment's post for post: terms.
+     */
+    matchesComment(comment, context = {}) {
+        const text = comment.text || '';
+        const author = TextMatcher.fold(comment.author);
+        const haystack = this.createHaystack(`${text}\n${comment.author || ''}`);
+
+        return this.matchesGroups(term => {
+            switch (term.type) {
+                case 'text':
+                    return this.matchesText(term, haystack);
+                case 'author':
+                    return author.includes(term.value);
+                case 'before':
+                    return comment.published_at?.getTime() < term.value;
+                case 'after':
+                    return comment.published_at?.getTime() >= term.value;
+                case 'has':
+                    return SearchQuery.HAS_VALUES[term.value](text);
+                case 'likes':
+                    return SearchQuery.compare(comment.like_count || 0, term);
+                case 'replies':
+                    return SearchQuery.compare(context.getReplyCount?.(comment) ?? (comment.replies?.length || 0), term);
+                case 'post': {
+                    const post = context.getPost?.(comment.video_id);
+                    return comment.video_id === term.value || post?.shortcode === term.value;
+                }
+                default:
+                    return true;
+            }
+        });
+    }
+
+    /**
+     * Folded text to match against, with its words tokenized only when a fuzzy term needs them
+     */
+    createHaystack(text) {
+        let tokens = null;
+        return {
+            folded: TextMatcher.fold(text),
+            get tokens() {
+                tokens = tokens || TextMatcher.tokenize(text);
+                return tokens;
+            }
+        };
+    }
+
+    /**
+     * Match a word or phrase: as a substring, or in fuzzy mode as a run of similar words
+     */
+    matchesText(term, haystack) {
+        if (haystack.folded.includes(term.value)) return true;
+        if (!this.fuzzy || term.tokens.length === 0) return false;
+
+        const tokens = haystack.tokens;
+        for (let i = 0; i + term.tokens.length <= tokens.length; i++) {
+            if (term.tokens.every((queryToken, j) => TextMatcher.wordsMatch(tokens[i + j], queryToken))) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Any OR group whose terms all hold (negated terms must not hold)
+     */
+    matchesGroups(test) {
+        return this.groups.some(group => group.every(term => test(term) !== term.negated));
+    }
+
+    /**
+     * Words and phrases the user is looking for, for highlighting matches
+     */
+    getHighlightTerms() {
+        const terms = new Set();
+        this.groups.forEach(group => group.forEach(term => {
+            if (term.type === 'text' && !term.negated) terms.add(term.text);
+        }));
+        return Array.from(terms);
+    }
+
+    /**
+     * Ranges of a text that the query's words and phrases matched, for highlighting
+     */
+    getMatchRanges(text) {
+        return this.getHighlightTerms().flatMap(term => [
+            ...TextMatcher.findMatches(text, term, false),
+            ...(this.fuzzy ? TextMatcher.findMatches(text, term, true) : [])
+        ]);
+    }
+
+    /**
+     * The input as HTML with malformed parts marked
+     */
+    renderInputWithErrors() {
+        const escape = (text) => text.replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+        }[char]));
+
+        let html = '';
+        let position = 0;
+        [...this.errors].sort((a, b) => a.start - b.start).forEach(error => {
+            if (error.start < position) return;
+            html += escape(this.input.slice(position, error.start));
+            html += `<mark class="query-error" title="${escape(error.message)}">${escape(this.input.slice(error.start, error.end))}</mark>`;
+            position = error.end;
+        });
+        return html + escape(this.input.slice(position));
+    }
+}
+
+SearchQuery.lastQuery = null;
+
+// Export for use in other modules
+window.SearchQuery = SearchQuery;
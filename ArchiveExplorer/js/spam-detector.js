@@ -0,0 +1,182 @@
+/**
+ * Spam Detector - Scores comments for signs of spam and bot accounts
+ * Each signal that fires adds its weight, combined as independent evidence
+ * (1 - (1 - w1)(1 - w2)...), so the score stays between 0 and 1 and
+ * two weak signals together count for more than either alone.
+ * DataManager scores the active view's comments and caches the result (see getSpamScores).
+ */
+class SpamDetector {
+    /**
+     * Tuning: at the default threshold no single signal except repeated links flags a comment on its own
+     */
+    static get DEFAULTS() {
+        return {
+            threshold: 0.6,          // Score from which a comment counts as suspected spam
+            burstMinutes: 10,        // An author posting burstCount comments within this window...
+            burstCount: 5,           // ...posts "very often"
+            dailyCount: 30           // As does one posting this many comments on one day
+        };
+    }
+
+    /**
+     * Signal weights and the labels shown on flagged comments
+     */
+    static get SIGNALS() {
+        return {
+            links: { weight: 0.5, label: 'links' },
+            manyLinks: { weight: 0.65, label: 'several links' },
+            promo: { weight: 0.5, label: '"DM me" promotion' },
+            emojiFlood: { weight: 0.45, label: 'emoji flood' },
+            frequency: { weight: 0.45, label: 'posts very often' },
+            username: { weight: 0.3, label: 'bot-like username' }
+        };
+    }
+
+    static get PATTERNS() {
+        return {
+            url: /(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|io|co|ly|shop|store|link|xyz|biz|info|site|online)\b(?:\/\S*)?/gi,
+            linkInBio: /\blink\s+in\s+(?:my\s+)?bio\b/i,
+            promo: new RegExp([
+                /\b(?:dm|pm|inbox|message|text|whatsapp|telegram)\s+(?:me|us|now)\b/,
+                /\bsend\s+(?:me\s+)?(?:a\s+)?(?:dm|message)\b/,
+                /\bcheck\s+(?:out\s+)?my\s+(?:page|profile|bio|account|stor(?:y|ies))\b/,
+                /\b(?:promo(?:te|tion)?|collab(?:oration)?|sponsor(?:ship)?|giveaway|cash\s*app)\b/,
+                /\b(?:crypto|bitcoin|forex|binary\s+options?)\b/,
+                /\b(?:earn(?:ed)?|make|made)\s+\$\d|\$\d[\d,]*\s*(?:a|per)\s+(?:day|week|month)\b/,
+                /\bfree\s+followers?\b|\bfollowers?\s+for\s+free\b/
+            ].map(pattern => pattern.source).join('|'), 'i'),
+            username: [
+                /\d{5,}/,                                                             // user8273645
+                /\d{3,}$/,                                                            // jenny_k_294
+                /(?:promo|crypto|forex|bitcoin|invest|trader|earn|cash|followers|giveaway|_shop|\.shop|official_)/i,
+                /[bcdfghjklmnpqrstvwxz]{6,}/i                                         // No vowels: random keyboard strings
+            ]
+        };
+    }
+
+    /**
+     * Authors who post very often: burstCount comments within burstMinutes, or dailyCount in one day
+     */
+    static findFrequentAuthors(comments, options = {}) {
+        const settings = { ...SpamDetector.DEFAULTS, ...options };
+        const times = new Map();
+        comments.forEach(comment => {
+            const time = new Date(comment.published_at).getTime();
+            if (!comment.author || isNaN(time)) return;
+            if (!times.has(comment.author)) times.set(comment.author, []);
+            times.get(comment.author).push(time);
+        });
+
+        const burstWindow = settings.burstMinutes * 60 * 1000;
+        const frequent = new Set();
+        times.forEach((authorTimes, author) => {
+            if (authorTimes.length < Math.min(settings.burstCount, settings.dailyCount)) return;
+            authorTimes.sort((a, b) => a - b);
+
+            const perDay = new Map();
+            for (let i = 0; i < authorTimes.length; i++) {
+                const burstStart = i - settings.burstCount + 1;
+                if (burstStart >= 0 && authorTimes[i] - authorTimes[burstStart] <= burstWindow) {
+                    frequent.add(author);
+                    return;
+                }
+                const day = Math.floor(authorTimes[i] / 86400000); // UTC day
+                perDay.set(day, (perDay.get(day) || 0) + 1);
+                if (perDay.get(day) >= settings.dailyCount) {
+                    frequent.add(author);
+                    return;
+                }
+            }
+        });
+        return frequent;
+    }
+
+    /**
+     * Whether a username looks generated
+     */
+    static isBotLikeUsername(username, patterns = SpamDetector.PATTERNS) {
+        return patterns.username.some(pattern => pattern.test(username || ''));
+    }
+
+    /**
+     * A text made only of emoji (and spaces), with enough of them to be a flood
+     */
+    static isEmojiFlood(text) {
+        if (/[\p{L}\p{N}]/u.test(text)) return false;
+        return (text.match(/\p{Extended_Pictographic}/gu) || []).length >= 5;
+    }
+
+    /**
+     * Score one comment. context: { ownerHandles, frequentAuthors, botLikeAuthors, patterns }
+     * (scoreAll fills in the author caches and reuses one set of patterns).
+     * Returns { score, signals } with the keys of the signals that fired.
+     */
+    static score(comment, context = {}) {
+        const patterns = context.patterns || SpamDetector.PATTERNS;
+        const text = comment.text || comment.content || '';
+        const author = comment.author || '';
+        const isOwner = context.ownerHandles?.has(author);
+        const signals = [];
+
+        const links = (text.match(patterns.url) || []).length;
+        if (links >= 2) {
+            signals.push('manyLinks');
+        } else if (links === 1 || patterns.linkInBio.test(text)) {
+            signals.push('links');
+        }
+        if (!isOwner && patterns.promo.test(text)) {
+            signals.push('promo');
+        }
+        if (SpamDetector.isEmojiFlood(text)) {
+            signals.push('emojiFlood');
+        }
+        if (!isOwner && context.frequentAuthors?.has(author)) {
+            signals.push('frequency');
+        }
+        if (!isOwner) {
+            let botLike = context.botLikeAuthors?.get(author);
+            if (botLike === undefined) {
+                botLike = SpamDetector.isBotLikeUsername(author, patterns);
+                context.botLikeAuthors?.set(author, botLike);
+            }
+            if (botLike) signals.push('username');
+        }
+
+        const weights = SpamDetector.SIGNALS;
+        const score = 1 - signals.reduce((remaining, signal) => remaining * (1 - weights[signal].weight), 1);
+        return { score, signals };
+    }
+
+    /**
+     * Score every comment. Returns a Map of comment_id -> { score, signals, isSpam },
+     * leaving out comments where no signal fired.
+     */
+    static scoreAll(comments, ownerHandles = new Set(), options = {}) {
+        const settings = { ...SpamDetector.DEFAULTS, ...options };
+        const context = {
+            ownerHandles,
+            frequentAuthors: SpamDetector.findFrequentAuthors(comments, settings),
+            botLikeAuthors: new Map(),
+            patterns: SpamDetector.PATTERNS
+        };
+
+        const scores = new Map();
+        comments.forEach(comment => {
+            const result = SpamDetector.score(comment, context);
+            if (result.signals.length > 0) {
+                scores.set(comment.comment_id, { ...result, isSpam: result.score >= settings.threshold });
+            }
+        });
+        return scores;
+    }
+
+    /**
+     * Human-readable reasons for a score, e.g. "links, bot-like username"
+     */
+    static describe(result) {
+        return result.signals.map(signal => SpamDetector.SIGNALS[signal].label).join(', ');
+    }
+}
+
+// Export for use in other modules
+window.SpamDetector = SpamDetector;
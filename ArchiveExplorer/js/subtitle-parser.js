@@ -0,0 +1,97 @@
+/**
+ * Subtitle Parser - Reads .vtt and .srt sidecar transcripts into timed cues
+ * Both formats are blocks separated by blank lines, each with an optional id line,
+ * a "start --> end" timing line and the cue text, so one parser handles both.
+ */
+class SubtitleParser {
+    /**
+     * Check if a file is a subtitle sidecar
+     */
+    static isSubtitleFile(filename) {
+        return /\.(vtt|srt)$/i.test(filename);
+    }
+
+    /**
+     * Parse subtitle text into cues [{ start, end, text }] in seconds, ordered by start time.
+     * Formatting tags are dropped - only the spoken text is kept.
+     */
+    static parse(text) {
+        const blocks = String(text || '')
+            .replace(/^\uFEFF/, '')
+            .replace(/\r\n?/g, '\n')
+            .split(/\n\s*\n/);
+
+        const cues = [];
+        for (const block of blocks) {
+            const lines = block.split('\n');
+            const timingLine = lines.findIndex(line => line.includes('-->'));
+            // The WEBVTT header and NOTE/STYLE blocks have no timing line
+            if (timingLine === -1) continue;
+
+            const [startText, endText = ''] = lines[timingLine].split('-->');
+            const start = SubtitleParser.parseTimestamp(startText);
+            const end = SubtitleParser.parseTimestamp(endText.trim().split(/\s+/)[0]);
+            if (start === null || end === null) continue;
+
+            const cueText = SubtitleParser.cleanText(lines.slice(timingLine + 1).join('\n'));
+            if (cueText) {
+                cues.push({ start, end: Math.max(start, end), text: cueText });
+            }
+        }
+
+        return cues.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Seconds from a "01:02:03.456", "02:03.456" or SRT-style "01:02:03,456" timestamp, or null
+     */
+    static parseTimestamp(value) {
+        const match = String(value || '').trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?$/);
+        if (!match) return null;
+
+        const [, hours = '0', minutes, seconds, fraction = '0'] = match;
+        return parseInt(hours, 10) * 3600 +
+            parseInt(minutes, 10) * 60 +
+            parseInt(seconds, 10) +
+            parseInt(fraction.padEnd(3, '0'), 10) / 1000;
+    }
+
+    /**
+     * Strip cue markup (<i>, <c.yellow>, <00:01.000>, SRT {\an8}) and decode entities
+     */
+    static cleanText(text) {
+        return text
+            .replace(/<[^>]*>/g, '')
+            .replace(/\{\\[^}]*\}/g, '')
+            .replace(/&(amp|lt|gt|nbsp|quot|#39);/g, (entity, name) => ({
+                amp: '&', lt: '<', gt: '>', nbsp: ' ', quot: '"', '#39': '\''
+            }[name]))
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    /**
+     * "HH:MM:SS.mmm" as WebVTT writes it
+     */
+    static formatTimestamp(seconds) {
+        const totalMs = Math.round(Math.max(0, seconds) * 1000);
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        return `${pad(Math.floor(totalMs / 3600000))}:${pad(Math.floor(totalMs / 60000) % 60)}:` +
+            `${pad(Math.floor(totalMs / 1000) % 60)}.${pad(totalMs % 1000, 3)}`;
+    }
+
+    /**
+     * Cues as a WebVTT document - <track> elements only accept WebVTT, so SRT is converted
+     */
+    static toWebVTT(cues) {
+        const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        return 'WEBVTT\n\n' + cues.map(cue =>
+            `${SubtitleParser.formatTimestamp(cue.start)} --> ${SubtitleParser.formatTimestamp(cue.end)}\n${escape(cue.text)}`
+        ).join('\n\n') + '\n';
+    }
+}
+
+// Export for use in other modules
+window.SubtitleParser = SubtitleParser;
@@ -0,0 +1,234 @@
+/**
+ * Text Matcher - Accent folding, English stemming and edit-distance matching for search
+ * Shared by SearchIndex (terms are folded and stemmed), SearchQuery (fuzzy filters)
+ * and the comment lists (highlighting what a fuzzy query matched).
+ */
+class TextMatcher {
+    /**
+     * Letters that don't decompose into a base letter plus accents
+     */
+    static get SPECIAL_FOLDS() {
+        return { 'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'ł': 'l', 'đ': 'd', 'ð': 'd', 'þ': 'th', 'ı': 'i' };
+    }
+
+    /**
+     * Lowercase and strip diacritics ("Café" -> "cafe"), including full-width and ligature forms
+     */
+    static fold(text) {
+        if (!text) return '';
+        return String(text)
+            .normalize('NFKD')
+            .replace(/\p{M}+/gu, '')
+            .toLowerCase()
+            .replace(/[ßæœøłđðþı]/g, char => TextMatcher.SPECIAL_FOLDS[char]);
+    }
+
+    /**
+     * Fold text while remembering where each folded character came from,
+     * so matches found in folded text can be highlighted in the original
+     */
+    static foldWithOffsets(text) {
+        let folded = '';
+        const offsets = [];
+        let index = 0;
+        for (const char of String(text || '')) {
+            const foldedChar = TextMatcher.fold(char);
+            for (let i = 0; i < foldedChar.length; i++) {
+                offsets.push(index);
+            }
+            folded += foldedChar;
+            index += char.length;
+        }
+        offsets.push(index);
+        return { folded, offsets };
+    }
+
+    /**
+     * Words of a text with their positions in the original text
+     * Returns [{ word (folded), stem, start, end }]
+     */
+    static tokenize(text) {
+        const { folded, offsets } = TextMatcher.foldWithOffsets(text);
+        const tokens = [];
+        for (const match of folded.matchAll(/[\p{L}\p{N}]+/gu)) {
+            const word = match[0];
+            tokens.push({
+                word,
+                stem: TextMatcher.stem(word),
+                start: offsets[match.index],
+                end: offsets[match.index + word.length]
+            });
+        }
+        return tokens;
+    }
+
+    /**
+     * Light English stemmer (Porter-style suffix stripping) for folded lowercase words.
+     * It only has to map word forms to the same stem consistently, not produce real words.
+     */
+    static stem(word) {
+        if (word.length <= 3 || !/^[a-z]+$/.test(word)) return word;
+
+        const hasVowel = (stem) => /[aeiouy]/.test(stem);
+        let stem = word;
+
+        // Plurals
+        if (stem.endsWith('sses')) stem = stem.slice(0, -2);
+        else if (stem.endsWith('ies')) stem = stem.slice(0, -3) + 'i';
+        else if (stem.endsWith('s') && !/(ss|us|is)$/.test(stem)) stem = stem.slice(0, -1);
+
+        // Past tense and progressive forms
+        if (stem.endsWith('eed')) {
+            stem = stem.slice(0, -1);
+        } else {
+            const inflection = stem.match(/(ed|ing)$/);
+            if (inflection && hasVowel(stem.slice(0, -inflection[0].length)) && stem.length - inflection[0].length >= 3) {
+                stem = stem.slice(0, -inflection[0].length);
+                if (/(at|bl|iz)$/.test(stem)) {
+                    stem += 'e';
+                } else if (/([^aeiouylsz])\1$/.test(stem)) {
+                    stem = stem.slice(0, -1);
+                }
+            }
+        }
+
+        // Terminal y
+        if (stem.endsWith('y') && stem.length > 3 && hasVowel(stem.slice(0, -1))) {
+            stem = stem.slice(0, -1) + 'i';
+        }
+
+        // Derivational suffixes, longest first
+        const suffixes = [
+            ['ational', 'ate'], ['ization', 'ize'], ['fulness', 'ful'], ['ousness', 'ous'], ['iveness', 'ive'],
+            ['tional', 'tion'], ['biliti', 'ble'], ['alism', 'al'], ['ation', 'ate'], ['ator', 'ate'],
+            ['aliti', 'al'], ['iviti', 'ive'], ['ement', ''], ['ment', ''], ['ness', ''], ['ful', ''],
+            ['ousli', 'ous'], ['entli', 'ent'], ['alli', 'al'], ['li', '']
+        ];
+        for (const [suffix, replacement] of suffixes) {
+            if (stem.endsWith(suffix) && stem.length - suffix.length >= 3) {
+                stem = stem.slice(0, -suffix.length) + replacement;
+                break;
+            }
+        }
+
+        // Trailing e ("juice" and "juic-ing" meet at "juic")
+        if (stem.endsWith('e') && stem.length > 3) stem = stem.slice(0, -1);
+
+        return stem;
+    }
+
+    /**
+     * Edits tolerated for a word of this length: none for short words, then one, then two
+     */
+    static maxEdits(word) {
+        if (word.length < 4) return 0;
+        if (word.length < 8) return 1;
+        return 2;
+    }
+
+    /**
+     * Edit distance with adjacent transpositions, or max + 1 once it exceeds max
+     */
+    static editDistance(a, b, max) {
+        if (a === b) return 0;
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previousPrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousPrevious[j - 2] + 1);
+                }
+                current.push(value);
+                if (value < rowMin) rowMin = value;
+            }
+            if (rowMin > max) return max + 1;
+            previousPrevious = previous;
+            previous = current;
+        }
+        return Math.min(previous[b.length], max + 1);
+    }
+
+    /**
+     * Whether a text word matches a query word: same stem, or within the edit tolerance
+     */
+    static wordsMatch(token, queryToken) {
+        if (token.word === queryToken.word || token.stem === queryToken.stem) return true;
+        const max = TextMatcher.maxEdits(queryToken.word);
+        return max > 0 && (
+            TextMatcher.editDistance(token.word, queryToken.word, max) <= max ||
+            TextMatcher.editDistance(token.stem, queryToken.stem, max) <= max
+        );
+    }
+
+    /**
+     * Ranges of the original text matching a word or phrase.
+     * Exact mode finds accent-insensitive substrings; fuzzy mode finds runs of words that each
+     * match the phrase's words by stem or edit distance.
+     */
+    static findMatches(text, phrase, fuzzy = false) {
+        if (!text || !phrase) return [];
+
+        if (!fuzzy) {
+            const needle = TextMatcher.fold(phrase);
+            if (!needle) return [];
+            const { folded, offsets } = TextMatcher.foldWithOffsets(text);
+            const ranges = [];
+            let index = folded.indexOf(needle);
+            while (index !== -1) {
+                ranges.push({ start: offsets[index], end: offsets[index + needle.length] });
+                index = folded.indexOf(needle, index + needle.length);
+            }
+            return ranges;
+        }
+
+        const queryTokens = TextMatcher.tokenize(phrase);
+        if (queryTokens.length === 0) return [];
+        const tokens = TextMatcher.tokenize(text);
+        const ranges = [];
+        for (let i = 0; i + queryTokens.length <= tokens.length; i++) {
+            if (queryTokens.every((queryToken, j) => TextMatcher.wordsMatch(tokens[i + j], queryToken))) {
+                ranges.push({ start: tokens[i].start, end: tokens[i + queryTokens.length - 1].end });
+            }
+        }
+        return ranges;
+    }
+
+    /**
+     * Escape text and wrap the given ranges in <mark>, merging overlaps
+     */
+    static highlight(text, ranges, className = 'search-highlight') {
+        const escape = (value) => value.replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+        }[char]));
+        text = String(text || '');
+        if (!ranges || ranges.length === 0) return escape(text);
+
+        const merged = [];
+        [...ranges].sort((a, b) => a.start - b.start).forEach(range => {
+            const last = merged[merged.length - 1];
+            if (last && range.start <= last.end) {
+                last.end = Math.max(last.end, range.end);
+            } else {
+                merged.push({ ...range });
+            }
+        });
+
+        let html = '';
+        let position = 0;
+        merged.forEach(range => {
+            html += escape(text.slice(position, range.start));
+            html += `<mark class="${className}">${escape(text.slice(range.start, range.end))}</mark>`;
+            position = range.end;
+        });
+        return html + escape(text.slice(position));
+    }
+}
+
+// Export for use in other modules
+window.TextMatcher = TextMatcher;
@@ -3,12 +3,42 @@
  * Handles specialized analytics for UT content
  */
 class UTAnalytics {
+    /**
+     * Health topics and the keywords that put a comment in them
+     */
+    static get HEALTH_KEYWORDS() {
+        return {
+            skin_issues: ['skin', 'acne', 'eczema', 'psoriasis', 'rash', 'clear', 'glow', 'complexion'],
+            digestive: ['digestion', 'stomach', 'gut', 'bloating', 'ibs', 'constipation'],
+            energy: ['energy', 'fatigue', 'tired', 'vitality', 'stamina', 'strength'],
+            immune: ['immune', 'cold', 'flu', 'infection', 'illness', 'sick']
+        };
+    }
+
+    /**
+     * Health topics a comment text mentions
+     */
+    static getHealthTopics(text) {
+        const lowerText = (text || '').toLowerCase();
+        return Object.entries(UTAnalytics.HEALTH_KEYWORDS)
+            .filter(([, keywords]) => keywords.some(keyword => lowerText.includes(keyword)))
+            .map(([topic]) => topic);
+    }
+
     constructor(archiveDirectoryManager = null, dataManager = null) {
         this.analyticsData = null;
         this.initialized = false;
         this.filterCallback = null;
         this.archiveDirectoryManager = archiveDirectoryManager;
         this.dataManager = dataManager;
+        
+        // Top commenters (see generateCommenterLeaderboard)
+        this.leaderboard = null;
+        this.leaderboardSort = 'comments';
+        this.superfansOnly = false;
+        this.superfanThresholds = { minComments: 10, minPosts: 5, minStreak: 3 };
+        this.superfanThresholdsLoaded = false;
+        this.commenterCallback = null;
     }
 
     /**
@@ -18,6 +48,20 @@ class UTAnalytics {
         this.filterCallback = callback;
     }
 
+    /**
+     * Set callback function for opening a commenter's profile
+     */
+    setCommenterCallback(callback) {
+        this.commenterCallback = callback;
+    }
+
+    /**
+     * Title for a post without a caption, naming the archive's account
+     */
+    getDefaultPostTitle(videoId = null) {
+        return this.dataManager?.getDefaultPostTitle(videoId) || 'Instagram Post';
+    }
+
     /**
      * Load pre-computed UT analytics using File System Access API
      */
@@ -34,7 +78,7 @@ class UTAnalytics {
             }
             
             console.log('🔄 Step 2: Getting preindexed directory handle...');
-            const preindexedHandle = await this.archiveDirectoryManager.archiveHandle.getDirectoryHandle('jonno_otto_preindexed_data');
+            const preindexedHandle = await this.archiveDirectoryManager.getArchiveDirectory('preindexed');
             console.log('📁 Got preindexed directory handle');
             
             try {
@@ -206,11 +250,12 @@ class UTAnalytics {
             return;
         }
         
-        // Filter comments by video ID if specified (for single post view)
-        let comments = this.dataManager.comments;
+        // Filter comments by video ID if specified (for single post view), leaving out hidden spam
+        const allComments = this.dataManager.getAnalyticsComments();
+        let comments = allComments;
         if (videoId) {
-            comments = this.dataManager.comments.filter(comment => comment.video_id === videoId);
-            console.log(`📊 Analyzing ${comments.length} comments for video ${videoId} (filtered from ${this.dataManager.comments.length} total)`);
+            comments = allComments.filter(comment => comment.video_id === videoId);
+            console.log(`📊 Analyzing ${comments.length} comments for video ${videoId} (filtered from ${allComments.length} total)`);
         } else {
             console.log(`📊 Analyzing ${comments.length} comments (all videos)`);
         }
@@ -230,12 +275,7 @@ class UTAnalytics {
             lifestyle_integration: ['routine', 'daily', 'lifestyle', 'combine with', 'diet', 'exercise', 'schedule', 'habit']
         };
         
-        const healthKeywords = {
-            skin_issues: ['skin', 'acne', 'eczema', 'psoriasis', 'rash', 'clear', 'glow', 'complexion'],
-            digestive: ['digestion', 'stomach', 'gut', 'bloating', 'ibs', 'constipation'],
-            energy: ['energy', 'fatigue', 'tired', 'vitality', 'stamina', 'strength'],
-            immune: ['immune', 'cold', 'flu', 'infection', 'illness', 'sick']
-        };
+        const healthKeywords = UTAnalytics.HEALTH_KEYWORDS;
         
         // Initialize counters
         const analytics = {
@@ -271,7 +311,7 @@ class UTAnalytics {
                         analytics.sentiment[category].examples.push({
                             text: comment.text || comment.content,
                             author: author,
-                            video_title: comment.video_title || '@jonno.otto Instagram Post'
+                            video_title: comment.video_title || this.getDefaultPostTitle(comment.video_id)
                         });
                     }
                 }
@@ -285,7 +325,7 @@ class UTAnalytics {
                         analytics.engagement[category].examples.push({
                             text: comment.text || comment.content,
                             author: author,
-                            video_title: comment.video_title || '@jonno.otto Instagram Post'
+                            video_title: comment.video_title || this.getDefaultPostTitle(comment.video_id)
                         });
                     }
                 }
@@ -299,7 +339,7 @@ class UTAnalytics {
                         analytics.health_topics[category].examples.push({
                             text: comment.text || comment.content,
                             author: author,
-                            video_title: comment.video_title || '@jonno.otto Instagram Post'
+                            video_title: comment.video_title || this.getDefaultPostTitle(comment.video_id)
                         });
                     }
                 }
@@ -353,6 +393,155 @@ class UTAnalytics {
         });
     }
 
+    /**
+     * Rank everyone who commented, excluding the account owners: comments, distinct posts,
+     * streaks of consecutive posts commented on, and comments the owner replied to.
+     * Cached until the comments (or whether suspected spam is hidden) change.
+     */
+    generateCommenterLeaderboard(ownerHandles = new Set()) {
+        const comments = this.dataManager?.getAnalyticsComments() || [];
+        const handlesKey = Array.from(ownerHandles).sort().join(',');
+        if (this.leaderboard?.comments === comments && this.leaderboard.handlesKey === handlesKey) {
+            return this.leaderboard.rows;
+        }
+        
+        // Posts in publishing order, so a streak is a run of consecutive posts
+        const postOrder = new Map([...(this.dataManager?.videos || [])]
+            .sort((a, b) => new Date(a.published_at) - new Date(b.published_at))
+            .map((video, i) => [video.video_id, i]));
+        const lastPost = postOrder.size - 1;
+        const ownerReplies = this.dataManager?.getOwnerReplies(ownerHandles) || new Map();
+        
+        const commenters = new Map();
+        comments.forEach(comment => {
+            const author = comment.author || comment.username;
+            if (!author || ownerHandles.has(author)) return;
+            
+            let commenter = commenters.get(author);
+            if (!commenter) {
+                commenter = { author, comments: 0, posts: new Set(), ownerReplies: 0, firstSeen: null, lastSeen: null };
+                commenters.set(author, commenter);
+            }
+            
+            commenter.comments++;
+            if (postOrder.has(comment.video_id)) commenter.posts.add(postOrder.get(comment.video_id));
+            if (ownerReplies.has(comment.comment_id)) commenter.ownerReplies++;
+            
+            const date = new Date(comment.published_at);
+            if (!isNaN(date.getTime())) {
+                if (!commenter.firstSeen || date < commenter.firstSeen) commenter.firstSeen = date;
+                if (!commenter.lastSeen || date > commenter.lastSeen) commenter.lastSeen = date;
+            }
+        });
+        
+        const rows = Array.from(commenters.values()).map(commenter => {
+            const posts = Array.from(commenter.posts).sort((a, b) => a - b);
+            let longestStreak = 0;
+            let run = 0;
+            posts.forEach((post, i) => {
+                run = i > 0 && post === posts[i - 1] + 1 ? run + 1 : 1;
+                longestStreak = Math.max(longestStreak, run);
+            });
+            // Only a run that reaches the newest post is still going
+            const currentStreak = posts[posts.length - 1] === lastPost ? run : 0;
+            
+            return {
+                author: commenter.author,
+                comments: commenter.comments,
+                posts: commenter.posts.size,
+                longestStreak,
+                currentStreak,
+                ownerReplies: commenter.ownerReplies,
+                firstSeen: commenter.firstSeen,
+                lastSeen: commenter.lastSeen
+            };
+        });
+        
+        this.leaderboard = { comments, handlesKey, rows };
+        console.log(`🏆 Ranked ${rows.length.toLocaleString()} commenters`);
+        return rows;
+    }
+
+    /**
+     * Whether a commenter meets every superfan threshold
+     */
+    isSuperfan(row, thresholds = this.superfanThresholds) {
+        return row.comments >= thresholds.minComments &&
+            row.posts >= thresholds.minPosts &&
+            row.longestStreak >= thresholds.minStreak;
+    }
+
+    /**
+     * Leaderboard rows in the chosen order, optionally superfans only
+     */
+    getRankedCommenters(ownerHandles) {
+        const sortKeys = {
+            comments: ['comments', 'posts'],
+            posts: ['posts', 'comments'],
+            streak: ['longestStreak', 'comments'],
+            replies: ['ownerReplies', 'comments']
+        };
+        const [primary, secondary] = sortKeys[this.leaderboardSort] || sortKeys.comments;
+        
+        return this.generateCommenterLeaderboard(ownerHandles)
+            .filter(row => !this.superfansOnly || this.isSuperfan(row))
+            .sort((a, b) => b[primary] - a[primary] || b[secondary] - a[secondary] || a.author.localeCompare(b.author));
+    }
+
+    /**
+     * Use saved superfan thresholds, if any
+     */
+    async loadSuperfanThresholds() {
+        if (this.superfanThresholdsLoaded) return;
+        this.superfanThresholdsLoaded = true;
+        try {
+            const saved = await this.dataManager?.getSetting('superfanThresholds');
+            if (saved) {
+                this.superfanThresholds = { ...this.superfanThresholds, ...saved };
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not load superfan thresholds:', error);
+        }
+    }
+
+    /**
+     * Change and remember the superfan thresholds
+     */
+    async setSuperfanThresholds(thresholds) {
+        this.superfanThresholds = { ...this.superfanThresholds, ...thresholds };
+        try {
+            await this.dataManager?.saveSetting('superfanThresholds', this.superfanThresholds);
+        } catch (error) {
+            console.warn('⚠️ Could not save superfan thresholds:', error);
+        }
+    }
+
+    /**
+     * Download the ranked commenters (in the current order and filter) as CSV
+     */
+    downloadLeaderboardCSV(exportService, ownerHandles) {
+        const rows = this.getRankedCommenters(ownerHandles);
+        const formatDate = (date) => date ? date.toISOString().substring(0, 10) : '';
+        const csv = exportService.createCSV([
+            ['rank', 'username', 'comments', 'distinct_posts', 'longest_streak', 'current_streak', 'owner_replies', 'superfan', 'first_seen', 'last_seen'],
+            ...rows.map((row, i) => [
+                i + 1,
+                row.author,
+                row.comments,
+                row.posts,
+                row.longestStreak,
+                row.currentStreak,
+                row.ownerReplies,
+                this.isSuperfan(row) ? 'yes' : 'no',
+                formatDate(row.firstSeen),
+                formatDate(row.lastSeen)
+            ])
+        ]);
+        
+        const filename = `top-commenters-${new Date().toISOString().substring(0, 10)}.csv`;
+        exportService.downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), filename);
+    }
+
     /**
      * Render sentiment analysis in the analytics tab
      */
@@ -390,7 +579,7 @@ class UTAnalytics {
                                             <i>"${data.examples[0].text}..."</i> - @${data.examples[0].author}
                                         </small>
                                         <small class="text-muted d-block" style="font-size: 0.75rem;">
-                                            <i class="bi bi-camera me-1"></i>${data.examples[0].video_title || '@jonno.otto Instagram Post'}
+                                            <i class="bi bi-camera me-1"></i>${data.examples[0].video_title || this.getDefaultPostTitle()}
                                         </small>
                                     ` : ''}
                                     <small class="text-primary d-block mt-1">
@@ -445,7 +634,7 @@ class UTAnalytics {
                                                     <small class="text-muted">@${ex.author}:</small>
                                                     <small class="d-block">"${ex.text}..."</small>
                                                     <small class="text-muted d-block mt-1" style="font-size: 0.7rem;">
-                                                        <i class="bi bi-camera me-1"></i>${ex.video_title || '@jonno.otto Instagram Post'}
+                                                        <i class="bi bi-camera me-1"></i>${ex.video_title || this.getDefaultPostTitle()}
                                                     </small>
                                                 </div>
                                             `).join('')}
@@ -510,7 +699,7 @@ class UTAnalytics {
                             <div class="example-quote p-2 bg-light rounded">
                                 <small>"${data.examples[0].text}..." - @${data.examples[0].author}</small>
                                 <small class="text-muted d-block mt-1" style="font-size: 0.7rem;">
-                                    <i class="bi bi-camera me-1"></i>${data.examples[0].video_title || '@jonno.otto Instagram Post'}
+                                    <i class="bi bi-camera me-1"></i>${data.examples[0].video_title || this.getDefaultPostTitle()}
                                 </small>
                             </div>
                         ` : ''}
@@ -562,6 +751,112 @@ class UTAnalytics {
         container.innerHTML = html;
     }
 
+    /**
+     * Render the top commenters leaderboard with superfan thresholds and CSV export
+     */
+    renderCommenterLeaderboard(container, exportService, ownerHandles) {
+        const maxRows = 100;
+        const allRows = this.generateCommenterLeaderboard(ownerHandles);
+        const rows = this.getRankedCommenters(ownerHandles);
+        const superfanCount = allRows.filter(row => this.isSuperfan(row)).length;
+        const thresholds = this.superfanThresholds;
+        
+        const html = `
+            <div class="commenter-leaderboard">
+                <div class="leaderboard-controls d-flex flex-wrap align-items-end gap-3 mb-3">
+                    <div>
+                        <label class="form-label small mb-1" for="leaderboardSort">Rank by</label>
+                        <select id="leaderboardSort" class="form-select form-select-sm">
+                            <option value="comments" ${this.leaderboardSort === 'comments' ? 'selected' : ''}>Comments</option>
+                            <option value="posts" ${this.leaderboardSort === 'posts' ? 'selected' : ''}>Distinct posts</option>
+                            <option value="streak" ${this.leaderboardSort === 'streak' ? 'selected' : ''}>Longest streak</option>
+                            <option value="replies" ${this.leaderboardSort === 'replies' ? 'selected' : ''}>Replies received</option>
+                        </select>
+                    </div>
+                    <div class="leaderboard-thresholds">
+                        <span class="form-label small d-block mb-1">⭐ Superfan: at least</span>
+                        <div class="d-flex align-items-center gap-1 small">
+                            <input type="number" min="1" class="form-control form-control-sm" data-threshold="minComments" value="${thresholds.minComments}"> comments,
+                            <input type="number" min="1" class="form-control form-control-sm" data-threshold="minPosts" value="${thresholds.minPosts}"> posts,
+                            <input type="number" min="1" class="form-control form-control-sm" data-threshold="minStreak" value="${thresholds.minStreak}"> in a row
+                        </div>
+                    </div>
+                    <div class="form-check mb-1">
+                        <input class="form-check-input" type="checkbox" id="leaderboardSuperfansOnly" ${this.superfansOnly ? 'checked' : ''}>
+                        <label class="form-check-label small" for="leaderboardSuperfansOnly">Superfans only (${superfanCount})</label>
+                    </div>
+                    <button type="button" class="btn btn-sm btn-outline-primary ms-auto leaderboard-export">
+                        <i class="bi bi-filetype-csv me-1"></i>Export CSV
+                    </button>
+                </div>
+                
+                ${rows.length === 0 ? '<div class="text-muted">No commenters match</div>' : `
+                    <table class="table table-sm table-hover align-middle leaderboard-table">
+                        <thead>
+                            <tr>
+                                <th>#</th>
+                                <th>Commenter</th>
+                                <th class="text-end">Comments</th>
+                                <th class="text-end">Posts</th>
+                                <th class="text-end" title="Longest run of consecutive posts commented on (current run)">Streak</th>
+                                <th class="text-end" title="Comments the account owner replied to">Replies</th>
+                                <th>Last seen</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.slice(0, maxRows).map((row, i) => `
+                                <tr class="leaderboard-row" data-author="${this.escapeHTML(row.author)}">
+                                    <td class="text-muted">${i + 1}</td>
+                                    <td>
+                                        @${this.escapeHTML(row.author)}
+                                        ${this.isSuperfan(row) ? '<span class="badge bg-warning text-dark ms-1">⭐ Superfan</span>' : ''}
+                                    </td>
+                                    <td class="text-end">${row.comments.toLocaleString()}</td>
+                                    <td class="text-end">${row.posts.toLocaleString()}</td>
+                                    <td class="text-end">${row.longestStreak}${row.currentStreak ? ` <small class="text-success">(${row.currentStreak} now)</small>` : ''}</td>
+                                    <td class="text-end">${row.ownerReplies.toLocaleString()}</td>
+                                    <td><small class="text-muted">${row.lastSeen ? row.lastSeen.toLocaleDateString() : ''}</small></td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    ${rows.length > maxRows ? `<small class="text-muted">Top ${maxRows} of ${rows.length.toLocaleString()} shown - export the CSV for the full list</small>` : ''}
+                `}
+            </div>
+        `;
+        
+        container.innerHTML = html;
+        
+        const rerender = () => this.renderCommenterLeaderboard(container, exportService, ownerHandles);
+        container.querySelector('#leaderboardSort').addEventListener('change', (e) => {
+            this.leaderboardSort = e.target.value;
+            rerender();
+        });
+        container.querySelector('#leaderboardSuperfansOnly').addEventListener('change', (e) => {
+            this.superfansOnly = e.target.checked;
+            rerender();
+        });
+        container.querySelectorAll('[data-threshold]').forEach(input => {
+            input.addEventListener('change', async () => {
+                const value = parseInt(input.value, 10);
+                if (!(value >= 1)) {
+                    input.value = this.superfanThresholds[input.dataset.threshold];
+                    return;
+                }
+                await this.setSuperfanThresholds({ [input.dataset.threshold]: value });
+                rerender();
+            });
+        });
+        container.querySelector('.leaderboard-export').addEventListener('click', () => {
+            this.downloadLeaderboardCSV(exportService, ownerHandles);
+        });
+        container.querySelectorAll('.leaderboard-row').forEach(row => {
+            row.addEventListener('click', () => {
+                this.commenterCallback?.(row.dataset.author);
+            });
+        });
+    }
+
     /**
      * Attach click handlers to analytics items
      */
@@ -615,6 +910,12 @@ class UTAnalytics {
         return icons[topic] || '💊';
     }
 
+    escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     formatEngagementType(type) {
         return type.split('_').map(word => 
             word.charAt(0).toUpperCase() + word.slice(1)
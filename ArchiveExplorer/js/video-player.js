@@ -22,6 +22,13 @@ class VideoPlayer {
         this.imageElement = null;
         this.carouselControls = null;
         this.mediaIndicators = null;
+        this.currentMediaUrl = null;
+        this.carouselImageDuration = 5000; // How long a carousel image shows during playback
+        this.carouselAdvanceTimer = null;
+        
+        // Sidecar transcripts shown as text tracks
+        this.captionsEnabled = false;
+        this.textTrackUrls = [];
         
         // Custom control elements
         this.customControls = document.getElementById('customControls');
@@ -32,6 +39,7 @@ class VideoPlayer {
         this.muteBtn = document.getElementById('muteBtn');
         this.volumeSlider = document.getElementById('volumeSlider');
         this.fullscreenBtn = document.getElementById('fullscreenBtn');
+        this.captionsBtn = document.getElementById('captionsBtn');
         
         console.log('🎥 VideoPlayer v4.0 initialized (YouTube + Local + Instagram support)');
         this.setupEventListeners();
@@ -76,6 +84,11 @@ class VideoPlayer {
             this.isPlaying = false;
             this.showPlayOverlay();
             this.updatePlayPauseIcon();
+            
+            // Carousels keep playing through their remaining items
+            if (this.currentPlayerType === 'instagram') {
+                this.advanceCarousel();
+            }
         });
 
         // Play overlay click handler
@@ -248,6 +261,11 @@ class VideoPlayer {
         this.fullscreenBtn?.addEventListener('click', () => {
             this.toggleFullscreen();
         });
+
+        // Captions button (only shown when the video has a transcript)
+        this.captionsBtn?.addEventListener('click', () => {
+            this.toggleCaptions();
+        });
     }
 
     /**
@@ -970,15 +988,18 @@ class VideoPlayer {
      * Load Instagram media (images or videos)
      */
     async loadInstagramMedia(videoData, dataManager) {
+        // Posts from several loaded accounts each keep their media in their own archive
+        const directoryManager = dataManager.getDirectoryManagerForVideo?.(videoData) || this.instagramDirectoryManager;
+        
         // Determine media files based on data source
-        if (dataManager.dataSource === 'instagram' && videoData.shortcode && this.instagramDirectoryManager) {
-            // For Instagram archive mode, create a single media item
-            const mediaFile = this.instagramDirectoryManager.mediaFiles.get(videoData.shortcode);
-            if (mediaFile) {
-                this.mediaFiles = [{
-                    filename: mediaFile.filename,
-                    type: mediaFile.type
-                }];
+        if (dataManager.dataSource === 'instagram' && videoData.shortcode && directoryManager) {
+            // For Instagram archive mode, one media item per carousel entry in order
+            const mediaItems = directoryManager.getMediaItems(videoData.shortcode);
+            if (mediaItems.length > 0) {
+                this.mediaFiles = mediaItems.map(item => ({
+                    filename: item.name,
+                    type: item.type
+                }));
             } else {
                 // No media file found for this shortcode
                 this.mediaFiles = [];
@@ -1002,9 +1023,9 @@ class VideoPlayer {
         // Update UI for Instagram content
         this.updateInstagramUI();
         
-        // Load first media item if available
+        // Load first media item if available; a carousel opening on an image starts advancing right away
         if (this.mediaFiles.length > 0) {
-            await this.loadMediaAtIndex(0, dataManager);
+            await this.loadMediaAtIndex(0, dataManager, { advanceImage: this.mediaFiles.length > 1 });
         } else {
             // Show error if no media available
             this.showError('No media files available for this post');
@@ -1082,33 +1103,43 @@ class VideoPlayer {
     }
     
     /**
-     * Load media at specific index
+     * Load media at specific index (options.autoplay plays it as part of the carousel,
+     * options.advanceImage only moves on from an image after carouselImageDuration)
      */
-    async loadMediaAtIndex(index, dataManager) {
+    async loadMediaAtIndex(index, dataManager, options = {}) {
         const media = this.mediaFiles[index];
         if (!media) return;
         
+        clearTimeout(this.carouselAdvanceTimer);
         this.currentMediaIndex = index;
         this.updateMediaIndicators();
         this.updateMediaCounter();
+        this.clearTextTracks();
         
         try {
             let mediaUrl;
+            const directoryManager = dataManager.getDirectoryManagerForVideo?.(this.currentVideo) || this.instagramDirectoryManager;
             
             // Get media URL based on data source
-            if (this.instagramDirectoryManager && dataManager.dataSource === 'instagram') {
+            if (directoryManager && dataManager.dataSource === 'instagram') {
                 // Use DirectoryManager to get media URL
-                mediaUrl = await this.instagramDirectoryManager.getFileURL(this.currentVideo.shortcode);
-                const mediaInfo = this.instagramDirectoryManager.mediaFiles.get(this.currentVideo.shortcode);
-                console.log(`📸 Loaded Instagram ${mediaInfo?.type || 'media'} from DirectoryManager: ${mediaInfo?.name || 'unknown'}`);
+                mediaUrl = await directoryManager.getFileURL(this.currentVideo.shortcode, index);
+                console.log(`📸 Loaded Instagram ${media.type || 'media'} ${index + 1}/${this.mediaFiles.length} from DirectoryManager: ${media.filename || 'unknown'}`);
             } else {
                 // Fallback to traditional path construction
                 mediaUrl = `instadata/posts/${media.filename}`;
                 console.log(`📸 Using traditional path: ${mediaUrl}`);
             }
             
+            // Release the previous carousel item's blob URL
+            this.releaseMediaUrl();
+            if (mediaUrl?.startsWith('blob:')) {
+                this.currentMediaUrl = mediaUrl;
+            }
+            
             if (media.type && media.type.startsWith('image/')) {
                 // Show image, hide video
+                this.videoElement.pause();
                 this.videoElement.style.display = 'none';
                 this.imageElement.style.display = 'block';
                 this.customControls.style.display = 'none';
@@ -1126,6 +1157,10 @@ class VideoPlayer {
                 
                 this.imageElement.src = mediaUrl;
                 this.imageElement.alt = this.currentVideo.title;
+                
+                if (options.autoplay || options.advanceImage) {
+                    this.carouselAdvanceTimer = setTimeout(() => this.advanceCarousel(), this.carouselImageDuration);
+                }
             } else if (media.type && media.type.startsWith('video/')) {
                 // Show video, hide image
                 this.imageElement.style.display = 'none';
@@ -1135,6 +1170,11 @@ class VideoPlayer {
                 // Load video
                 this.videoElement.src = mediaUrl;
                 console.log(`🎥 Instagram video loaded: ${media.filename}`);
+                await this.loadTextTracks(dataManager, index);
+                
+                if (options.autoplay) {
+                    this.play()?.catch(e => console.log('Carousel autoplay failed:', e));
+                }
             }
         } catch (error) {
             console.error('Failed to load Instagram media:', error);
@@ -1145,6 +1185,112 @@ class VideoPlayer {
         this.updateNavigationButtons();
     }
     
+    /**
+     * Attach a media item's .vtt/.srt sidecars as subtitle tracks
+     */
+    async loadTextTracks(dataManager, index) {
+        if (!dataManager?.getTranscripts || !this.currentVideo) return;
+        
+        const videoId = this.currentVideo.video_id;
+        const transcripts = (await dataManager.getTranscripts(videoId))
+            .filter(transcript => transcript.mediaIndex === index && transcript.cues.length > 0);
+        
+        // Another post or carousel item may have loaded meanwhile
+        if (this.currentVideo?.video_id !== videoId || this.currentMediaIndex !== index) return;
+        
+        transcripts.forEach(transcript => {
+            // <track> only accepts WebVTT, so every sidecar is served as converted WebVTT
+            const url = URL.createObjectURL(new Blob([SubtitleParser.toWebVTT(transcript.cues)], { type: 'text/vtt' }));
+            this.textTrackUrls.push(url);
+            
+            const track = document.createElement('track');
+            track.kind = 'subtitles';
+            track.label = transcript.label;
+            if (transcript.language) track.srclang = transcript.language;
+            track.src = url;
+            this.videoElement.appendChild(track);
+        });
+        
+        if (transcripts.length > 0) {
+            console.log(`💬 Attached ${transcripts.length} transcript track(s) to ${this.currentVideo.shortcode || videoId}`);
+        }
+        this.updateCaptions();
+    }
+    
+    /**
+     * Remove the current video's subtitle tracks
+     */
+    clearTextTracks() {
+        this.videoElement.querySelectorAll('track').forEach(track => track.remove());
+        this.textTrackUrls.forEach(url => URL.revokeObjectURL(url));
+        this.textTrackUrls = [];
+        this.updateCaptions();
+    }
+    
+    /**
+     * Show the first subtitle track when captions are on, and the button only when there is one
+     */
+    updateCaptions() {
+        const tracks = Array.from(this.videoElement.textTracks || []);
+        tracks.forEach((track, i) => {
+            track.mode = this.captionsEnabled && i === 0 ? 'showing' : 'hidden';
+        });
+        
+        if (this.captionsBtn) {
+            this.captionsBtn.style.display = tracks.length > 0 ? '' : 'none';
+            this.captionsBtn.classList.toggle('active', this.captionsEnabled);
+            this.captionsBtn.title = this.captionsEnabled ? 'Hide captions' : 'Show captions';
+        }
+    }
+    
+    /**
+     * Turn captions on or off - the choice carries over to the next video
+     */
+    toggleCaptions() {
+        this.captionsEnabled = !this.captionsEnabled;
+        this.updateCaptions();
+    }
+    
+    /**
+     * Jump to a time in a carousel item's video and play from there (e.g. a transcript cue)
+     */
+    async seekToMedia(index, seconds) {
+        if (this.currentPlayerType === 'instagram' && index !== this.currentMediaIndex) {
+            await this.loadMediaAtIndex(index, window.app?.dataManager);
+        }
+        
+        const seek = () => {
+            this.videoElement.currentTime = seconds;
+            this.play()?.catch(e => console.log('Play after transcript seek failed:', e));
+        };
+        
+        // A freshly loaded video can only seek once its metadata is in
+        if (this.videoElement.readyState >= 1) {
+            seek();
+        } else {
+            this.videoElement.addEventListener('loadedmetadata', seek, { once: true });
+        }
+    }
+    
+    /**
+     * Move to the next carousel item during playback, stopping after the last one
+     */
+    advanceCarousel() {
+        if (this.currentMediaIndex < this.mediaFiles.length - 1) {
+            this.loadMediaAtIndex(this.currentMediaIndex + 1, window.app?.dataManager, { autoplay: true });
+        }
+    }
+    
+    /**
+     * Revoke the blob URL of the media item being replaced
+     */
+    releaseMediaUrl() {
+        if (this.currentMediaUrl) {
+            URL.revokeObjectURL(this.currentMediaUrl);
+            this.currentMediaUrl = null;
+        }
+    }
+    
     /**
      * Navigate to previous media
      */
@@ -1219,14 +1365,17 @@ class VideoPlayer {
      * Reset media state
      */
     resetMedia() {
+        clearTimeout(this.carouselAdvanceTimer);
         this.currentMediaIndex = 0;
         this.mediaFiles = [];
+        this.clearTextTracks();
         
         // Hide Instagram elements
         if (this.imageElement) {
             this.imageElement.style.display = 'none';
             this.imageElement.src = '';
         }
+        this.releaseMediaUrl();
         
         if (this.carouselControls) {
             this.carouselControls.style.display = 'none';
@@ -0,0 +1,100 @@
+/**
+ * Virtual Directory Handle - An in-memory folder tree that mimics FileSystemDirectoryHandle
+ * Lets archives opened from a zip or a plain file list go through ArchiveDirectoryManager unchanged
+ */
+class VirtualDirectoryHandle {
+    constructor(name, sourceKey, path = '') {
+        this.kind = 'directory';
+        this.name = name;
+        this.sourceKey = sourceKey; // Identifies the zip or file list the tree was built from
+        this.path = path;
+        this.children = new Map();
+    }
+
+    /**
+     * Add a file handle at a slash-separated path, creating intermediate folders
+     */
+    addFile(path, fileHandle) {
+        const segments = path.split('/').filter(Boolean);
+        const fileName = segments.pop();
+        if (!fileName) return;
+
+        let directory = this;
+        for (const segment of segments) {
+            let child = directory.children.get(segment);
+            if (!child) {
+                child = new VirtualDirectoryHandle(segment, this.sourceKey, directory.path ? `${directory.path}/${segment}` : segment);
+                directory.children.set(segment, child);
+            } else if (child.kind !== 'directory') {
+                // A file and a folder with the same name - keep the folder
+                console.warn(`⚠️ "${child.name}" is both a file and a folder in ${this.name}`);
+                child = new VirtualDirectoryHandle(segment, this.sourceKey, directory.path ? `${directory.path}/${segment}` : segment);
+                directory.children.set(segment, child);
+            }
+            directory = child;
+        }
+
+        directory.children.set(fileName, fileHandle);
+    }
+
+    /**
+     * Get a child folder, throwing like the File System Access API when it is missing
+     */
+    async getDirectoryHandle(name) {
+        return this.getChild(name, 'directory');
+    }
+
+    /**
+     * Get a child file, throwing like the File System Access API when it is missing
+     */
+    async getFileHandle(name) {
+        return this.getChild(name, 'file');
+    }
+
+    /**
+     * Look up a child of the expected kind
+     */
+    getChild(name, kind) {
+        const child = this.children.get(name);
+        if (!child) {
+            throw new DOMException(`"${name}" was not found in ${this.name}`, 'NotFoundError');
+        }
+        if (child.kind !== kind) {
+            throw new DOMException(`"${name}" is not a ${kind}`, 'TypeMismatchError');
+        }
+        return child;
+    }
+
+    /**
+     * Iterate [name, handle] pairs
+     */
+    async *entries() {
+        yield* this.children.entries();
+    }
+
+    /**
+     * Iterate child names
+     */
+    async *keys() {
+        yield* this.children.keys();
+    }
+
+    /**
+     * Iterate child handles
+     */
+    async *values() {
+        yield* this.children.values();
+    }
+
+    /**
+     * Same folder of the same source, even when the tree was rebuilt
+     */
+    async isSameEntry(other) {
+        return other instanceof VirtualDirectoryHandle &&
+            other.sourceKey === this.sourceKey &&
+            other.path === this.path;
+    }
+}
+
+// Export for use in other modules
+window.VirtualDirectoryHandle = VirtualDirectoryHandle;
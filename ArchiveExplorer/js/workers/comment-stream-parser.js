@@ -0,0 +1,246 @@
+/**
+ * Comment Stream Parser - Web Worker that streams instagram-comments.json off the main thread
+ * Emits byte-level progress and each shortcode's comments as soon as its array has been read
+ */
+
+// Minimum number of bytes between progress messages
+const PROGRESS_INTERVAL_BYTES = 2 * 1024 * 1024;
+
+const CHAR = {
+    QUOTE: 34,
+    BACKSLASH: 92,
+    COMMA: 44,
+    COLON: 58,
+    OPEN_BRACE: 123,
+    CLOSE_BRACE: 125,
+    OPEN_BRACKET: 91,
+    CLOSE_BRACKET: 93
+};
+
+/**
+ * Incremental scanner for a top-level `{ "shortcode": [...], ... }` JSON object.
+ * Only one entry is held in memory at a time; each value is handed to JSON.parse once complete.
+ */
+class CommentStreamParser {
+    constructor(onEntry) {
+        this.onEntry = onEntry;
+        this.state = 'beforeObject';
+        this.parts = [];
+        this.currentKey = null;
+        this.depth = 0;
+        this.inString = false;
+        this.escaped = false;
+    }
+
+    /**
+     * Feed the next decoded chunk of text into the scanner
+     */
+    push(chunk) {
+        let tokenStart = 0;
+        let i = 0;
+
+        while (i < chunk.length) {
+            const code = chunk.charCodeAt(i);
+
+            switch (this.state) {
+                case 'beforeObject':
+                    if (code === CHAR.OPEN_BRACE) {
+                        this.state = 'expectKey';
+                    } else if (!this.isWhitespace(code)) {
+                        throw new Error('Comments file must contain a JSON object keyed by shortcode');
+                    }
+                    break;
+
+                case 'expectKey':
+                    if (code === CHAR.QUOTE) {
+                        this.state = 'inKey';
+                        tokenStart = i;
+                        this.escaped = false;
+                    } else if (code === CHAR.CLOSE_BRACE) {
+                        this.state = 'done';
+                    } else if (!this.isWhitespace(code)) {
+                        throw new Error(`Unexpected character '${chunk[i]}' while reading a shortcode`);
+                    }
+                    break;
+
+                case 'inKey':
+                    if (this.escaped) {
+                        this.escaped = false;
+                    } else if (code === CHAR.BACKSLASH) {
+                        this.escaped = true;
+                    } else if (code === CHAR.QUOTE) {
+                        this.currentKey = JSON.parse(this.takeToken(chunk, tokenStart, i + 1));
+                        this.state = 'expectColon';
+                    }
+                    break;
+
+                case 'expectColon':
+                    if (code === CHAR.COLON) {
+                        this.state = 'expectValue';
+                    } else if (!this.isWhitespace(code)) {
+                        throw new Error(`Expected ':' after shortcode "${this.currentKey}"`);
+                    }
+                    break;
+
+                case 'expectValue':
+                    if (this.isWhitespace(code)) break;
+                    tokenStart = i;
+                    this.escaped = false;
+                    if (code === CHAR.OPEN_BRACKET || code === CHAR.OPEN_BRACE) {
+                        this.state = 'inValue';
+                        this.depth = 1;
+                        this.inString = false;
+                    } else if (code === CHAR.QUOTE) {
+                        this.state = 'inValue';
+                        this.depth = 0;
+                        this.inString = true;
+                    } else {
+                        this.state = 'inScalar';
+                    }
+                    break;
+
+                case 'inValue':
+                    if (this.inString) {
+                        if (this.escaped) {
+                            this.escaped = false;
+                        } else if (code === CHAR.BACKSLASH) {
+                            this.escaped = true;
+                        } else if (code === CHAR.QUOTE) {
+                            this.inString = false;
+                            if (this.depth === 0) {
+                                this.emit(this.takeToken(chunk, tokenStart, i + 1));
+                            }
+                        }
+                    } else if (code === CHAR.QUOTE) {
+                        this.inString = true;
+                    } else if (code === CHAR.OPEN_BRACKET || code === CHAR.OPEN_BRACE) {
+                        this.depth++;
+                    } else if (code === CHAR.CLOSE_BRACKET || code === CHAR.CLOSE_BRACE) {
+                        this.depth--;
+                        if (this.depth === 0) {
+                            this.emit(this.takeToken(chunk, tokenStart, i + 1));
+                        }
+                    }
+                    break;
+
+                case 'inScalar':
+                    if (code === CHAR.COMMA || code === CHAR.CLOSE_BRACE || this.isWhitespace(code)) {
+                        this.emit(this.takeToken(chunk, tokenStart, i));
+                        // Re-read the terminator in the afterValue state
+                        continue;
+                    }
+                    break;
+
+                case 'afterValue':
+                    if (code === CHAR.COMMA) {
+                        this.state = 'expectKey';
+                    } else if (code === CHAR.CLOSE_BRACE) {
+                        this.state = 'done';
+                    } else if (!this.isWhitespace(code)) {
+                        throw new Error(`Unexpected character '${chunk[i]}' after shortcode "${this.currentKey}"`);
+                    }
+                    break;
+
+                case 'done':
+                    if (!this.isWhitespace(code)) {
+                        throw new Error('Unexpected content after the end of the comments object');
+                    }
+                    break;
+            }
+
+            i++;
+        }
+
+        // Carry any partially read key or value over to the next chunk
+        if (this.state === 'inKey' || this.state === 'inValue' || this.state === 'inScalar') {
+            this.parts.push(chunk.slice(tokenStart));
+        }
+    }
+
+    /**
+     * Verify the object was closed once the stream has ended
+     */
+    finish() {
+        if (this.state !== 'done') {
+            throw new Error('Comments file ended unexpectedly (truncated JSON)');
+        }
+    }
+
+    /**
+     * Join carried-over parts with the current slice and reset the carry buffer
+     */
+    takeToken(chunk, start, end) {
+        const slice = chunk.slice(start, end);
+        if (this.parts.length === 0) return slice;
+
+        this.parts.push(slice);
+        const token = this.parts.join('');
+        this.parts = [];
+        return token;
+    }
+
+    /**
+     * Parse a completed value and hand it to the entry callback
+     */
+    emit(valueText) {
+        this.parts = [];
+        this.state = 'afterValue';
+        this.onEntry(this.currentKey, JSON.parse(valueText));
+    }
+
+    /**
+     * JSON whitespace check
+     */
+    isWhitespace(code) {
+        return code === 32 || code === 10 || code === 13 || code === 9;
+    }
+}
+
+/**
+ * Stream the file, posting progress and per-shortcode results back to the main thread
+ */
+async function parseCommentsFile(file) {
+    const total = file.size;
+    const reader = file.stream().getReader();
+    const decoder = new TextDecoder('utf-8');
+    let loaded = 0;
+    let lastReported = 0;
+    let totalShortcodes = 0;
+    let totalComments = 0;
+
+    const parser = new CommentStreamParser((shortcode, comments) => {
+        const list = Array.isArray(comments) ? comments : [];
+        totalShortcodes++;
+        totalComments += list.length;
+        self.postMessage({ type: 'shortcode', shortcode, comments: list });
+    });
+
+    self.postMessage({ type: 'progress', loaded: 0, total });
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        loaded += value.byteLength;
+        parser.push(decoder.decode(value, { stream: true }));
+
+        if (loaded - lastReported >= PROGRESS_INTERVAL_BYTES) {
+            lastReported = loaded;
+            self.postMessage({ type: 'progress', loaded, total });
+        }
+    }
+
+    parser.push(decoder.decode());
+    parser.finish();
+
+    self.postMessage({ type: 'progress', loaded: total, total });
+    self.postMessage({ type: 'complete', totalShortcodes, totalComments });
+}
+
+self.onmessage = async (event) => {
+    try {
+        await parseCommentsFile(event.data.file);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,22 @@
+/**
+ * Duplicate Clusterer - Web Worker that groups near-identical comment texts off the main thread
+ * Receives the comment texts and posts back clusters of text numbers (see DuplicateDetector).
+ */
+
+// The scripts export themselves on window, which workers don't have
+self.window = self;
+importScripts('../text-matcher.js', '../duplicate-detector.js');
+
+self.onmessage = (event) => {
+    try {
+        const { texts, options } = event.data;
+
+        const clusters = DuplicateDetector.cluster(texts, options, (processed, total) => {
+            self.postMessage({ type: 'progress', processed, total });
+        });
+
+        self.postMessage({ type: 'complete', clusters });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
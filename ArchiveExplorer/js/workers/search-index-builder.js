@@ -0,0 +1,28 @@
+/**
+ * Search Index Builder - Web Worker that builds the inverted search index off the main thread
+ * Receives parallel arrays of document texts and authors, and posts back the index data
+ * with its typed arrays transferred rather than copied.
+ */
+
+// The scripts export themselves on window, which workers don't have
+self.window = self;
+importScripts('../text-matcher.js', '../search-index.js');
+
+self.onmessage = (event) => {
+    try {
+        const { texts, authors, commentDocCount } = event.data;
+
+        const data = SearchIndex.build(texts, authors, commentDocCount, (processed, total) => {
+            self.postMessage({ type: 'progress', processed, total });
+        });
+
+        self.postMessage({ type: 'complete', data }, [
+            data.termOffsets.buffer,
+            data.postings.buffer,
+            data.frequencies.buffer,
+            data.docLengths.buffer
+        ]);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
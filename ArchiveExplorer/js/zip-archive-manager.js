@@ -0,0 +1,396 @@
+/**
+ * Zip Archive Manager - Opens an Instagram archive packed as a single .zip file
+ * Reads the zip's central directory up front and inflates entries only when they are used,
+ * exposing the same interface as ArchiveDirectoryManager (postsData, mediaFiles, commentLoader, getFileURL)
+ */
+
+// MIME types for entries, since zip entries carry no content type
+const ZIP_ENTRY_TYPES = {
+    '.mp4': 'video/mp4',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.json': 'application/json',
+    '.vtt': 'text/vtt',
+    '.srt': 'application/x-subrip'
+};
+
+/**
+ * A file inside the zip - metadata comes from the central directory, contents are inflated on demand
+ */
+class ZipFileHandle {
+    constructor(entry, manager) {
+        this.kind = 'file';
+        this.name = entry.path.split('/').pop();
+        this.entry = entry;
+        this.manager = manager;
+    }
+
+    /**
+     * File metadata without reading the entry
+     */
+    getInfo() {
+        return {
+            name: this.name,
+            size: this.entry.uncompressedSize,
+            type: this.entry.type,
+            lastModified: this.entry.lastModified
+        };
+    }
+
+    /**
+     * Read and inflate the entry into a File
+     */
+    async getFile() {
+        return await this.manager.readEntry(this.entry);
+    }
+
+    /**
+     * Same entry of the same zip, even when the tree was rebuilt
+     */
+    async isSameEntry(other) {
+        return other instanceof ZipFileHandle &&
+            other.manager.sourceKey === this.manager.sourceKey &&
+            other.entry.path === this.entry.path;
+    }
+}
+
+class ZipArchiveManager extends ArchiveDirectoryManager {
+    constructor() {
+        super();
+        this.sourceType = 'zip';
+        this.zipFile = null;
+        this.sourceKey = null;
+        this.fflate = null;
+        this.entryCount = 0;
+        // Entries above this size are inflated off the main thread
+        this.asyncInflateThreshold = 2 * 1024 * 1024;
+    }
+
+    /**
+     * Zip archives only need Blob slicing, which every supported browser has
+     */
+    checkSupport() {
+        return typeof Blob !== 'undefined' && typeof Blob.prototype.slice === 'function';
+    }
+
+    /**
+     * Check whether a picked or dropped file looks like a zip
+     */
+    static isZipFile(file) {
+        return Boolean(file) && (
+            file.name.toLowerCase().endsWith('.zip') ||
+            ['application/zip', 'application/x-zip-compressed'].includes(file.type)
+        );
+    }
+
+    /**
+     * Ask the user for a .zip file, then open it
+     */
+    async requestArchiveDirectory() {
+        const file = await new Promise((resolve, reject) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.zip,application/zip';
+            input.addEventListener('change', () => resolve(input.files[0] || null));
+            input.addEventListener('cancel', () => resolve(null));
+            input.click();
+        });
+
+        if (!file) {
+            throw new Error('Zip selection was cancelled');
+        }
+        return await this.openZipFile(file);
+    }
+
+    /**
+     * Stored zip files can't be reopened after a reload
+     */
+    async reopenArchiveDirectory() {
+        throw new Error('Archives opened from a .zip file have to be picked again');
+    }
+
+    /**
+     * Open an archive from a .zip file
+     */
+    async openZipFile(file) {
+        if (!ZipArchiveManager.isZipFile(file)) {
+            throw new Error(`"${file?.name || 'This file'}" is not a .zip file`);
+        }
+
+        await this.loadFflate();
+
+        this.zipFile = file;
+        this.sourceKey = `${file.name}|${file.size}|${file.lastModified}`;
+
+        console.log(`🗜️ Reading zip directory of ${file.name} (${(file.size / (1024 * 1024)).toFixed(1)}MB)...`);
+        const entries = await this.readCentralDirectory();
+
+        const root = new VirtualDirectoryHandle(file.name.replace(/\.zip$/i, ''), this.sourceKey);
+        entries.forEach(entry => root.addFile(entry.path, new ZipFileHandle(entry, this)));
+        this.entryCount = entries.length;
+
+        await this.openVirtualArchive(root);
+        console.log(`🗜️ Zip archive opened: ${entries.length.toLocaleString()} entries, root "${this.archiveHandle.name}"`);
+        return this.archiveHandle;
+    }
+
+    /**
+     * Load the fflate library (mapped in index.html's importmap)
+     */
+    async loadFflate() {
+        if (this.fflate) return this.fflate;
+        try {
+            this.fflate = await import('fflate');
+            return this.fflate;
+        } catch (error) {
+            console.error('❌ Failed to load fflate library:', error);
+            throw new Error('Could not load the zip library - check your internet connection');
+        }
+    }
+
+    /**
+     * Read a byte range of the zip
+     */
+    async readBytes(start, length) {
+        const buffer = await this.zipFile.slice(start, start + length).arrayBuffer();
+        return new DataView(buffer);
+    }
+
+    /**
+     * Read a 64-bit little-endian number (safe for anything a browser can hold in memory)
+     */
+    readUint64(view, offset) {
+        return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+    }
+
+    /**
+     * Parse the central directory into entry records, including zip64 archives
+     */
+    async readCentralDirectory() {
+        const file = this.zipFile;
+
+        // The end of central directory record sits in the last 22 bytes plus an optional comment
+        const tailLength = Math.min(file.size, 22 + 0xFFFF);
+        const tailStart = file.size - tailLength;
+        const tail = await this.readBytes(tailStart, tailLength);
+
+        let eocd = -1;
+        for (let i = tailLength - 22; i >= 0; i--) {
+            if (tail.getUint32(i, true) === 0x06054b50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) {
+            throw new Error(`"${file.name}" is not a valid zip file`);
+        }
+
+        let totalEntries = tail.getUint16(eocd + 10, true);
+        let directorySize = tail.getUint32(eocd + 12, true);
+        let directoryOffset = tail.getUint32(eocd + 16, true);
+
+        // Zip64 archives keep the real values in a separate record found via the locator
+        const locator = eocd - 20;
+        if (locator >= 0 && tail.getUint32(locator, true) === 0x07064b50) {
+            const zip64Offset = this.readUint64(tail, locator + 8);
+            const zip64 = await this.readBytes(zip64Offset, 56);
+            if (zip64.getUint32(0, true) !== 0x06064b50) {
+                throw new Error(`"${file.name}" has a damaged zip64 directory`);
+            }
+            totalEntries = this.readUint64(zip64, 32);
+            directorySize = this.readUint64(zip64, 40);
+            directoryOffset = this.readUint64(zip64, 48);
+        }
+
+        const directory = await this.readBytes(directoryOffset, directorySize);
+        const decoder = new TextDecoder();
+        const entries = [];
+        let offset = 0;
+
+        for (let i = 0; i < totalEntries && offset + 46 <= directory.byteLength; i++) {
+            if (directory.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error(`"${file.name}" has a damaged zip directory`);
+            }
+
+            const flags = directory.getUint16(offset + 8, true);
+            const method = directory.getUint16(offset + 10, true);
+            const time = directory.getUint16(offset + 12, true);
+            const date = directory.getUint16(offset + 14, true);
+            let compressedSize = directory.getUint32(offset + 20, true);
+            let uncompressedSize = directory.getUint32(offset + 24, true);
+            const nameLength = directory.getUint16(offset + 28, true);
+            const extraLength = directory.getUint16(offset + 30, true);
+            const commentLength = directory.getUint16(offset + 32, true);
+            let localHeaderOffset = directory.getUint32(offset + 42, true);
+
+            const nameBytes = new Uint8Array(directory.buffer, offset + 46, nameLength);
+            const path = decoder.decode(nameBytes);
+
+            // Zip64 extra field: only the values that overflowed are present, in this order
+            let extra = offset + 46 + nameLength;
+            const extraEnd = extra + extraLength;
+            while (extra + 4 <= extraEnd) {
+                const headerId = directory.getUint16(extra, true);
+                const size = directory.getUint16(extra + 2, true);
+                if (headerId === 0x0001) {
+                    let field = extra + 4;
+                    if (uncompressedSize === 0xFFFFFFFF) {
+                        uncompressedSize = this.readUint64(directory, field);
+                        field += 8;
+                    }
+                    if (compressedSize === 0xFFFFFFFF) {
+                        compressedSize = this.readUint64(directory, field);
+                        field += 8;
+                    }
+                    if (localHeaderOffset === 0xFFFFFFFF) {
+                        localHeaderOffset = this.readUint64(directory, field);
+                    }
+                }
+                extra += 4 + size;
+            }
+
+            offset = extraEnd + commentLength;
+
+            // Skip folders and macOS resource forks
+            if (path.endsWith('/') || path.startsWith('__MACOSX/') || path.split('/').pop().startsWith('._')) {
+                continue;
+            }
+
+            const extension = path.toLowerCase().substring(path.lastIndexOf('.'));
+            entries.push({
+                path,
+                method,
+                encrypted: Boolean(flags & 0x1),
+                compressedSize,
+                uncompressedSize,
+                localHeaderOffset,
+                type: ZIP_ENTRY_TYPES[extension] || '',
+                // DOS timestamps are local time with 2-second precision
+                lastModified: new Date(
+                    1980 + (date >> 9), ((date >> 5) & 0xF) - 1, date & 0x1F,
+                    time >> 11, (time >> 5) & 0x3F, (time & 0x1F) * 2
+                ).getTime()
+            });
+        }
+
+        return entries;
+    }
+
+    /**
+     * Read one entry into a File - stored entries stay a lazy slice of the zip
+     */
+    async readEntry(entry) {
+        const compressed = await this.getEntryData(entry);
+        const fileOptions = { type: entry.type, lastModified: entry.lastModified };
+        const name = entry.path.split('/').pop();
+
+        if (entry.method === 0) {
+            return new File([compressed], name, fileOptions);
+        }
+        if (entry.method !== 8) {
+            throw new Error(`${entry.path} uses an unsupported zip compression method (${entry.method})`);
+        }
+
+        const data = new Uint8Array(await compressed.arrayBuffer());
+        let inflated;
+        if (entry.uncompressedSize > this.asyncInflateThreshold) {
+            // fflate runs asynchronous inflation in a worker, keeping the UI responsive for big files
+            inflated = await new Promise((resolve, reject) => {
+                this.fflate.inflate(data, { size: entry.uncompressedSize }, (error, result) => {
+                    if (error) reject(error);
+                    else resolve(result);
+                });
+            });
+        } else {
+            inflated = this.fflate.inflateSync(data, { out: new Uint8Array(entry.uncompressedSize) });
+        }
+
+        return new File([inflated], name, fileOptions);
+    }
+
+    /**
+     * Read an entry's first bytes, inflating only as much of it as they need
+     */
+    async readEntryHead(entry, length) {
+        const compressed = await this.getEntryData(entry);
+        if (entry.method === 0) {
+            return new Uint8Array(await compressed.slice(0, length).arrayBuffer());
+        }
+        if (entry.method !== 8) {
+            throw new Error(`${entry.path} uses an unsupported zip compression method (${entry.method})`);
+        }
+
+        const chunks = [];
+        let inflatedSize = 0;
+        const inflater = new this.fflate.Inflate(chunk => {
+            chunks.push(chunk);
+            inflatedSize += chunk.length;
+        });
+        const chunkSize = 16 * 1024;
+        for (let offset = 0; inflatedSize < length && offset < compressed.size; offset += chunkSize) {
+            const end = Math.min(offset + chunkSize, compressed.size);
+            inflater.push(new Uint8Array(await compressed.slice(offset, end).arrayBuffer()), end === compressed.size);
+        }
+
+        const head = new Uint8Array(Math.min(length, inflatedSize));
+        let position = 0;
+        for (const chunk of chunks) {
+            if (position >= head.length) break;
+            const part = chunk.subarray(0, head.length - position);
+            head.set(part, position);
+            position += part.length;
+        }
+        return head;
+    }
+
+    /**
+     * An entry's still-compressed data as a lazy slice of the zip
+     */
+    async getEntryData(entry) {
+        if (entry.encrypted) {
+            throw new Error(`${entry.path} is encrypted - password-protected zips aren't supported`);
+        }
+
+        // The local header's name and extra lengths can differ from the central directory's
+        const header = await this.readBytes(entry.localHeaderOffset, 30);
+        if (header.getUint32(0, true) !== 0x04034b50) {
+            throw new Error(`${entry.path} has a damaged zip header`);
+        }
+        const dataStart = entry.localHeaderOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+        return this.zipFile.slice(dataStart, dataStart + entry.compressedSize);
+    }
+
+    /**
+     * Metadata straight from the central directory, so scanning never inflates anything
+     */
+    async getFileInfo(handle) {
+        return handle.getInfo();
+    }
+
+    /**
+     * Sniffing a file's type inflates just its first bytes
+     */
+    async readFileHead(handle, length) {
+        return await this.readEntryHead(handle.entry, length);
+    }
+
+    /**
+     * Inflate a media item when it is actually displayed
+     */
+    async getMediaBlob(item) {
+        return await item.handle.getFile();
+    }
+
+    /**
+     * The zip's name, or the wrapper folder inside it
+     */
+    getDirectoryName() {
+        return this.archiveHandle?.name || this.zipFile?.name || 'Unknown Zip';
+    }
+}
+
+// Export for use in other modules
+window.ZipArchiveManager = ZipArchiveManager;